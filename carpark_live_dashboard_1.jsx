@@ -1,115 +1,144 @@
 import { useState, useEffect, useMemo, useCallback, useRef } from "react";
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
-  ResponsiveContainer, PieChart, Pie, Cell, LineChart, Line
+  ResponsiveContainer, Cell, LineChart, Line
 } from "recharts";
-import Papa from "papaparse";
-
-// ━━━ Google Sheets Published CSV URL ━━━
-const SHEET_CSV_URL =
-  "https://docs.google.com/spreadsheets/d/e/2PACX-1vSpcNe_oAPGLGZpUO-v3d8dPzWl1qOG26ItP2MmvadOnGQsAWfyrtKBgmttTybcR-hhU4d299zKP9En/pub?gid=0&single=true&output=csv";
+import { loadSource, resolveSource, sourceLabel } from "./src/dataSources";
+import { createRefreshScheduler, hashContent } from "./src/refresh";
+import { loadSnapshot, saveSnapshot, snapshotKey } from "./src/offlineCache";
+import {
+  snapshotOf, diffSnapshots, isEmptyDiff, changeLogEntry, loadLastSeen, saveLastSeen, loadChangeLog, saveChangeLog, MAX_LOG,
+} from "./src/changes";
+import { DEFAULT_NOISE_RULES, loadNoiseRules, saveNoiseRules } from "./src/noiseRules";
+import {
+  failedRecordAlerts, missingLogAlert, missingLogDeadline, addAlerts, unreadCount, loadAlerts, saveAlerts,
+  loadAlertSettings, saveAlertSettings, showNotification,
+} from "./src/alerts";
+import { CONFIG_HOLIDAYS, loadHolidays } from "./src/holidays";
+import {
+  resolveWebhook, createEntry, flushQueue, markFlushed, reconcileQueue, withPending, loadLogQueue, saveLogQueue,
+} from "./src/logEntry";
+import { C, THEMES, applyTheme, resolveTheme, loadThemePref, saveThemePref, watchSystemTheme } from "./src/theme";
+import { locIco, locationsIn, floorLocationsIn } from "./src/locations";
+import { t, LANGS, setLang, loadLang, saveLang, locLabel, fmtNumber } from "./src/i18n";
+import CurrentCarCard from "./src/components/CurrentCarCard";
+import KpiRow from "./src/components/KpiRow";
+import KioskView from "./src/components/KioskView";
+import HistoryExplorer from "./src/components/HistoryExplorer";
+import LocationBadge from "./src/components/LocationBadge";
+import StatusBadge from "./src/components/StatusBadge";
+import ExportMenu from "./src/components/ExportMenu";
+import ChartCard, { ChartArea } from "./src/components/ChartCard";
+import LocationPie from "./src/components/LocationPie";
+import Tip from "./src/components/Tip";
+import ReliabilityPanel from "./src/components/ReliabilityPanel";
+import ArrivalStatsPanel from "./src/components/ArrivalStatsPanel";
+import CommutePanel from "./src/components/CommutePanel";
+import CalendarHeatmap from "./src/components/CalendarHeatmap";
+import FloorPanel from "./src/components/FloorPanel";
+import ChangeBadge, { changeRowBg } from "./src/components/ChangeBadge";
+import ChangeLogPanel from "./src/components/ChangeLogPanel";
+import AlertCenter, { alertText } from "./src/components/AlertCenter";
+import LogForm from "./src/components/LogForm";
+import { LastUpdated, RefreshCountdown, RefreshButton } from "./src/components/RefreshStatus";
+import { PrintHeader, PrintRecords } from "./src/components/PrintReport";
+import { kioskOptions, displayOverrides } from "./src/display";
+import { exportCsv, exportJson } from "./src/exporters";
+import { locShareA11y, floorsA11y, trendA11y, dailyA11y } from "./src/chartA11y";
+import { RANGE_PRESETS, resolveRange, previousRange } from "./src/dateRange";
+import { fmtMinutes, fmtTime, fmtDateTime, addDays, dayKey, todayKey } from "./src/dates";
+import {
+  filterRecords, locationDistribution, floorDistribution, arrivalStatsByLocation,
+  arrivalTrend as buildArrivalTrend, dailyCounts, recentRecords, latestRecord,
+} from "./src/analytics";
 
 const REFRESH_MS = 5 * 60 * 1000;
 
-// ━━━ Theme ━━━ (Light Theme with WCAG 2.1 AA/AAA compliance)
-const C = {
-  bg: "#f8fafc", bg2: "#f1f5f9",
-  card: "#ffffff", cardHi: "#f8fafc",
-  border: "#e2e8f0", borderHi: "#cbd5e1",
-  tx: "#0f172a", txm: "#475569", txd: "#94a3b8",
-  orange: "#ea580c", orangeD: "#c2410c",
-  blue: "#2563eb", blueD: "#1e40af",
-  purple: "#7c3aed", purpleD: "#6d28d9",
-  green: "#16a34a", greenD: "#15803d",
-  yellow: "#ca8a04", red: "#dc2626",
-  cyan: "#0891b2", pink: "#db2777",
-};
-const locClr = l => l === "คอนโด" ? C.orange : l === "ที่ทำงาน" ? C.blue : l === "โรงแรม" ? C.purple : l === "อื่นๆ" ? C.pink : C.txm;
-const locIco = l => l === "คอนโด" ? "🏠" : l === "ที่ทำงาน" ? "🏢" : l === "โรงแรม" ? "🏨" : "📍";
-
-// ━━━ Noise filter ━━━
-const isJunk = (note = "") => {
-  const n = note.toLowerCase();
-  return n.includes("welcome to gboard") || n.includes("touch and hold") || n.includes("unpinned clips");
-};
-
-// ━━━ Parse rows ━━━
-function parseRows(csvData) {
-  return csvData
-    .map(row => {
-      const timestamp = (row.Date || "").trim();
-      const exitRaw = (row["exitDateReminder "] || row.exitDateReminder || "").trim();
-      // กรอกย้อนหลัง: ไม่มี exitDate → ใช้วันที่จาก Date column แทน
-      const exitDate = exitRaw || (timestamp ? new Date(timestamp).toLocaleDateString("sv-SE", { timeZone: "Asia/Bangkok" }) : "");
-      return {
-        timestamp,
-        time: (row.timeForgot || "").trim(),
-        mapUrl: (row.parkingMap || "").trim(),
-        floor: (row.parkingFloor || "").trim(),
-        note: (row.note || "").trim(),
-        location: (row.parkingLocation || "").trim(),
-        exitDate,
-        status: (row.NoteType || "").trim(),
-      };
-    })
-    .filter(r => {
-      if (!r.location || r.location === "") return false;
-      if (isJunk(r.note)) return false;
-      if (r.note.toLowerCase().includes("test") || r.note.includes("ทดสอบ") || r.note.includes("ทดลอง")) return false;
-      if (!r.timestamp || r.timestamp === "") return false;
-      return true;
-    });
-}
-
-// ━━━ Tooltip ━━━
-const Tip = ({ active, payload, label }) => {
-  if (!active || !payload?.length) return null;
-  return (
-    <div style={{ background: C.card, border: `1px solid ${C.borderHi}`, borderRadius: 12, padding: "12px 16px", fontSize: 13, boxShadow: "0 12px 40px rgba(0,0,0,.5)" }}>
-      <p style={{ color: C.txm, marginBottom: 4, fontSize: 11 }}>{label}</p>
-      {payload.map((p, i) => (
-        <p key={i} style={{ color: p.color || C.tx, fontWeight: 700, margin: "2px 0" }}>
-          {p.name}: {typeof p.value === "number" ? p.value.toLocaleString() : p.value}
-        </p>
-      ))}
-    </div>
-  );
-};
+// ━━━ Data Quality Panel ━━━
+function QualityPanel({ quality, rules, onRulesChange }) {
+  const [phrase, setPhrase] = useState("");
+  const byReason = {};
+  quality.rejected.forEach(r => byReason[r.reason] = (byReason[r.reason] || 0) + 1);
+  const cell = { padding: "6px 10px", borderBottom: `1px solid ${C.border}`, fontSize: 12, textAlign: "left" };
+  const chip = clr => ({ fontSize: 11, fontWeight: 600, color: clr, background: `${clr}15`, padding: "2px 8px", borderRadius: 6, whiteSpace: "nowrap" });
+  const addRule = () => {
+    const p = phrase.trim();
+    if (!p) return;
+    // escape → match เป็นข้อความตรงตัว ไม่ใช่ regex
+    const pattern = p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    onRulesChange([...rules, { id: `custom-${Date.now()}`, reason: "CUSTOM", label: p, pattern, enabled: true }]);
+    setPhrase("");
+  };
 
-// ━━━ KPI Card ━━━
-function KpiCard({ icon, label, value, suffix, color, delay }) {
   return (
     <div style={{
-      background: C.card, borderRadius: 16, padding: "18px 20px 16px",
-      border: `1px solid ${C.border}`, position: "relative", overflow: "hidden",
-      transition: "all .25s cubic-bezier(.4,0,.2,1)", cursor: "default",
-      animation: `fadeUp .5s ${delay}ms ease both`,
-    }}
-      onMouseEnter={e => { e.currentTarget.style.borderColor = color + "55"; e.currentTarget.style.transform = "translateY(-3px)"; e.currentTarget.style.boxShadow = `0 8px 30px ${color}18`; }}
-      onMouseLeave={e => { e.currentTarget.style.borderColor = C.border; e.currentTarget.style.transform = "none"; e.currentTarget.style.boxShadow = "none"; }}
-    >
-      <div style={{ position: "absolute", top: 0, left: 0, right: 0, height: 3, background: `linear-gradient(90deg, ${color}, ${color}00)` }} />
-      <div style={{ fontSize: 22, marginBottom: 6 }}>{icon}</div>
-      <div style={{ fontSize: 11, color: C.txm, fontWeight: 500, marginBottom: 3, letterSpacing: .3 }}>{label}</div>
-      <div style={{ fontSize: 28, fontWeight: 800, color, fontFamily: "'JetBrains Mono', monospace", lineHeight: 1 }}>
-        {value}
-        {suffix && <span style={{ fontSize: 13, fontWeight: 500, color: C.txm, marginLeft: 5 }}>{suffix}</span>}
+      background: C.card, borderRadius: 16, padding: 24, border: `1px solid ${C.border}`, marginTop: 20,
+      animation: "fadeUp .3s ease both",
+    }}>
+      <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700 }}>{t("quality.title")}</h3>
+      <p style={{ margin: "0 0 14px", fontSize: 11, color: C.txm }}>
+        {t("quality.summary", { rejected: quality.rejected.length, warnings: quality.warnings.length })}
+      </p>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+        {Object.entries(byReason).map(([reason, n]) => (
+          <span key={reason} style={chip(C.red)}>{t(`reject.${reason}`)} × {n}</span>
+        ))}
       </div>
-    </div>
-  );
-}
 
-// ━━━ Chart Card ━━━
-function ChartCard({ title, subtitle, children, delay = 0 }) {
-  return (
-    <div className="chart-card" style={{
-      background: C.card, borderRadius: 16, padding: 28,
-      border: `1px solid ${C.border}`,
-      animation: `fadeUp .5s ${delay}ms ease both`,
-    }}>
-      <h3 style={{ margin: "0 0 2px", fontSize: 15, fontWeight: 700, color: C.tx }}>{title}</h3>
-      {subtitle && <p style={{ margin: "0 0 16px", fontSize: 11, color: C.txm }}>{subtitle}</p>}
-      {children}
+      {quality.rejected.length > 0 && (
+        <div style={{ overflowX: "auto", maxHeight: 260, overflowY: "auto", marginBottom: 16 }}>
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>{["line", "reason", "day", "location", "note"].map(h => <th key={h} style={{ ...cell, color: C.txm, fontWeight: 600 }}>{t(`col.${h}`)}</th>)}</tr>
+            </thead>
+            <tbody>
+              {quality.rejected.map(r => (
+                <tr key={r.line}>
+                  <td style={{ ...cell, fontFamily: "'JetBrains Mono'" }}>{r.line}</td>
+                  <td style={cell}><span style={chip(C.red)}>{r.reason}</span></td>
+                  <td style={{ ...cell, fontFamily: "'JetBrains Mono'" }}>{r.row.timestamp || "—"}</td>
+                  <td style={cell}>{r.row.location || "—"}</td>
+                  <td style={{ ...cell, color: C.txm, maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={r.row.note}>{r.row.note || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {quality.warnings.length > 0 && (
+        <div style={{ marginBottom: 16 }}>
+          <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("quality.warnings")}</div>
+          {quality.warnings.map((w, i) => (
+            <div key={i} style={{ fontSize: 12, color: C.txm, padding: "2px 0" }}>
+              <span style={{ fontFamily: "'JetBrains Mono'", marginRight: 8 }}>#{w.line}</span>
+              <span style={chip(C.yellow)}>{t(`warning.${w.code}`)}</span>
+              <code style={{ marginLeft: 8, fontFamily: "'JetBrains Mono'" }}>{w.value}</code>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("quality.rules")}</div>
+      {rules.map(rule => (
+        <label key={rule.id} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, padding: "3px 0", cursor: "pointer" }}>
+          <input type="checkbox" checked={rule.enabled}
+            onChange={() => onRulesChange(rules.map(r => r.id === rule.id ? { ...r, enabled: !r.enabled } : r))} />
+          <span>{rule.label}</span>
+          <code style={{ fontFamily: "'JetBrains Mono'", fontSize: 11, color: C.txd }}>/{rule.pattern}/i</code>
+          {rule.reason === "CUSTOM" && (
+            <button onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))} aria-label={t("quality.removeRule", { label: rule.label })}
+              style={{ border: "none", background: "transparent", color: C.red, cursor: "pointer", fontSize: 12 }}>✕</button>
+          )}
+        </label>
+      ))}
+      <div style={{ display: "flex", gap: 6, marginTop: 8, flexWrap: "wrap" }}>
+        <input value={phrase} onChange={e => setPhrase(e.target.value)} onKeyDown={e => e.key === "Enter" && addRule()}
+          placeholder={t("quality.placeholder")}
+          style={{ border: `1px solid ${C.border}`, borderRadius: 8, padding: "6px 10px", fontSize: 12, fontFamily: "inherit", minWidth: 200 }} />
+        <button onClick={addRule} style={{ border: `1px solid ${C.border}`, background: C.bg2, borderRadius: 8, padding: "6px 12px", fontSize: 12, fontFamily: "inherit", cursor: "pointer" }}>{t("common.add")}</button>
+        <button onClick={() => onRulesChange(DEFAULT_NOISE_RULES)} style={{ border: "none", background: "transparent", color: C.txm, fontSize: 12, fontFamily: "inherit", cursor: "pointer", textDecoration: "underline" }}>{t("quality.reset")}</button>
+      </div>
     </div>
   );
 }
@@ -118,146 +147,263 @@ function ChartCard({ title, subtitle, children, delay = 0 }) {
 // ━━━ MAIN DASHBOARD ━━━
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 export default function Dashboard() {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [lastRefresh, setLastRefresh] = useState(null);
-  const [countdown, setCountdown] = useState(REFRESH_MS / 1000);
-  const [month, setMonth] = useState("all");
+  // ?mode=kiosk / ?theme= / ?lang= (ดู src/display.js) — อ่านครั้งเดียวตอนเปิดหน้า
+  const [kiosk] = useState(() => kioskOptions());
+  const [overrides] = useState(() => displayOverrides());
+  const [themePref, setThemePref] = useState(() => overrides.theme || loadThemePref());
+  const [theme, setTheme] = useState(() => applyTheme(resolveTheme(themePref)));
+  const [lang, setLangState] = useState(() => setLang(overrides.lang || loadLang()));
+  const [sheetData, setData] = useState([]);
+  // เฉพาะสถานะ refresh ที่มีผลกับทั้งหน้า · เวลาอัปเดต / countdown / ปุ่ม subscribe scheduler เองใน RefreshStatus
+  const [refresh, setRefresh] = useState({ loaded: false, error: null, paused: false, staleSince: null });
+  const [minute, setMinute] = useState(() => Math.floor(Date.now() / 60000));
+  const [cachedAt, setCachedAt] = useState(null);
+  const [changes, setChanges] = useState({ added: [], changed: {} });
+  const [changeLog, setChangeLog] = useState(loadChangeLog);
+  const [showChanges, setShowChanges] = useState(false);
+  const [alerts, setAlerts] = useState(loadAlerts);
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [logQueue, setLogQueue] = useState(loadLogQueue);
+  const [showLogForm, setShowLogForm] = useState(false);
+  const [rangePreset, setRangePreset] = useState("all");
+  const [customRange, setCustomRange] = useState({ from: "", to: "" });
+  const [compare, setCompare] = useState(false);
+  const [printMonth, setPrintMonth] = useState(null);
   const [loc, setLoc] = useState("all");
-  const [avgPeriod, setAvgPeriod] = useState("all");
-
-  // ── Fetch ──
-  const fetchData = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-      const res = await fetch(SHEET_CSV_URL);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const text = await res.text();
-      const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
-      setData(parseRows(parsed.data));
-      setLastRefresh(new Date());
-      setCountdown(REFRESH_MS / 1000);
-    } catch (err) {
-      setError(err.message);
-    } finally {
-      setLoading(false);
+  const [source, setSource] = useState(() => resolveSource());
+  const [dragOver, setDragOver] = useState(false);
+  const [quality, setQuality] = useState({ rejected: [], warnings: [] });
+  const [showQuality, setShowQuality] = useState(false);
+  const [noiseRules, setNoiseRules] = useState(loadNoiseRules);
+
+  // ── Theme ── (ดู src/theme.js) · applyTheme เขียนสีลง C ก่อน setTheme → render รอบถัดไปทั้งหน้าใช้ palette ใหม่
+  useEffect(() => {
+    const sync = () => setTheme(applyTheme(resolveTheme(themePref)));
+    sync();
+    return themePref === "system" ? watchSystemTheme(sync) : undefined;
+  }, [themePref]);
+  const changeTheme = pref => { setThemePref(pref); saveThemePref(pref); };
+  // ── Language ── (ดู src/i18n.js) · เหมือนธีม: setLang ก่อน แล้ว state ใหม่ทำให้ render ทั้งหน้าด้วยภาษาใหม่
+  const changeLang = id => { setLangState(setLang(id)); saveLang(id); };
+  // พิมพ์ใช้ธีมสว่างเสมอ (ประหยัดหมึก / อ่านง่ายบนกระดาษ)
+  useEffect(() => {
+    const before = () => setTheme(applyTheme("light"));
+    const after = () => setTheme(applyTheme(resolveTheme(themePref)));
+    window.addEventListener("beforeprint", before);
+    window.addEventListener("afterprint", after);
+    return () => { window.removeEventListener("beforeprint", before); window.removeEventListener("afterprint", after); };
+  }, [themePref]);
+
+  // ── Alerts ── (ดู src/alerts.js)
+  // ค่าล่าสุดเก็บใน ref ด้วย → เรียกจาก callback ของ scheduler ได้โดยไม่ต้องสร้าง scheduler ใหม่
+  const alertStore = useRef(alerts);
+  const alertPrefs = useRef(alertSettings);
+  const updateAlerts = useCallback(fn => {
+    const next = fn(alertStore.current);
+    alertStore.current = next;
+    saveAlerts(next);
+    setAlerts(next);
+  }, []);
+  const raiseAlerts = useCallback(list => {
+    const prefs = alertPrefs.current;
+    const { store, fresh } = addAlerts(alertStore.current, list.filter(a => prefs.rules[a.rule]));
+    if (!fresh.length) return;
+    updateAlerts(() => store);
+    if (prefs.notify) {
+      fresh.forEach(a => {
+        const { title, body } = alertText(a);
+        showNotification(title, { body, tag: a.id, icon: `${import.meta.env.BASE_URL}icons/icon-192.png` });
+      });
     }
+  }, [updateAlerts]);
+  const changeAlertSettings = s => { alertPrefs.current = s; setAlertSettings(s); saveAlertSettings(s); };
+
+  // ── Log my parking ── (ดู src/logEntry.js)
+  // คิวอยู่ใน ref ด้วยเหตุผลเดียวกับ alerts · data = แถวจาก sheet + entry ที่รอยืนยัน (ทุก aggregate ด้านล่างเห็น entry ใหม่ทันที)
+  const [webhook] = useState(() => resolveWebhook());
+  const logQueueRef = useRef(logQueue);
+  const flushing = useRef(false);
+  const updateLogQueue = useCallback(fn => {
+    const next = fn(logQueueRef.current);
+    if (next === logQueueRef.current) return;
+    logQueueRef.current = next;
+    saveLogQueue(next);
+    setLogQueue(next);
+  }, []);
+  const flushLog = useCallback(async () => {
+    if (flushing.current || !logQueueRef.current.some(e => !e.sent)) return;
+    flushing.current = true;
+    const result = await flushQueue(logQueueRef.current);
+    flushing.current = false;
+    updateLogQueue(q => markFlushed(q, result));
+    if (result.sent.length) scheduler.current?.refresh();
+    // มี entry ใหม่เข้าคิวระหว่างส่ง → ส่งต่อเลย
+    if (!result.error && logQueueRef.current.some(e => !e.sent)) flushLog();
+  }, [updateLogQueue]);
+  const submitLog = fields => { updateLogQueue(q => [...q, createEntry(fields, webhook)]); flushLog(); };
+  useEffect(() => { flushLog(); }, [flushLog]);
+  const data = useMemo(() => withPending(sheetData, logQueue), [sheetData, logQueue]);
+
+  // ── Fetch ── (ดู src/refresh.js)
+  // เปลี่ยน source / noise rules → สร้าง scheduler ใหม่และดึงทันที · ข้อมูลเดิมค้างบนจอจนกว่าจะได้ชุดใหม่
+  const scheduler = useRef(null);
+  const [liveScheduler, setLiveScheduler] = useState(null);
+  const gotLive = useRef(false);
+
+  // ── Change tracking ── (ดู src/changes.js)
+  // เทียบกับ snapshot ก่อนหน้า (รอบ fetch ก่อน หรือครั้งที่แล้วที่เข้าหน้า) · เปลี่ยน source / noise rules = ตั้งต้นใหม่ ไม่นับเป็นการเปลี่ยน
+  const lastSeen = useRef(loadLastSeen());
+  const trackChanges = useCallback((records, meta) => {
+    if (!meta.source) return; // ไฟล์ที่ลากมาวาง ไม่เทียบ
+    const next = snapshotOf(records, meta);
+    const prev = lastSeen.current;
+    lastSeen.current = next;
+    saveLastSeen(next);
+    if (!prev || prev.source !== next.source || prev.rules !== next.rules) return;
+    const diff = diffSnapshots(prev, next);
+    if (isEmptyDiff(diff)) return;
+    const added = new Set(diff.added);
+    raiseAlerts(failedRecordAlerts(records.filter(r => added.has(r.key))));
+    setChanges(c => ({
+      added: [...new Set([...c.added, ...diff.added])].filter(k => k in next.rows),
+      changed: { ...c.changed, ...Object.fromEntries(diff.changed.map(x => [x.key, x.fields])) },
+    }));
+    setChangeLog(log => {
+      const updated = [changeLogEntry(diff, records), ...log].slice(0, MAX_LOG);
+      saveChangeLog(updated);
+      return updated;
+    });
+  }, [raiseAlerts]);
+  const changeOf = useMemo(() => {
+    const added = new Set(changes.added);
+    return r => added.has(r.key) ? { kind: "new" } : changes.changed[r.key] ? { kind: "changed", fields: changes.changed[r.key] } : null;
+  }, [changes]);
+  useEffect(() => {
+    const s = scheduler.current = createRefreshScheduler({
+      load: signal => loadSource(source, { signal, noiseRules }),
+      onData: result => {
+        gotLive.current = true;
+        setData(result.accepted);
+        setQuality({ rejected: result.rejected, warnings: result.warnings });
+        setCachedAt(null);
+        saveSnapshot(source, result);
+        trackChanges(result.accepted, { source: snapshotKey(source), rules: hashContent(noiseRules) });
+        updateLogQueue(q => reconcileQueue(q, result.accepted));
+        flushLog();
+      },
+      // รอบที่ค่าด้านล่างเท่าเดิม (เช่น fetch สำเร็จแต่ hash เท่าเดิม) → คืน prev = ไม่ re-render ทั้งหน้า
+      onState: st => setRefresh(prev => {
+        const next = { loaded: !!st.lastRefresh, error: st.error, paused: st.paused, staleSince: st.error ? st.lastRefresh : null };
+        return Object.keys(next).every(k => next[k] === prev[k]) ? prev : next;
+      }),
+      interval: REFRESH_MS,
+    });
+    setLiveScheduler(s);
+    s.refresh();
+    return () => s.stop();
+  }, [source, noiseRules, trackChanges, updateLogQueue, flushLog]);
+
+  // ── Offline snapshot ── (ดู src/offlineCache.js)
+  // เปิดหน้ามา → แสดงชุดล่าสุดจาก IndexedDB ไปก่อน ถ้า fetch จริงยังไม่กลับมา
+  useEffect(() => {
+    gotLive.current = false;
+    let cancelled = false;
+    loadSnapshot(source).then(snap => {
+      if (!snap || cancelled || gotLive.current) return;
+      setData(snap.accepted);
+      setQuality({ rejected: snap.rejected, warnings: snap.warnings });
+      setCachedAt(new Date(snap.savedAt));
+    });
+    return () => { cancelled = true; };
+  }, [source]);
+  useEffect(() => {
+    const online = () => { scheduler.current?.refresh(); flushLog(); };
+    window.addEventListener("online", online);
+    return () => window.removeEventListener("online", online);
+  }, [flushLog]);
+
+  const { loaded, error, paused, staleSince } = refresh;
+  const loading = !loaded && !error && !cachedAt;
+  // ข้อมูลบนจอไม่ใช่ของล่าสุด: มาจาก snapshot หรือ fetch รอบหลังล้ม
+  const staleAt = cachedAt || staleSince;
+  const schemaError = error?.name === "SchemaError" ? error : null;
+
+  const updateNoiseRules = useCallback(rules => { setNoiseRules(rules); saveNoiseRules(rules); }, []);
+
+  // ── Drop CSV/JSON file → ใช้ไฟล์นั้นเป็น data source ──
+  const onDrop = useCallback(e => {
+    e.preventDefault();
+    setDragOver(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) setSource(s => ({ ...s, type: "file", file, url: "" }));
   }, []);
 
-  useEffect(() => { fetchData(); const iv = setInterval(fetchData, REFRESH_MS); return () => clearInterval(iv); }, [fetchData]);
-  useEffect(() => { const iv = setInterval(() => setCountdown(p => p <= 1 ? REFRESH_MS / 1000 : p - 1), 1000); return () => clearInterval(iv); }, []);
+  // ยังไม่บันทึกวันนี้ → ตรวจทุกนาทีและทุกครั้งที่ได้ข้อมูลใหม่ (เฉพาะข้อมูลสด ไม่ใช่ snapshot เก่า)
+  useEffect(() => { const iv = setInterval(() => setMinute(Math.floor(Date.now() / 60000)), 10 * 1000); return () => clearInterval(iv); }, []);
+  const deadline = useMemo(() => missingLogDeadline(data, alertSettings.missingLog), [data, alertSettings]);
+  useEffect(() => {
+    if (!loaded || error) return;
+    const alert = missingLogAlert(data, { holidays: [...CONFIG_HOLIDAYS, ...loadHolidays()], ...alertSettings.missingLog });
+    if (alert) raiseAlerts([alert]);
+  }, [data, loaded, error, minute, alertSettings, raiseAlerts]);
+  const unread = unreadCount(alerts);
 
   // ── Filtered ──
-  const filtered = useMemo(() => {
-    let d = [...data];
-    if (month !== "all") d = d.filter(r => r.exitDate.startsWith(month));
-    if (loc !== "all") d = d.filter(r => r.location === loc);
-    return d;
-  }, [data, month, loc]);
-
-  const months = useMemo(() => {
-    const s = new Set(data.map(d => d.exitDate.slice(0, 7)).filter(Boolean));
-    return ["all", ...Array.from(s).sort()];
-  }, [data]);
+  // ช่วงวันที่ (ตาม record.day) + สถานที่ → ทุก aggregate ด้านล่างอ่านจาก filtered
+  const range = useMemo(() => resolveRange(rangePreset, customRange), [rangePreset, customRange]);
+  const prevRange = useMemo(() => compare ? previousRange(range) : null, [compare, range]);
+
+  const filtered = useMemo(() => filterRecords(data, { range, location: loc }), [data, range, loc]);
+  const prevFiltered = useMemo(() => prevRange ? filterRecords(data, { range: prevRange, location: loc }) : null, [data, prevRange, loc]);
 
   const locations = useMemo(() => {
     const s = new Set(data.map(d => d.location).filter(Boolean));
     return ["all", ...Array.from(s).sort()];
   }, [data]);
 
-  // ── Stats ──
-  const totalTrips = filtered.length;
-  const condoTrips = filtered.filter(d => d.location === "คอนโด").length;
-  const workTrips = filtered.filter(d => d.location === "ที่ทำงาน").length;
-
-  // Location pie
-  const locDist = useMemo(() => {
-    const c = {};
-    filtered.forEach(d => c[d.location] = (c[d.location] || 0) + 1);
-    return Object.entries(c).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
-  }, [filtered]);
-
-  // Floor bar (condo only)
-  const floorDist = useMemo(() => {
-    const c = {};
-    data.filter(d => d.location === "คอนโด" && d.floor && d.floor !== "-")
-      .forEach(d => c[d.floor] = (c[d.floor] || 0) + 1);
-    return Object.entries(c).map(([floor, count]) => ({ floor, count })).sort((a, b) => b.count - a.count);
-  }, [data]);
-  const topFloor = floorDist[0]?.floor || "-";
-
-  // Removed: timeDist and dayDist (not needed)
-
-  // Avg arrival time per location (from TimeUseTracking)
-  const avgByLoc = useMemo(() => {
-    const now = new Date();
-    const bangkokNow = new Date(now.toLocaleString("en-US", { timeZone: "Asia/Bangkok" }));
-    const g = {};
-    data.forEach(d => {
-      if (!d.location || !d.time) return;
-      const [h, m] = d.time.split(":").map(Number);
-      if (isNaN(h)) return;
-      if (avgPeriod === "week" && d.timestamp) {
-        const dt = new Date(d.timestamp);
-        const bangkokDt = new Date(dt.toLocaleString("en-US", { timeZone: "Asia/Bangkok" }));
-        const day = bangkokNow.getDay() || 7;
-        const weekStart = new Date(bangkokNow);
-        weekStart.setDate(bangkokNow.getDate() - day + 1);
-        weekStart.setHours(0, 0, 0, 0);
-        if (bangkokDt < weekStart) return;
-      } else if (avgPeriod === "month" && d.timestamp) {
-        const dt = new Date(d.timestamp);
-        const bangkokDt = new Date(dt.toLocaleString("en-US", { timeZone: "Asia/Bangkok" }));
-        if (bangkokDt.getMonth() !== bangkokNow.getMonth() || bangkokDt.getFullYear() !== bangkokNow.getFullYear()) return;
-      }
-      if (!g[d.location]) g[d.location] = [];
-      g[d.location].push(h * 60 + (m || 0));
-    });
-    return Object.entries(g).map(([loc, times]) => {
-      const avg = times.reduce((a, b) => a + b, 0) / times.length;
-      return { location: loc, display: `${String(Math.floor(avg / 60)).padStart(2, "0")}:${String(Math.round(avg % 60)).padStart(2, "0")}`, avg, count: times.length };
-    }).sort((a, b) => a.avg - b.avg);
-  }, [data, avgPeriod]);
-
-  // Arrival time trend (separate by location, from TimeUseTracking)
-  const arrivalTrend = useMemo(() => {
-    const byDate = {};
-    data.forEach(d => {
-      if (!d.time || !d.exitDate) return;
-      const [h, m] = d.time.split(":").map(Number);
-      if (isNaN(h)) return;
-      const dayOfWeek = new Date(d.exitDate).getDay();
-      if (dayOfWeek === 0 || dayOfWeek === 6) return;
-      const date = d.exitDate.slice(5);
-      if (!byDate[date]) byDate[date] = {};
-      if (d.location === "คอนโด") byDate[date].condo = h * 60 + (m || 0);
-      if (d.location === "ที่ทำงาน") byDate[date].work = h * 60 + (m || 0);
-    });
-    return Object.entries(byDate)
-      .map(([date, times]) => ({ date, ...times }))
-      .sort((a, b) => a.date.localeCompare(b.date));
-  }, [data]);
-
-  // Daily count (based on timestamp/Date column)
-  const daily = useMemo(() => {
-    const c = {};
-    filtered.forEach(d => {
-      if (!d.timestamp) return;
-      const dt = new Date(d.timestamp);
-      const date = dt.toLocaleDateString("sv-SE", { timeZone: "Asia/Bangkok" }).slice(5);
-      c[date] = (c[date] || 0) + 1;
-    });
-    return Object.entries(c).map(([date, count]) => ({ date, count })).sort((a, b) => a.date.localeCompare(b.date));
-  }, [filtered]);
+  // สถานที่ทั้งหมดที่มีในข้อมูล (จาก registry) — ใช้สร้าง KPI / series / กราฟชั้น
+  const locEntries = useMemo(() => locationsIn(data), [data]);
+  const floorLocs = useMemo(() => floorLocationsIn(data), [data]);
 
-  // Recent
-  const recent = useMemo(() => [...filtered].sort((a, b) => b.exitDate.localeCompare(a.exitDate) || b.timestamp.localeCompare(a.timestamp)).slice(0, 12), [filtered]);
+  // ── Stats ── (ดู src/analytics.js)
+  const locDist = useMemo(() => locationDistribution(filtered), [filtered]);
+  const floorDist = useMemo(() => floorDistribution(filtered), [filtered]);
+  const topFloor = l => floorDist[l]?.[0]?.floor || "-";
+  const arrivalStats = useMemo(() => arrivalStatsByLocation(filtered), [filtered]);
+  const arrivalTrend = useMemo(() => buildArrivalTrend(filtered), [filtered]);
+  const daily = useMemo(() => dailyCounts(filtered), [filtered]);
+  const recent = useMemo(() => recentRecords(filtered), [filtered]);
+  const latest = useMemo(() => latestRecord(data), [data]);
 
   // Removed: spotFreq (not needed)
 
-  const fmtCD = s => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  // ── Export ──
+  const exportName = `carpark_${range.from || "all"}${range.to && range.to !== range.from ? `_${range.to}` : ""}`;
+
+  // รายงานประจำเดือน: ตั้งช่วงวันที่เป็นเดือนนั้น → render → print → คืนช่วงวันที่เดิม (preset + custom) ใน afterprint
+  const beforePrintRange = useRef(null);
+  const printMonthlyReport = m => {
+    const next = addDays(`${m}-01`, 32).slice(0, 7);
+    beforePrintRange.current ??= { preset: rangePreset, custom: customRange };
+    setRangePreset("custom");
+    setCustomRange({ from: `${m}-01`, to: addDays(`${next}-01`, -1) });
+    setPrintMonth(m);
+  };
+  useEffect(() => {
+    if (!printMonth) return;
+    const done = () => {
+      const prev = beforePrintRange.current;
+      beforePrintRange.current = null;
+      if (prev) { setRangePreset(prev.preset); setCustomRange(prev.custom); }
+      setPrintMonth(null);
+    };
+    window.addEventListener("afterprint", done, { once: true });
+    // รอ ResponsiveContainer วาดกราฟตามช่วงใหม่ก่อนเปิดหน้าพิมพ์
+    const timer = setTimeout(() => window.print(), 400);
+    return () => { clearTimeout(timer); window.removeEventListener("afterprint", done); };
+  }, [printMonth]);
+
 
   const sel = {
     background: C.card, color: C.tx, border: `1px solid ${C.border}`,
@@ -265,13 +411,13 @@ export default function Dashboard() {
     fontFamily: "inherit", cursor: "pointer", outline: "none",
   };
 
-  return (
-    <div style={{
-      minHeight: "100vh", color: C.tx,
-      fontFamily: "'IBM Plex Sans Thai', 'SF Pro Display', -apple-system, sans-serif",
-      background: `linear-gradient(180deg, #e0f2fe 0%, ${C.bg} 100%)`,
-      paddingBottom: 60,
-    }}>
+  const page = {
+    minHeight: "100vh", color: C.tx,
+    fontFamily: "'IBM Plex Sans Thai', 'SF Pro Display', -apple-system, sans-serif",
+    background: `linear-gradient(180deg, ${C.pageTop} 0%, ${C.bg} 100%)`,
+  };
+  const head = (
+    <>
       <link href="https://fonts.googleapis.com/css2?family=IBM+Plex+Sans+Thai:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;600;700&display=swap" rel="stylesheet" />
       <style>{`
         @keyframes fadeUp { from { opacity:0; transform:translateY(16px); } to { opacity:1; transform:translateY(0); } }
@@ -281,6 +427,15 @@ export default function Dashboard() {
         ::-webkit-scrollbar-thumb { background:${C.borderHi}; border-radius:3px; }
         ::-webkit-scrollbar-track { background:transparent; }
 
+        /* Accessibility: ข้อความสำหรับ screen reader + focus ที่เห็นได้ · hover ทำด้วย CSS — เนื้อหานิ่ง (KPI / แถวตาราง) ไม่อยู่ใน tab order */
+        .sr-only { position:absolute; width:1px; height:1px; padding:0; margin:-1px; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap; border:0; }
+        :focus-visible { outline:2px solid ${C.blue}; outline-offset:2px; }
+        .recharts-surface:focus { outline:none; }
+        .recharts-surface:focus-visible { outline:2px solid ${C.blue}; outline-offset:4px; border-radius:8px; }
+        .kpi-card:hover, .kpi-card:focus-within { border-color:color-mix(in srgb, var(--kpi) 35%, transparent) !important; transform:translateY(-3px); box-shadow:0 8px 30px color-mix(in srgb, var(--kpi) 10%, transparent); }
+        .recent-table tbody tr:hover { background:${C.cardHi} !important; }
+        .footer-link:hover, .footer-link:focus-visible { border-color:${C.purple} !important; color:${C.purple} !important; }
+
         /* Responsive Grid Classes */
         .grid-2col { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
         @media (max-width: 768px) {
@@ -302,42 +457,80 @@ export default function Dashboard() {
           /* Card padding */
           .chart-card { padding: 20px !important; }
 
-          /* Recent table: hide หมายเหตุ + สถานะ on mobile */
-          .recent-table th:nth-child(5),
-          .recent-table td:nth-child(5),
-          .recent-table th:nth-child(6),
-          .recent-table td:nth-child(6) { display: none; }
+          /* Recent table: แสดงครบทุกคอลัมน์ (ตารางเลื่อนแนวนอนได้) · หมายเหตุยาวตัดด้วย … */
+          .recent-table td:nth-child(5) { max-width: 140px !important; }
           .recent-table th,
           .recent-table td { padding: 8px 6px !important; font-size: 11px !important; }
           .loc-badge { white-space: nowrap !important; font-size: 10px !important; padding: 2px 7px !important; }
         }
 
+        /* Print: monthly report บน A4 */
+        .print-only { display: none; }
+        @media print {
+          @page { size: A4; margin: 12mm; }
+          .no-print, .back-nav, .back-to-top { display: none !important; }
+          .print-only { display: block; }
+          .print-page-break { break-before: page; }
+          .chart-card, .kpi-card { break-inside: avoid; animation: none !important; }
+          .chart-card { padding: 16px !important; }
+          * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        }
+
         /* Tablet Breakpoint */
         @media (max-width: 1024px) and (min-width: 769px) {
           /* Charts remain 2-column on tablets */
         }
       `}</style>
+    </>
+  );
+
+  // ── Kiosk ── (ดู src/display.js) · panel ชุดเดียวกับหน้าปกติ แต่ไม่มีตัวกรอง → ข้อมูลทั้งหมด
+  if (kiosk) {
+    return (
+      <div className="kiosk" style={page}>
+        {head}
+        <KioskView options={kiosk} status={{ loading, error, scheduler: liveScheduler, staleAt, rows: sheetData.length }} sections={{
+          now: <><CurrentCarCard record={latest} /><KpiRow records={filtered} all={data} style={{ marginTop: 28 }} /></>,
+          floors: <FloorPanel records={filtered} history={data} locations={floorLocs} minute={minute} />,
+          arrival: <ArrivalStatsPanel stats={arrivalStats} />,
+          calendar: <CalendarHeatmap records={data} range={range} />,
+          reliability: <ReliabilityPanel records={filtered} />,
+        }} />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      ...page, paddingBottom: 60,
+      outline: dragOver ? `3px dashed ${C.blue}` : "none", outlineOffset: -6,
+    }}
+      onDragOver={e => { e.preventDefault(); setDragOver(true); }}
+      onDragLeave={e => { if (e.currentTarget === e.target) setDragOver(false); }}
+      onDrop={onDrop}
+    >
+      {head}
 
       {/* ━━━ Header ━━━ */}
       <div style={{
-        background: "linear-gradient(135deg, #1e40af 0%, #2563eb 50%, #3b82f6 100%)",
+        background: C.header, borderBottom: theme === "contrast" ? `1px solid ${C.border}` : "none",
         padding: "28px 24px 24px", position: "relative", overflow: "hidden",
       }}>
-        <div style={{ position: "absolute", top: -50, right: -30, width: 200, height: 200, borderRadius: "50%", background: "rgba(255,255,255,.05)" }} />
-        <div style={{ position: "absolute", bottom: -70, left: 30, width: 160, height: 160, borderRadius: "50%", background: "rgba(255,255,255,.03)" }} />
+        <div style={{ position: "absolute", top: -50, right: -30, width: 200, height: 200, borderRadius: "50%", background: `${C.headerTx}0d` }} />
+        <div style={{ position: "absolute", bottom: -70, left: 30, width: 160, height: 160, borderRadius: "50%", background: `${C.headerTx}08` }} />
         <div style={{ maxWidth: 1200, margin: "0 auto", position: "relative", display: "flex", justifyContent: "space-between", alignItems: "flex-start", flexWrap: "wrap", gap: 16 }}>
           <div>
-            <div style={{ fontSize: 11, fontWeight: 600, color: "#ffffff", opacity: .9, letterSpacing: 3, textTransform: "uppercase", marginBottom: 4 }}>
+            <div style={{ fontSize: 11, fontWeight: 600, color: C.headerTx, opacity: .9, letterSpacing: 3, textTransform: "uppercase", marginBottom: 4 }}>
               🚗 carpark tracker
             </div>
-            <h1 style={{ fontSize: 28, fontWeight: 900, margin: 0, color: "#ffffff" }}>วันนี้จอดรถที่ไหน?</h1>
-            <p className="header-desc" style={{ fontSize: 12, color: "#ffffff", opacity: .9, margin: "4px 0 0" }}>
-              Real-time Dashboard — Auto refresh ทุก 5 นาที จาก Google Sheets
+            <h1 style={{ fontSize: 28, fontWeight: 900, margin: 0, color: C.headerTx }}>{t("app.title")}</h1>
+            <p className="header-desc" style={{ fontSize: 12, color: C.headerTx, opacity: .9, margin: "4px 0 0" }}>
+              {t("app.subtitle", { min: REFRESH_MS / 60000 })}
             </p>
           </div>
-          <div style={{
-            background: "#1e293b", borderRadius: 12, padding: "12px 16px",
-            fontSize: 12, minWidth: 200, boxShadow: "0 4px 12px rgba(0,0,0,0.15)",
+          <div className="no-print" style={{
+            background: C.panel, borderRadius: 12, padding: "12px 16px", border: `1px solid ${C.panelBorder}`,
+            fontSize: 12, minWidth: 200, boxShadow: `0 4px 12px ${C.shadow}`,
           }}>
             <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 4 }}>
               <div style={{
@@ -346,245 +539,333 @@ export default function Dashboard() {
                 boxShadow: `0 0 10px ${error ? C.red : C.green}`,
                 animation: "pulse2 2s infinite",
               }} />
-              <span style={{ fontWeight: 700, color: "#ffffff" }}>{loading ? "Loading..." : error ? "Error" : "Live"}</span>
-              <span style={{ color: "#cbd5e1", marginLeft: "auto" }}>{data.length} rows</span>
+              <span style={{ fontWeight: 700, color: C.panelTx }} title={error?.message}>{t(`live.${loading ? "loading" : error ? "error" : paused ? "paused" : "live"}`)}</span>
+              <span style={{ color: C.panelTxm, marginLeft: "auto" }}>{t("live.rows", { n: sheetData.length })}</span>
+              {(quality.rejected.length > 0 || quality.warnings.length > 0) && (
+                <button onClick={() => setShowQuality(v => !v)} aria-expanded={showQuality} title={t("live.quality")} style={{
+                  background: showQuality ? C.yellow : "transparent", border: `1px solid ${C.yellow}`, borderRadius: 6,
+                  color: showQuality ? C.noticeTx : C.notice, fontSize: 10, fontWeight: 700, padding: "1px 6px",
+                  fontFamily: "inherit", cursor: "pointer",
+                }}>{t("live.dropped", { n: quality.rejected.length })}{quality.warnings.length ? t("live.warned", { n: quality.warnings.length }) : ""}</button>
+              )}
             </div>
-            {lastRefresh && <div style={{ color: "#cbd5e1", fontSize: 11 }}>Updated: {lastRefresh.toLocaleTimeString("th-TH", { timeZone: "Asia/Bangkok" })}</div>}
-            <div style={{ color: "#cbd5e1", fontSize: 11, fontFamily: "'JetBrains Mono'", marginTop: 2 }}>
-              Next refresh: {fmtCD(countdown)}
+            <LastUpdated scheduler={liveScheduler} render={text => <div style={{ color: C.panelTxm, fontSize: 11 }}>{text}</div>} />
+            {(changes.added.length > 0 || changeLog.length > 0) && (
+              <button onClick={() => setShowChanges(v => !v)} aria-expanded={showChanges} style={{
+                display: "block", margin: "4px 0", background: changes.added.length ? C.green : "transparent",
+                border: `1px solid ${changes.added.length ? C.green : C.panelBorder}`, borderRadius: 6, color: changes.added.length ? C.onAccent : C.panelTx,
+                fontSize: 11, fontWeight: 700, padding: "2px 8px", fontFamily: "inherit", cursor: "pointer",
+              }}>
+                {changes.added.length ? t("live.newSince", { n: changes.added.length }) : t("live.changeLog")}
+              </button>
+            )}
+            <button onClick={() => setShowAlerts(v => !v)} aria-expanded={showAlerts} aria-label={t("alerts.bell")} style={{
+              display: "block", margin: "4px 0", background: unread ? C.red : "transparent",
+              border: `1px solid ${unread ? C.red : C.panelBorder}`, borderRadius: 6, color: unread ? C.onAccent : C.panelTx,
+              fontSize: 11, fontWeight: 700, padding: "2px 8px", fontFamily: "inherit", cursor: "pointer",
+            }}>
+              🔔 {unread ? fmtNumber(unread) : t("alerts.bell")}
+            </button>
+            {staleAt && (
+              <div title={error?.message} style={{
+                color: C.noticeTx, background: C.notice, borderRadius: 6, padding: "2px 8px", fontSize: 11, fontWeight: 700, margin: "4px 0",
+              }}>
+                {t("live.stale", { at: dayKey(staleAt) === todayKey() ? fmtTime(staleAt) : fmtDateTime(staleAt) })}{error ? t("live.offline") : ""}
+              </div>
+            )}
+            <RefreshCountdown scheduler={liveScheduler} loading={loading} style={{ color: C.panelTxm, fontSize: 11, fontFamily: "'JetBrains Mono'", marginTop: 2 }} />
+            <div style={{ display: "flex", alignItems: "center", gap: 6, color: C.panelTxm, fontSize: 11, marginTop: 2 }}>
+              <span title={source.file?.name || source.url || ""}>{t("live.source", { name: `${sourceLabel(source)}${source.file ? ` (${source.file.name})` : ""}` })}</span>
+              {source.type === "file" && (
+                <button onClick={() => setSource(resolveSource())} style={{
+                  marginLeft: "auto", background: "transparent", border: `1px solid ${C.panelBorder}`, borderRadius: 6,
+                  color: C.panelTxm, fontSize: 10, padding: "1px 6px", fontFamily: "inherit", cursor: "pointer",
+                }}>{t("live.reset")}</button>
+              )}
             </div>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, color: C.panelTxm, fontSize: 11, marginTop: 4 }}>
+              {t("live.theme")}
+              <select value={themePref} onChange={e => changeTheme(e.target.value)} style={{
+                marginLeft: "auto", background: C.panel, color: C.panelTx, border: `1px solid ${C.panelBorder}`, borderRadius: 6,
+                fontSize: 11, padding: "1px 4px", fontFamily: "inherit", cursor: "pointer",
+              }}>
+                {THEMES.map(id => <option key={id} value={id}>{t(`theme.${id}`)}{id === "system" ? ` (${theme})` : ""}</option>)}
+              </select>
+            </label>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, color: C.panelTxm, fontSize: 11, marginTop: 4 }}>
+              {t("live.language")}
+              <select value={lang} onChange={e => changeLang(e.target.value)} style={{
+                marginLeft: "auto", background: C.panel, color: C.panelTx, border: `1px solid ${C.panelBorder}`, borderRadius: 6,
+                fontSize: 11, padding: "1px 4px", fontFamily: "inherit", cursor: "pointer",
+              }}>
+                {LANGS.map(l => <option key={l.id} value={l.id}>{l.label}</option>)}
+              </select>
+            </label>
           </div>
         </div>
       </div>
 
       <div style={{ maxWidth: 1200, margin: "0 auto", padding: "0 20px" }}>
 
+        <PrintHeader month={printMonth} count={filtered.length} />
+
+        {/* ━━━ Current Location ━━━ */}
+        <div className="no-print"><CurrentCarCard record={latest} /></div>
+
+        {/* ━━━ Data Quality ━━━ */}
+        {showQuality && <div className="no-print"><QualityPanel quality={quality} rules={noiseRules} onRulesChange={updateNoiseRules} /></div>}
+        {showChanges && <div className="no-print"><ChangeLogPanel log={changeLog} onClear={() => setChanges({ added: [], changed: {} })} /></div>}
+        {showLogForm && (
+          <div className="no-print">
+            <LogForm webhook={webhook} queue={logQueue} records={sheetData} locations={locations.filter(l => l !== "all")} onSubmit={submitLog} onRetry={flushLog}
+              onRemove={id => updateLogQueue(q => q.filter(e => e.id !== id))} />
+          </div>
+        )}
+        {showAlerts && (
+          <div className="no-print">
+            <AlertCenter store={alerts} settings={alertSettings} onSettings={changeAlertSettings} deadline={deadline}
+              onMarkRead={() => updateAlerts(s => ({ ...s, items: s.items.map(a => ({ ...a, read: true })) }))}
+              onClear={() => updateAlerts(s => ({ ...s, items: [] }))} />
+          </div>
+        )}
+
         {/* ━━━ Filters ━━━ */}
-        <div style={{ display: "flex", gap: 10, marginTop: 20, flexWrap: "wrap", alignItems: "center" }}>
-          <select value={month} onChange={e => setMonth(e.target.value)} style={sel}>
-            <option value="all">📅 ทุกเดือน</option>
-            {months.filter(m => m !== "all").map(m => <option key={m} value={m}>{m}</option>)}
-          </select>
+        <div className="no-print" style={{ display: "flex", gap: 10, marginTop: 20, flexWrap: "wrap", alignItems: "center" }}>
+          <div style={{ display: "flex", gap: 4, background: C.card, border: `1px solid ${C.border}`, borderRadius: 10, padding: 3, flexWrap: "wrap" }}>
+            {RANGE_PRESETS.map(key => (
+              <button key={key} onClick={() => setRangePreset(key)} aria-pressed={rangePreset === key} style={{
+                padding: "6px 12px", borderRadius: 8, border: "none", fontSize: 12, fontWeight: 600,
+                fontFamily: "inherit", cursor: "pointer", transition: "all .2s",
+                background: rangePreset === key ? C.blue : "transparent",
+                color: rangePreset === key ? C.onAccent : C.txm,
+              }}>{key === "all" ? "📅 " : ""}{t(`range.${key}`)}</button>
+            ))}
+          </div>
+          {rangePreset === "custom" && (
+            <>
+              <input type="date" aria-label={t("filter.from")} value={customRange.from} max={customRange.to || undefined}
+                onChange={e => setCustomRange(r => ({ ...r, from: e.target.value }))} style={{ ...sel, padding: "8px 10px" }} />
+              <span style={{ color: C.txm, fontSize: 12 }}>→</span>
+              <input type="date" aria-label={t("filter.to")} value={customRange.to} min={customRange.from || undefined}
+                onChange={e => setCustomRange(r => ({ ...r, to: e.target.value }))} style={{ ...sel, padding: "8px 10px" }} />
+            </>
+          )}
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: previousRange(range) ? C.tx : C.txd, cursor: "pointer" }}>
+            <input type="checkbox" checked={compare} disabled={!previousRange(range)} onChange={e => setCompare(e.target.checked)} />
+            {t("filter.compare")}
+          </label>
           <select value={loc} onChange={e => setLoc(e.target.value)} style={sel}>
-            <option value="all">📍 ทุกสถานที่</option>
-            {locations.filter(l => l !== "all").map(l => <option key={l} value={l}>{locIco(l)} {l}</option>)}
+            <option value="all">{t("common.allLocations")}</option>
+            {locations.filter(l => l !== "all").map(l => <option key={l} value={l}>{locIco(l)} {locLabel(l)}</option>)}
           </select>
-          <button onClick={fetchData} disabled={loading} style={{
-            ...sel, background: loading ? C.border : "linear-gradient(135deg, #2563eb, #1e40af)",
-            color: "#fff", fontWeight: 700, border: "none", transition: "all .2s",
-            opacity: loading ? .6 : 1,
+          <ExportMenu style={sel}
+            onCsv={() => exportCsv(filtered, exportName)}
+            onJson={() => exportJson(filtered, exportName)}
+            onPrintMonth={printMonthlyReport} />
+          <button onClick={() => setShowLogForm(v => !v)} aria-expanded={showLogForm} style={{
+            ...sel, fontWeight: 700, borderColor: showLogForm ? C.blue : C.border, color: showLogForm ? C.blue : C.tx,
           }}>
-            {loading ? "⏳ Loading..." : "🔄 Refresh Now"}
+            {t("logForm.button")}{logQueue.length ? ` (${fmtNumber(logQueue.length)})` : ""}
           </button>
+          <RefreshButton scheduler={liveScheduler} style={sel} />
         </div>
 
+        {/* ━━━ Schema error ━━━ */}
+        {schemaError && (
+          <div role="alert" style={{
+            marginTop: 20, padding: "14px 18px", borderRadius: 12, fontSize: 13,
+            background: `${C.red}10`, border: `1px solid ${C.red}55`, color: C.tx,
+          }}>
+            <div style={{ fontWeight: 700, color: C.red, marginBottom: 4 }}>{t("schema.title")}</div>
+            <div>
+              {t("schema.missing")}{" "}
+              {schemaError.missing.map(m => (
+                <code key={m} style={{ fontFamily: "'JetBrains Mono'", background: `${C.red}15`, padding: "1px 6px", borderRadius: 4, marginRight: 6 }}>{m}</code>
+              ))}
+            </div>
+            <div style={{ fontSize: 11, color: C.txm, marginTop: 4 }}>
+              {t("schema.against", { version: schemaError.schema.version, label: schemaError.schema.label })}
+            </div>
+          </div>
+        )}
+
         {/* ━━━ KPIs ━━━ */}
-        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(185px, 1fr))", gap: 20, marginTop: 28 }}>
-          <KpiCard icon="🚗" label="เที่ยวทั้งหมด" value={totalTrips} suffix="ครั้ง" color={C.orange} delay={100} />
-          <KpiCard icon="🏠" label="คอนโด" value={condoTrips} suffix="ครั้ง" color={C.orange} delay={160} />
-          <KpiCard icon="🏢" label="ที่ทำงาน" value={workTrips} suffix="ครั้ง" color={C.blue} delay={220} />
-          <KpiCard icon="🅿️" label="ชั้นบ่อยสุด (คอนโด)" value={`ชั้น ${topFloor}`} suffix="" color={C.green} delay={280} />
-          <KpiCard icon="📊" label="บันทึกทั้งหมด" value={data.length} suffix="ครั้ง" color={C.purple} delay={340} />
-        </div>
+        <KpiRow records={filtered} all={data} previous={prevFiltered} style={{ marginTop: 28 }} />
 
         {/* ━━━ Row 1 ━━━ */}
         <div className="grid-2col" style={{ marginTop: 28 }}>
-          <ChartCard title="📍 สัดส่วนสถานที่จอด" subtitle="จำนวนครั้งแยกตามสถานที่" delay={400}>
-            <ResponsiveContainer width="100%" height={250}>
-              <PieChart>
-                <Pie data={locDist} dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={95} innerRadius={52} strokeWidth={3} stroke={C.bg}
-                  label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`} style={{ fontSize: 11 }}>
-                  {locDist.map((e, i) => <Cell key={i} fill={locClr(e.name)} />)}
-                </Pie>
-                <Tooltip content={<Tip />} />
-              </PieChart>
-            </ResponsiveContainer>
+          <ChartCard title={t("chart.locShare")} subtitle={t("chart.locShareSub")} delay={400} exportName="location-share" {...locShareA11y(locDist)}>
+            <ChartArea><LocationPie data={locDist} label={t("chart.locShare")} /></ChartArea>
           </ChartCard>
 
-          <ChartCard title="🅿️ ชั้นจอดรถที่คอนโด" subtitle={`ชั้นที่จอดบ่อยสุด: ${topFloor}`} delay={460}>
-            <ResponsiveContainer width="100%" height={250}>
-              <BarChart data={floorDist} barSize={36}>
-                <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
-                <XAxis dataKey="floor" stroke={C.txm} fontSize={12} />
-                <YAxis stroke={C.txm} fontSize={12} allowDecimals={false} />
-                <Tooltip content={<Tip />} />
-                <Bar dataKey="count" name="จำนวนครั้ง" radius={[8, 8, 0, 0]}>
-                  {floorDist.map((_, i) => <Cell key={i} fill={i === 0 ? C.orange : "#2a3050"} />)}
-                </Bar>
-              </BarChart>
-            </ResponsiveContainer>
-          </ChartCard>
+          {floorLocs.map((l, li) => (
+            <ChartCard key={l.id} title={t("chart.floors", { loc: locLabel(l.name) })} subtitle={t("chart.floorsSub", { floor: topFloor(l.name) })} delay={460 + li * 60} exportName={`floors-${l.id}`}
+              {...floorsA11y(floorDist[l.name] || [])}>
+              <ChartArea>
+              <ResponsiveContainer width="100%" height={250}>
+                <BarChart data={floorDist[l.name] || []} barSize={36} accessibilityLayer aria-label={t("a11y.chartKeys", { name: t("chart.floors", { loc: locLabel(l.name) }) })}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+                  <XAxis dataKey="floor" stroke={C.txm} fontSize={12} />
+                  <YAxis stroke={C.txm} fontSize={12} allowDecimals={false} />
+                  <Tooltip content={<Tip />} />
+                  <Bar dataKey="count" name={t("chart.count")} radius={[8, 8, 0, 0]}>
+                    {(floorDist[l.name] || []).map((_, i) => <Cell key={i} fill={i === 0 ? l.color : C.muted} />)}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+              </ChartArea>
+            </ChartCard>
+          ))}
         </div>
 
+        {/* ━━━ Floors per Location + Suggested Floor ━━━ */}
+        <FloorPanel records={filtered} history={data} locations={floorLocs} minute={minute} />
+
         {/* ━━━ Row 2 removed (time/day charts) ━━━ */}
 
         {/* ━━━ Arrival Time Trend ━━━ */}
         <div style={{ marginTop: 28 }}>
           <ChartCard
-            title="⏰ เวลาที่บันทึก — Trend"
-            subtitle="เวลาที่ถึงสถานที่และบันทึกที่จอดรถ"
+            title={t("chart.trend")}
+            subtitle={t("chart.trendSub")}
             delay={640}
+            exportName="arrival-trend"
+            {...trendA11y(arrivalTrend, locEntries)}
           >
+          <ChartArea>
           <div style={{ marginTop: -8 }}>
             <ResponsiveContainer width="100%" height={270}>
-              <LineChart data={arrivalTrend}>
+              <LineChart data={arrivalTrend} accessibilityLayer aria-label={t("a11y.chartKeys", { name: t("chart.trend") })}>
                 <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
                 <XAxis dataKey="date" stroke={C.txm} fontSize={11} />
                 <YAxis stroke={C.txm} fontSize={11} domain={["dataMin - 30", "dataMax + 30"]}
-                  tickFormatter={v => `${Math.floor(v / 60)}:${String(v % 60).padStart(2, "0")}`} />
+                  tickFormatter={fmtMinutes} />
                 <Tooltip content={({ active, payload }) => {
                   if (!active || !payload?.length) return null;
                   const d = payload[0].payload;
                   return (
-                    <div style={{ background: C.card, border: `1px solid ${C.borderHi}`, borderRadius: 12, padding: "12px 16px", boxShadow: "0 8px 24px rgba(0,0,0,.1)" }}>
+                    <div role="status" aria-live="polite" style={{ background: C.card, border: `1px solid ${C.borderHi}`, borderRadius: 12, padding: "12px 16px", boxShadow: `0 8px 24px ${C.shadow}` }}>
                       <div style={{ color: C.txm, fontSize: 11, marginBottom: 6 }}>{d.date}</div>
-                      {d.condo !== undefined && (
-                        <div style={{ color: C.orange, fontWeight: 700, fontSize: 14, fontFamily: "'JetBrains Mono'", marginBottom: 2 }}>
-                          🏠 {Math.floor(d.condo / 60).toString().padStart(2, "0")}:{(d.condo % 60).toString().padStart(2, "0")}
-                        </div>
-                      )}
-                      {d.work !== undefined && (
-                        <div style={{ color: C.blue, fontWeight: 700, fontSize: 14, fontFamily: "'JetBrains Mono'" }}>
-                          🏢 {Math.floor(d.work / 60).toString().padStart(2, "0")}:{(d.work % 60).toString().padStart(2, "0")}
+                      {locEntries.filter(l => d[l.id] !== undefined).map(l => (
+                        <div key={l.id} style={{ color: l.color, fontWeight: 700, fontSize: 14, fontFamily: "'JetBrains Mono'", marginBottom: 2 }}>
+                          {l.icon} {fmtMinutes(d[l.id])}
+                          {d[`${l.id}_n`] > 1 && <span style={{ fontSize: 10, color: C.txm, fontWeight: 500 }}> ({t("common.times", { n: d[`${l.id}_n`] })})</span>}
+                          {d[`${l.id}_out`] && <span style={{ fontSize: 10, color: C.red, fontWeight: 600 }}>{t("chart.outlier")}</span>}
                         </div>
-                      )}
+                      ))}
                     </div>
                   );
                 }} />
-                <Line type="monotone" dataKey="condo" name="คอนโด" stroke={C.orange} strokeWidth={3}
-                  dot={{ r: 5, fill: C.orange, stroke: C.bg, strokeWidth: 2 }}
-                  activeDot={{ r: 7, fill: C.orange, stroke: C.bg, strokeWidth: 2 }}
-                  connectNulls={false} />
-                <Line type="monotone" dataKey="work" name="ที่ทำงาน" stroke={C.blue} strokeWidth={3}
-                  dot={{ r: 5, fill: C.blue, stroke: C.bg, strokeWidth: 2 }}
-                  activeDot={{ r: 7, fill: C.blue, stroke: C.bg, strokeWidth: 2 }}
-                  connectNulls={false} />
+                {locEntries.map(l => (
+                  <Line key={l.id} type="monotone" dataKey={l.id} name={locLabel(l.name)} stroke={l.color} strokeWidth={3}
+                    dot={({ cx, cy, payload }) => cy == null ? null : payload[`${l.id}_out`] ? (
+                      <g key={payload.day}>
+                        <circle cx={cx} cy={cy} r={9} fill="none" stroke={C.red} strokeWidth={2} />
+                        <circle cx={cx} cy={cy} r={5} fill={l.color} stroke={C.bg} strokeWidth={2} />
+                      </g>
+                    ) : (
+                      <circle key={payload.day} cx={cx} cy={cy} r={5} fill={l.color} stroke={C.bg} strokeWidth={2} />
+                    )}
+                    activeDot={{ r: 7, fill: l.color, stroke: C.bg, strokeWidth: 2 }}
+                    connectNulls={false} />
+                ))}
               </LineChart>
             </ResponsiveContainer>
           </div>
+          </ChartArea>
         </ChartCard>
         </div>
 
-        {/* ━━━ Avg by Location ━━━ */}
-        <div style={{
-          background: C.card, borderRadius: 16, padding: 28, border: `1px solid ${C.border}`, marginTop: 28,
-          animation: "fadeUp .5s 700ms ease both",
-        }}>
-          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16, flexWrap: "wrap", gap: 8 }}>
-            <h3 style={{ margin: 0, fontSize: 15, fontWeight: 700, color: C.tx }}>📊 เวลาที่บันทึกเฉลี่ย แยกตามสถานที่</h3>
-            <div style={{ display: "flex", gap: 4, background: C.bg2, borderRadius: 10, padding: 3 }}>
-              {[["all", "ทั้งหมด"], ["week", "สัปดาห์นี้"], ["month", "เดือนนี้"]].map(([key, label]) => (
-                <button key={key} onClick={() => setAvgPeriod(key)} style={{
-                  padding: "5px 12px", borderRadius: 8, border: "none", fontSize: 11, fontWeight: 600,
-                  fontFamily: "inherit", cursor: "pointer", transition: "all .2s",
-                  background: avgPeriod === key ? C.card : "transparent",
-                  color: avgPeriod === key ? C.tx : C.txm,
-                  boxShadow: avgPeriod === key ? "0 1px 4px rgba(0,0,0,.1)" : "none",
-                }}>{label}</button>
-              ))}
-            </div>
-          </div>
-          <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(180px, 1fr))", gap: 16 }}>
-            {avgByLoc.map((item, i) => (
-              <div key={i} style={{
-                background: `${locClr(item.location)}0a`, borderRadius: 14, padding: "20px 22px",
-                border: `1px solid ${locClr(item.location)}25`, transition: "border-color .2s",
-              }}
-                onMouseEnter={e => e.currentTarget.style.borderColor = locClr(item.location) + "55"}
-                onMouseLeave={e => e.currentTarget.style.borderColor = locClr(item.location) + "25"}
-              >
-                <div style={{ fontSize: 13, color: C.txm, marginBottom: 6 }}>{locIco(item.location)} {item.location}</div>
-                <div style={{ fontSize: 36, fontWeight: 800, color: locClr(item.location), fontFamily: "'JetBrains Mono', monospace" }}>
-                  {item.display}
-                </div>
-                <div style={{ fontSize: 11, color: C.txd }}>เฉลี่ย ({item.count} ครั้ง)</div>
-              </div>
-            ))}
-          </div>
-        </div>
+        {/* ━━━ Arrival Stats by Location ━━━ */}
+        <ArrivalStatsPanel stats={arrivalStats} />
+
+        {/* ━━━ Commute Sessions ━━━ */}
+        <CommutePanel records={filtered} />
 
         {/* ━━━ Spot Frequency section removed ━━━ */}
 
         {/* ━━━ Daily Timeline ━━━ */}
         <div style={{ marginTop: 28 }}>
-          <ChartCard title="📈 จำนวนบันทึกรายวัน" subtitle="Timeline การบันทึกข้อมูล" delay={820}>
+          <ChartCard title={t("chart.daily")} subtitle={t("chart.dailySub")} delay={820} exportName="daily-count" {...dailyA11y(daily)}>
+          <ChartArea>
           <ResponsiveContainer width="100%" height={220}>
-            <LineChart data={daily}>
+            <LineChart data={daily} accessibilityLayer aria-label={t("a11y.chartKeys", { name: t("chart.daily") })}>
               <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
               <XAxis dataKey="date" stroke={C.txm} fontSize={10} angle={-45} textAnchor="end" height={56} />
               <YAxis stroke={C.txm} fontSize={12} allowDecimals={false} />
               <Tooltip content={<Tip />} />
-              <Line type="monotone" dataKey="count" name="บันทึก" stroke={C.green} strokeWidth={2.5}
+              <Line type="monotone" dataKey="count" name={t("chart.dailySeries")} stroke={C.green} strokeWidth={2.5}
                 dot={({ cx, cy, payload }) => (
                   payload.count >= 2 ? (
-                    <g key={payload.date}>
+                    <g key={payload.day}>
                       <circle cx={cx} cy={cy} r={10} fill={C.green} stroke={C.bg} strokeWidth={2} />
-                      <text x={cx} y={cy + 1} textAnchor="middle" dominantBaseline="central" fill="#fff" fontSize={11} fontWeight={700}>✓</text>
+                      <text x={cx} y={cy + 1} textAnchor="middle" dominantBaseline="central" fill={C.onAccent} fontSize={11} fontWeight={700}>✓</text>
                     </g>
                   ) : (
-                    <circle key={payload.date} cx={cx} cy={cy} r={4} fill={C.green} stroke={C.bg} strokeWidth={2} />
+                    <circle key={payload.day} cx={cx} cy={cy} r={4} fill={C.green} stroke={C.bg} strokeWidth={2} />
                   )
                 )} />
             </LineChart>
           </ResponsiveContainer>
+          </ChartArea>
         </ChartCard>
         </div>
 
+        {/* ━━━ Logging Calendar & Streaks ━━━ */}
+        <CalendarHeatmap records={data} range={range} />
+
+        {/* ━━━ Reminder Reliability ━━━ */}
+        <ReliabilityPanel records={filtered} />
+
         {/* ━━━ Recent Table ━━━ */}
-        <div style={{
+        <div className="no-print" style={{
           background: C.card, borderRadius: 16, padding: 28, border: `1px solid ${C.border}`, marginTop: 28,
           animation: "fadeUp .5s 880ms ease both",
         }}>
-          <h3 style={{ margin: "0 0 16px", fontSize: 15, fontWeight: 700 }}>🕑 รายการล่าสุด</h3>
+          <h3 style={{ margin: "0 0 16px", fontSize: 15, fontWeight: 700 }}>{t("chart.recent")}</h3>
           <div style={{ overflowX: "auto" }}>
             <table className="recent-table" style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
               <thead>
                 <tr>
-                  {["วันที่", "เวลา", "สถานที่", "ชั้น", "หมายเหตุ", "สถานะ"].map(h => (
-                    <th key={h} style={{ textAlign: "left", padding: "10px 12px", color: C.txm, fontWeight: 600, fontSize: 11, borderBottom: `2px solid ${C.border}`, whiteSpace: "nowrap" }}>{h}</th>
+                  {["day", "time", "location", "floor", "note", "status"].map(h => (
+                    <th key={h} scope="col" style={{ textAlign: "left", padding: "10px 12px", color: C.txm, fontWeight: 600, fontSize: 11, borderBottom: `2px solid ${C.border}`, whiteSpace: "nowrap" }}>{t(`col.${h}`)}</th>
                   ))}
                 </tr>
               </thead>
               <tbody>
-                {recent.map((r, i) => (
-                  <tr key={i} style={{ transition: "background .15s" }}
-                    onMouseEnter={e => e.currentTarget.style.background = C.cardHi}
-                    onMouseLeave={e => e.currentTarget.style.background = "transparent"}
-                  >
-                    <td style={{ padding: "10px 12px", fontFamily: "'JetBrains Mono'", fontSize: 12, borderBottom: `1px solid ${C.border}15` }}>{r.exitDate}</td>
-                    <td style={{ padding: "10px 12px", fontFamily: "'JetBrains Mono'", fontWeight: 700, borderBottom: `1px solid ${C.border}15` }}>
-                      {r.time || (r.timestamp ? new Date(r.timestamp).toLocaleTimeString("th-TH", { timeZone: "Asia/Bangkok", hour: "2-digit", minute: "2-digit", hour12: false }) : "—")}
-                    </td>
-                    <td style={{ padding: "10px 12px", borderBottom: `1px solid ${C.border}15` }}>
-                      <span className="loc-badge" style={{
-                        padding: "3px 10px", borderRadius: 20, fontSize: 11, fontWeight: 600,
-                        background: `${locClr(r.location)}15`, color: locClr(r.location),
-                        border: `1px solid ${locClr(r.location)}35`, whiteSpace: "nowrap",
-                        display: "inline-block",
-                      }}>
-                        {locIco(r.location)} {r.location}
-                      </span>
-                    </td>
-                    <td style={{ padding: "10px 12px", fontFamily: "'JetBrains Mono'", fontWeight: 700, color: r.floor === "-" ? C.txd : C.orange, borderBottom: `1px solid ${C.border}15` }}>{r.floor}</td>
-                    <td style={{ padding: "10px 12px", color: C.txm, maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", borderBottom: `1px solid ${C.border}15` }}>{r.note || "—"}</td>
-                    <td style={{ padding: "10px 12px", borderBottom: `1px solid ${C.border}15` }}>
-                      {r.status.startsWith("SENT") ? (
-                        <span style={{ fontSize: 11, fontWeight: 600, color: C.green, background: `${C.green}15`, padding: "2px 8px", borderRadius: 6 }}>✓ Sent</span>
-                      ) : r.status.includes("กรอกย้อนหลัง") ? (
-                        <span style={{ fontSize: 11, fontWeight: 600, color: C.orange, background: `${C.orange}15`, padding: "2px 8px", borderRadius: 6 }}>กรอกย้อนหลัง</span>
-                      ) : (
-                        <span style={{ fontSize: 11, fontWeight: 600, color: C.red, background: `${C.red}15`, padding: "2px 8px", borderRadius: 6 }} title={r.status}>✗ Fail</span>
-                      )}
-                    </td>
-                  </tr>
-                ))}
+                {recent.map(r => {
+                  const change = changeOf(r);
+                  return (
+                    <tr key={r.key} style={{ transition: "background .15s", background: changeRowBg(change?.kind) }}>
+                      <td style={{ padding: "10px 12px", fontFamily: "'JetBrains Mono'", fontSize: 12, borderBottom: `1px solid ${C.border}15`, whiteSpace: "nowrap" }}>
+                        {r.day}<ChangeBadge kind={change?.kind} fields={change?.fields} />
+                      </td>
+                      <td style={{ padding: "10px 12px", fontFamily: "'JetBrains Mono'", fontWeight: 700, borderBottom: `1px solid ${C.border}15` }}>
+                        {r.time || fmtTime(r.timestamp) || "—"}
+                      </td>
+                      <td style={{ padding: "10px 12px", borderBottom: `1px solid ${C.border}15` }}>
+                        <LocationBadge location={r.location} />
+                      </td>
+                      <td style={{ padding: "10px 12px", fontFamily: "'JetBrains Mono'", fontWeight: 700, color: r.floor ? C.orange : C.txd, borderBottom: `1px solid ${C.border}15` }}>{r.floor || "—"}</td>
+                      <td style={{ padding: "10px 12px", color: C.txm, maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", borderBottom: `1px solid ${C.border}15` }} title={r.note || undefined}>{r.note || "—"}</td>
+                      <td style={{ padding: "10px 12px", borderBottom: `1px solid ${C.border}15` }}>
+                        <StatusBadge status={r.status} />
+                      </td>
+                    </tr>
+                  );
+                })}
               </tbody>
             </table>
           </div>
         </div>
 
+        {/* ━━━ History Explorer ━━━ */}
+        <div className="no-print"><HistoryExplorer records={filtered} changeOf={changeOf} /></div>
+
+        <PrintRecords month={printMonth} records={filtered} />
+
         {/* ━━━ Footer ━━━ */}
-        <div style={{ textAlign: "center", padding: "48px 24px 64px", borderTop: `1px solid ${C.border}`, marginTop: 48 }}>
+        <div className="no-print" style={{ textAlign: "center", padding: "48px 24px 64px", borderTop: `1px solid ${C.border}`, marginTop: 48 }}>
           <div style={{ marginBottom: 0, lineHeight: 0, height: 200, overflow: "hidden" }}>
             <img src="https://natpakans-stack.github.io/talk-to-figma-mcp/assets/aw-mascot.avif" alt="Aw mascot" style={{ width: 320, height: "auto" }} />
           </div>
@@ -594,14 +875,11 @@ export default function Dashboard() {
               { label: "parking-reminder-portfolio", href: "https://natpakans-stack.github.io/parking-reminder-portfolio" },
               { label: "carpark-live-dashboard", href: "https://natpakans-stack.github.io/carpark-live-dashboard" },
             ].map(l => (
-              <a key={l.label} href={l.href} target="_blank" rel="noopener noreferrer" style={{
+              <a key={l.label} className="footer-link" href={l.href} target="_blank" rel="noopener noreferrer" style={{
                 background: C.card, border: `1px solid ${C.border}`, padding: "8px 16px",
                 borderRadius: 50, fontSize: 13, fontWeight: 500, color: C.txm,
                 textDecoration: "none", transition: "all .2s",
-              }}
-                onMouseEnter={e => { e.currentTarget.style.borderColor = "#a259ff"; e.currentTarget.style.color = "#a259ff"; }}
-                onMouseLeave={e => { e.currentTarget.style.borderColor = C.border; e.currentTarget.style.color = C.txm; }}
-              >{l.label}</a>
+              }}>{l.label}</a>
             ))}
           </div>
         </div>
@@ -0,0 +1,54 @@
+// ━━━ <carpark-widget> ━━━
+// ฝัง widget ของ dashboard ในหน้าอื่น (ไม่ต้อง build / ไม่ต้องมี React ในหน้านั้น):
+//   <script src="https://natpakans-stack.github.io/carpark-live-dashboard/embed.js" defer></script>
+//   <carpark-widget name="current" theme="dark" lang="en"></carpark-widget>
+// attribute: name = current | kpis · theme · lang · source / url / schema (เหมือน query ของ dashboard)
+// ข้างในเป็น iframe ของ widget.html → style/สคริปต์ของหน้าแม่ไม่ชนกัน · ความสูงปรับตามเนื้อหา (postMessage จาก src/components/Widget.jsx)
+// จะใช้ iframe ตรง ๆ ก็ได้: <iframe src="…/widget.html?widget=kpis&theme=dark" style="border:0;width:100%;height:220px"></iframe>
+
+(function () {
+  if (!window.customElements || customElements.get("carpark-widget")) return;
+
+  var base = new URL("./", document.currentScript ? document.currentScript.src : location.href);
+  var PARAMS = ["theme", "lang", "source", "url", "schema"];
+  var RESIZE_MESSAGE = "carpark-widget:resize";
+
+  class CarparkWidget extends HTMLElement {
+    static get observedAttributes() { return ["name"].concat(PARAMS); }
+
+    connectedCallback() {
+      if (!this.frame) {
+        var root = this.attachShadow({ mode: "open" });
+        root.innerHTML = "<style>:host{display:block}iframe{display:block;width:100%;height:160px;border:0;background:transparent}</style>";
+        this.frame = document.createElement("iframe");
+        this.frame.setAttribute("loading", "lazy");
+        this.frame.setAttribute("title", this.getAttribute("title") || "Carpark widget");
+        root.appendChild(this.frame);
+      }
+      this.update();
+    }
+
+    attributeChangedCallback() {
+      if (this.frame) this.update();
+    }
+
+    update() {
+      var q = new URLSearchParams({ widget: this.getAttribute("name") || "current" });
+      for (var i = 0; i < PARAMS.length; i++) {
+        var v = this.getAttribute(PARAMS[i]);
+        if (v) q.set(PARAMS[i], v);
+      }
+      var src = new URL("widget.html?" + q, base).href;
+      if (this.frame.src !== src) this.frame.src = src;
+    }
+  }
+
+  window.addEventListener("message", function (e) {
+    if (e.origin !== base.origin || !e.data || e.data.type !== RESIZE_MESSAGE) return;
+    document.querySelectorAll("carpark-widget").forEach(function (el) {
+      if (el.frame && el.frame.contentWindow === e.source) el.frame.style.height = e.data.height + "px";
+    });
+  });
+
+  customElements.define("carpark-widget", CarparkWidget);
+})();
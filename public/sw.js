@@ -0,0 +1,59 @@
+// ━━━ Service worker ━━━
+// app shell: หน้า HTML = network-first (ได้ build ใหม่เสมอเมื่อออนไลน์) → ออฟไลน์ใช้ที่ cache ไว้
+// asset ของ build (ชื่อไฟล์มี hash) = cache-first · request ข้ามโดเมน (Google Sheets ฯลฯ) ไม่แตะ
+// ข้อมูลที่ parse แล้วเก็บใน IndexedDB โดยตัวแอปเอง (src/offlineCache.js) ไม่ใช่ที่นี่
+// BUILD_ID / ASSETS ถูกแทนตอน vite build (plugin precacheServiceWorker ใน vite.config.js):
+//   ASSETS = JS / CSS ที่มี hash ทั้งหมดของ build → precache ตอน install (เปิดครั้งแรกแล้วออฟไลน์ก็ boot ได้)
+//   BUILD_ID = hash ของรายชื่อไฟล์ → ชื่อ cache เปลี่ยนทุก build · activate ลบ cache ของ build เก่า (asset เก่าไม่ค้าง)
+
+const BUILD_ID = "__BUILD_ID__";
+const ASSETS = [/* __PRECACHE__ */];
+const CACHE = `carpark-shell-${BUILD_ID}`;
+const SHELL = ["./", "widget.html", "manifest.webmanifest", "icons/icon-192.png", "icons/icon-512.png", ...ASSETS];
+
+self.addEventListener("install", event => {
+  event.waitUntil(caches.open(CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("carpark-shell-") && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const put = (req, res) => {
+  if (res.ok) { const copy = res.clone(); caches.open(CACHE).then(c => c.put(req, copy)); }
+  return res;
+};
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    // dashboard (ทุก query เช่น ?mode=kiosk) ใช้ shell เดียว · widget.html (iframe) แยก cache ของตัวเอง
+    const page = url.pathname.endsWith("/widget.html") ? "widget.html" : "./";
+    event.respondWith(
+      fetch(request).then(res => put(page, res)).catch(() => caches.match(page))
+    );
+    return;
+  }
+  // fixtures ให้ตามข้อมูลจริงเสมอ (ออฟไลน์ → ใช้ snapshot ใน IndexedDB)
+  if (url.pathname.includes("/fixtures/")) return;
+
+  event.respondWith(
+    caches.match(request).then(hit => hit || fetch(request).then(res => put(request, res)))
+  );
+});
+
+// คลิก notification (src/alerts.js) → กลับไปที่แท็บ dashboard ที่เปิดอยู่ หรือเปิดใหม่
+self.addEventListener("notificationclick", event => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true })
+      .then(list => (list.length ? list[0].focus() : self.clients.openWindow("./")))
+  );
+});
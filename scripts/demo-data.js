@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// ━━━ Demo data ━━━
+// CSV สังเคราะห์แบบ seed ได้ (src/demoData.js) — คอลัมน์ตรงกับ sheet จริง ใช้ได้โดยไม่ต้องเข้าถึง sheet
+//
+//   npm run demo-data -- --seed 7 --days 120 > demo.csv     เขียน CSV ออก stdout (หรือ --out <file>)
+//   npm run demo-data -- --serve                            fixture server ในเครื่อง (default port 8788)
+//   npm run report -- demo.csv                              ใช้กับ report ได้เหมือนข้อมูลจริง
+//
+// fixture server (CORS เปิด) — ชี้ dashboard ไปที่ ?source=csv&url=http://localhost:8788/carpark.csv
+//   /carpark.csv?seed=7&days=120   CSV ที่สร้างใหม่ทุก request (แถวของวันนี้ค่อย ๆ เพิ่มตามเวลา)
+//   /carpark.json                  ข้อมูลชุดเดียวกันแบบ JSON (?source=json)
+//   /bad-schema.csv                ไม่มีคอลัมน์ parkingLocation → แบนเนอร์ schema error
+//   ?fail=503                      ตอบ HTTP error (retry / backoff / แบนเนอร์ข้อมูลเก่า)
+//   ?delay=3000                    หน่วงก่อนตอบ (สถานะกำลังโหลด)
+//
+// ไม่ต้องใช้ server ก็ได้: เปิด dashboard ด้วย ?demo=1 (&seed= &days=) สร้างข้อมูลชุดเดียวกันในเบราว์เซอร์
+
+import { createServer } from "node:http";
+import { writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { generateDemoCsv } from "../src/demoData.js";
+
+const { values } = parseArgs({
+  options: {
+    seed: { type: "string", default: "1" },
+    days: { type: "string", default: "90" },
+    out: { type: "string" },
+    serve: { type: "boolean", default: false },
+    port: { type: "string", default: "8788" },
+  },
+});
+
+const options = q => ({
+  seed: Number(q.get("seed") ?? values.seed) || 1,
+  days: Math.min(730, Number(q.get("days") ?? values.days) || 90),
+});
+
+if (!values.serve) {
+  const csv = generateDemoCsv(options(new URLSearchParams()));
+  if (values.out) writeFileSync(values.out, csv);
+  else process.stdout.write(csv);
+} else {
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const q = url.searchParams;
+    const send = (status, body, type) => {
+      res.writeHead(status, { "Access-Control-Allow-Origin": "*", "Content-Type": `${type}; charset=utf-8`, "Cache-Control": "no-store" });
+      res.end(body);
+    };
+    if (q.get("delay")) await new Promise(r => setTimeout(r, Math.min(60000, Number(q.get("delay")) || 0)));
+    if (q.get("fail")) return send(Number(q.get("fail")) || 500, "fixture server: forced failure", "text/plain");
+
+    const csv = () => generateDemoCsv(options(q));
+    switch (url.pathname) {
+      case "/carpark.csv":
+        return send(200, csv(), "text/csv");
+      case "/carpark.json":
+        return send(200, JSON.stringify(Papa.parse(csv(), { header: true, skipEmptyLines: true }).data), "application/json");
+      case "/bad-schema.csv": {
+        const { data, meta } = Papa.parse(csv(), { header: true, skipEmptyLines: true });
+        const fields = meta.fields.filter(f => f !== "parkingLocation");
+        return send(200, Papa.unparse({ fields, data: data.map(r => fields.map(f => r[f])) }), "text/csv");
+      }
+      default:
+        return send(404, "not found — try /carpark.csv, /carpark.json or /bad-schema.csv", "text/plain");
+    }
+  });
+  server.listen(Number(values.port), () => {
+    const base = `http://localhost:${values.port}`;
+    console.log(`fixture server: ${base}/carpark.csv · ${base}/carpark.json · ${base}/bad-schema.csv`);
+    console.log(`dashboard: http://localhost:5173/carpark-live-dashboard/?source=csv&url=${encodeURIComponent(`${base}/carpark.csv`)}`);
+  });
+}
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// ━━━ Weekly report ━━━
+// parse + aggregate pipeline เดียวกับ dashboard บน CSV ในเครื่อง → Markdown / JSON
+//
+//   npm run report -- data.csv
+//   npm run report -- data.csv --week 2025-03-05 --json
+//
+// --week <YYYY-MM-DD>  วันใดก็ได้ในสัปดาห์ที่ต้องการ (default: วันนี้)
+// --json               พิมพ์ JSON แทน Markdown
+// --tz <IANA zone>     timezone (default: Asia/Bangkok)
+// --week-start <0-6>   วันเริ่มสัปดาห์ 0 = อาทิตย์, 1 = จันทร์ (default)
+
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { parseRows } from "../src/parse.js";
+import { summarize } from "../src/analytics.js";
+import { getLocation } from "../src/locations.js";
+import { configureDates, todayKey, startOfWeek, addDays } from "../src/dates.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    week: { type: "string" },
+    json: { type: "boolean", default: false },
+    tz: { type: "string" },
+    "week-start": { type: "string" },
+  },
+});
+
+const file = positionals[0];
+if (!file) {
+  console.error("usage: npm run report -- <data.csv> [--week YYYY-MM-DD] [--json] [--tz Asia/Bangkok] [--week-start 1]");
+  process.exit(1);
+}
+
+configureDates({ timeZone: values.tz, weekStart: values["week-start"] });
+
+const text = readFileSync(file, "utf8");
+const csv = Papa.parse(text, { header: true, skipEmptyLines: true });
+const { accepted, rejected, warnings } = parseRows(csv.data, { headers: csv.meta.fields });
+
+const from = startOfWeek(values.week || todayKey());
+const summary = {
+  ...summarize(accepted, { from, to: addDays(from, 6) }),
+  rejected: rejected.length,
+  warnings: warnings.length,
+};
+
+if (values.json) {
+  console.log(JSON.stringify(summary, null, 2));
+  process.exit(0);
+}
+
+// ── Markdown ──
+const diff = summary.total - summary.previousTotal;
+const lines = [
+  `## 🚗 Carpark weekly report — ${summary.range.from} → ${summary.range.to}`,
+  "",
+  `- บันทึกทั้งหมด: **${summary.total}** ครั้ง (${diff >= 0 ? "+" : ""}${diff} จากสัปดาห์ก่อน)`,
+  `- วันที่มีบันทึก: **${summary.daysLogged}** / 7 วัน`,
+];
+if (summary.rejected || summary.warnings) {
+  lines.push(`- แถวที่ถูกตัดทิ้งทั้งไฟล์: ${summary.rejected} · คำเตือน: ${summary.warnings}`);
+}
+
+const locs = Object.entries(summary.byLocation);
+if (locs.length) {
+  lines.push("", "| สถานที่ | ครั้ง | เวลาเฉลี่ย | ชั้นบ่อยสุด |", "|---|---:|---:|---:|");
+  locs.sort((a, b) => b[1] - a[1]).forEach(([name, count]) => {
+    const avg = summary.avgArrival.find(a => a.location === name);
+    lines.push(`| ${getLocation(name).icon} ${name} | ${count} | ${avg ? avg.display : "—"} | ${summary.topFloors[name] || "—"} |`);
+  });
+}
+
+if (summary.daily.length) {
+  lines.push("", "**รายวัน:** " + summary.daily.map(d => `${d.day.slice(5)} (${d.count})`).join(" · "));
+}
+
+console.log(lines.join("\n"));
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// ━━━ Dev webhook (stand-in for the Apps Script endpoint) ━━━
+// รับ POST จากฟอร์ม "บันทึกที่จอด" (src/logEntry.js) → ต่อท้ายแถวใน CSV แล้วเสิร์ฟ CSV นั้นกลับให้ dashboard
+//
+//   npm run webhook
+//   VITE_LOG_WEBHOOK=http://localhost:8787/ npm run dev     (webhook ต้องมาจาก env — ?webhook= รับเฉพาะ URL ที่อนุญาตไว้)
+//   → เปิด http://localhost:5173/carpark-live-dashboard/?source=csv&url=http://localhost:8787/carpark.csv
+//
+// --port <n>     (default: 8787)
+// --file <path>  CSV ที่เขียนลง (default: สำเนาของ public/fixtures/carpark.csv ใน temp — fixture ใน repo ไม่ถูกแก้)
+// --reset        เริ่มจาก fixture ใหม่ (ทิ้งแถวที่เคยบันทึก)
+// --tz <IANA zone>  ใช้หาวันของ exitDateReminder (default: Asia/Bangkok)
+//
+// แถวที่เขียน: exitDateReminder = วันที่บันทึก · NoteType = ตามที่ฟอร์มส่งมา (ไม่มี → MANUAL (dev webhook))
+
+import { createServer } from "node:http";
+import { copyFileSync, existsSync, readFileSync, appendFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { parseArgs } from "node:util";
+import Papa from "papaparse";
+import { configureDates, dayKey, isValidDate } from "../src/dates.js";
+
+const { values } = parseArgs({
+  options: {
+    port: { type: "string", default: "8787" },
+    file: { type: "string" },
+    reset: { type: "boolean", default: false },
+    tz: { type: "string" },
+  },
+});
+
+configureDates({ timeZone: values.tz });
+
+const FIXTURE = new URL("../public/fixtures/carpark.csv", import.meta.url);
+const file = values.file || join(tmpdir(), "carpark-webhook-dev.csv");
+if (values.reset || !existsSync(file)) copyFileSync(FIXTURE, file);
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const send = (res, status, body, type = "application/json") => {
+  res.writeHead(status, { ...CORS, "Content-Type": `${type}; charset=utf-8`, "Cache-Control": "no-store" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body));
+};
+
+// body (key = หัวคอลัมน์ของ sheet) → แถวตามลำดับ header จริงของไฟล์ ("exitDateReminder " มี space ท้ายก็ได้)
+function toRow(text, body) {
+  const headers = Papa.parse(text, { preview: 1 }).data[0];
+  const cells = {
+    ...body,
+    exitDateReminder: dayKey(body.Date),
+    NoteType: body.NoteType || "MANUAL (dev webhook)",
+  };
+  return headers.map(h => String(cells[h.trim()] ?? ""));
+}
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204, "");
+  if (req.method === "GET" && pathname === "/carpark.csv") return send(res, 200, readFileSync(file, "utf8"), "text/csv");
+  if (req.method !== "POST" || pathname !== "/") return send(res, 404, { ok: false, error: "not found" });
+
+  let raw = "";
+  req.setEncoding("utf8");
+  req.on("data", chunk => { raw += chunk; });
+  req.on("end", () => {
+    let body;
+    try { body = JSON.parse(raw); } catch { return send(res, 400, { ok: false, error: "invalid JSON" }); }
+    if (!body?.parkingLocation || !isValidDate(body.Date)) return send(res, 400, { ok: false, error: "Date and parkingLocation are required" });
+    const text = readFileSync(file, "utf8");
+    appendFileSync(file, `${text.endsWith("\n") ? "" : "\n"}${Papa.unparse([toRow(text, body)])}\n`);
+    console.log(`+ ${body.Date} ${body.parkingLocation} ${body.parkingFloor || ""}`.trim());
+    send(res, 200, { ok: true });
+  });
+});
+
+server.listen(Number(values.port), () => {
+  console.log(`dev webhook: POST http://localhost:${values.port}/ · CSV http://localhost:${values.port}/carpark.csv`);
+  console.log(`writing to ${file}`);
+});
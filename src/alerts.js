@@ -0,0 +1,124 @@
+import { statusKind } from "./status.js";
+import { avgArrivalByLocation } from "./analytics.js";
+import { isWorkday } from "./streaks.js";
+import { isWeekend, minutesOf, minutesOfDay, todayKey, fmtMinutes } from "./dates.js";
+
+// ━━━ Alerts ━━━
+// กฎแจ้งเตือน 2 ข้อ — แต่ละข้อเปิด/ปิดเองได้ (settings.rules)
+//   failedRecord = fetch รอบใหม่มี record ใหม่ที่ reminder ส่งไม่สำเร็จ (statusKind = fail)
+//   missingLog   = วันทำงานที่เลยเวลาปกติ (ค่าเฉลี่ยเวลาบันทึก avgArrivalByLocation + grace) แล้วยังไม่มีบันทึก
+// alert = { id, rule, at, read, ...ค่าดิบ } — id ใช้กันซ้ำ (แจ้งแล้วไม่แจ้งอีก แม้ reload) · ข้อความสร้างตอนแสดงตามภาษา
+// Web Notification เป็น opt-in (settings.notify + permission ของเบราว์เซอร์) · ศูนย์แจ้งเตือนในหน้าทำงานเสมอ
+
+const ALERTS_KEY = "carpark.alerts";
+const SETTINGS_KEY = "carpark.alertSettings";
+export const MAX_ALERTS = 30;
+const MAX_SEEN = 500;
+const MIN_SAMPLES = 3;
+
+export const ALERT_RULES = ["failedRecord", "missingLog"];
+
+export const DEFAULT_ALERT_SETTINGS = {
+  notify: false,
+  rules: { failedRecord: true, missingLog: true },
+  // time = "HH:MM" ตายตัว · ว่าง = ใช้เวลาปกติจากข้อมูล + grace นาที
+  missingLog: { time: "", grace: 30 },
+};
+
+// ── rules ──
+// records ที่เพิ่งเข้ามา (diff.added ของ changes.js) → alert ของแถวที่ reminder ล้ม
+// NoteType ว่าง = แถวใหม่ที่ bot ยังไม่เขียนสถานะ (ปกติ ไม่ใช่ความผิดพลาด) · กรอกย้อนหลังไม่มี reminder ให้ล้ม → ไม่เตือนทั้งคู่
+export const failedRecordAlerts = records => records
+  .filter(r => statusKind(r.status) === "fail")
+  .map(r => ({
+    id: `failedRecord:${r.key}`, rule: "failedRecord",
+    key: r.key, day: r.day, time: r.time, location: r.location, status: r.status,
+  }));
+
+// เวลาปกติที่บันทึกครั้งแรกของวันทำงาน (นาที) — สถานที่ที่เฉลี่ยเช้าสุด และมีข้อมูลพอ (ไม่มี → null)
+export function usualFirstLog(records) {
+  const usual = avgArrivalByLocation(records.filter(r => r.day && !isWeekend(r.day)))
+    .filter(l => l.count >= MIN_SAMPLES);
+  return usual.length ? usual[0].avg : null;
+}
+
+// เส้นตายของวันนี้ (นาทีนับจากเที่ยงคืน) — null = คำนวณไม่ได้
+export function missingLogDeadline(records, { time = "", grace = 0 } = {}) {
+  const fixed = minutesOf(time);
+  if (fixed !== null) return fixed;
+  const usual = usualFirstLog(records);
+  return usual === null ? null : Math.round(usual + Number(grace || 0));
+}
+
+export function missingLogAlert(records, { now = new Date(), holidays = [], time, grace } = {}) {
+  const today = todayKey(now);
+  if (!isWorkday(today, new Set(holidays))) return null;
+  if (records.some(r => r.day === today)) return null;
+  const deadline = missingLogDeadline(records, { time, grace });
+  if (deadline === null || minutesOfDay(now) < deadline) return null;
+  return { id: `missingLog:${today}`, rule: "missingLog", day: today, deadline: fmtMinutes(deadline) };
+}
+
+// ── store ──
+// { items: alert[] ใหม่ → เก่า, seen: id[] }
+export function loadAlerts() {
+  try {
+    const s = JSON.parse(localStorage.getItem(ALERTS_KEY));
+    if (Array.isArray(s?.items) && Array.isArray(s?.seen)) return s;
+  } catch { /* ignore */ }
+  return { items: [], seen: [] };
+}
+
+export function saveAlerts(store) {
+  try { localStorage.setItem(ALERTS_KEY, JSON.stringify(store)); } catch { /* storage ปิด */ }
+}
+
+// เพิ่ม alert ที่ยังไม่เคยแจ้ง → { store, fresh } (fresh = ที่เพิ่งเพิ่ม สำหรับ Web Notification)
+export function addAlerts(store, alerts, at = new Date().toISOString()) {
+  const seen = new Set(store.seen);
+  const fresh = alerts.filter(a => !seen.has(a.id) && seen.add(a.id)).map(a => ({ ...a, at, read: false }));
+  if (!fresh.length) return { store, fresh };
+  return {
+    store: { items: [...fresh, ...store.items].slice(0, MAX_ALERTS), seen: [...seen].slice(-MAX_SEEN) },
+    fresh,
+  };
+}
+
+export const unreadCount = store => store.items.filter(a => !a.read).length;
+
+export function loadAlertSettings() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (s && typeof s === "object") {
+      return {
+        ...DEFAULT_ALERT_SETTINGS, ...s,
+        rules: { ...DEFAULT_ALERT_SETTINGS.rules, ...s.rules },
+        missingLog: { ...DEFAULT_ALERT_SETTINGS.missingLog, ...s.missingLog },
+      };
+    }
+  } catch { /* ignore */ }
+  return DEFAULT_ALERT_SETTINGS;
+}
+
+export function saveAlertSettings(settings) {
+  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); } catch { /* storage ปิด */ }
+}
+
+// ── Web Notification ──
+export const notificationPermission = () => (typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+export async function requestNotificationPermission() {
+  if (typeof Notification === "undefined") return "unsupported";
+  return Notification.requestPermission();
+}
+
+// ผ่าน service worker ถ้ามี (มือถือ Android ใช้ new Notification() ไม่ได้) · tag = id → OS ไม่ซ้อนอันเดิม
+export async function showNotification(title, { body, tag, icon } = {}) {
+  if (notificationPermission() !== "granted") return;
+  const options = { body, tag, icon };
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) return void (await reg.showNotification(title, options));
+    new Notification(title, options);
+  } catch { /* เบราว์เซอร์ไม่ยอม → เหลือแค่ศูนย์แจ้งเตือนในหน้า */ }
+}
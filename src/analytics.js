@@ -0,0 +1,195 @@
+import { getLocation } from "./locations.js";
+import { inRange, previousRange } from "./dateRange.js";
+import { isWeekend, minutesOf, fmtMinutes, weekdayOf, weekdayOrder } from "./dates.js";
+import { timeStats, circularMean, unwrap, isOutlier, quantile, wrapMinutes } from "./stats.js";
+import { statusKind, failureReason } from "./status.js";
+
+// ━━━ Analytics ━━━
+// aggregate ทั้งหมดของ dashboard เป็นฟังก์ชัน pure (ไม่พึ่ง React / DOM)
+// ใช้ร่วมกันระหว่าง UI (useMemo) และ scripts/report.js
+// input = records จาก parseRows().accepted
+//
+//   filterRecords(records, { range, location })  → records ในช่วงวันที่ / สถานที่
+//   countByLocation(records)                      → { [location]: n }
+//   locationDistribution(records)                 → [{ name, value }] มาก → น้อย
+//   floorDistribution(records)                    → { [location]: [{ floor, count }] } มาก → น้อย (ทุกสถานที่ที่มีชั้น)
+//   avgArrivalByLocation(records)                 → [{ location, avg, display, count }] เช้า → ค่ำ (circular mean)
+//   arrivalStatsByLocation(records)               → [{ location, median, p10, p90, spread, histogram, weekdays, … }]
+//   arrivalTrend(records)                         → [{ day, date, [id]: median, [id_n]: count, [id_out]: outlier }] วันทำงานเท่านั้น
+//   dailyCounts(records)                          → [{ day, date, count }]
+//   recentRecords(records, n = 12)                → n records ล่าสุด
+//   latestRecord(records)                         → record ที่ timestamp ใหม่สุด (หรือ undefined)
+//   summarize(records, range)                     → สรุปช่วงวันที่ (ใช้ใน report) พร้อมเทียบช่วงก่อนหน้า
+//   reliability(records, { threshold })           → อัตราส่ง reminder สำเร็จรายวัน + สาเหตุที่ fail
+
+// range: { from, to } (day key) · location: ชื่อสถานที่ หรือ "all"
+export function filterRecords(records, { range, location = "all" } = {}) {
+  const bounded = range && (range.from || range.to);
+  return records.filter(d =>
+    (!bounded || inRange(d.day, range)) && (location === "all" || d.location === location)
+  );
+}
+
+export function countByLocation(records) {
+  const c = {};
+  records.forEach(d => c[d.location] = (c[d.location] || 0) + 1);
+  return c;
+}
+
+export const locationDistribution = records =>
+  Object.entries(countByLocation(records)).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
+
+export function floorDistribution(records) {
+  const byLoc = {};
+  records.filter(d => d.floor)
+    .forEach(d => {
+      const c = byLoc[d.location] ||= {};
+      c[d.floor] = (c[d.floor] || 0) + 1;
+    });
+  return Object.fromEntries(Object.entries(byLoc).map(([l, c]) => [
+    l, Object.entries(c).map(([floor, count]) => ({ floor, count })).sort((a, b) => b.count - a.count),
+  ]));
+}
+
+// เวลาทั้งหมดต่อสถานที่ (นาที) พร้อมวันของแต่ละค่า
+function timesByLocation(records) {
+  const g = {};
+  records.forEach(d => {
+    const min = minutesOf(d.time);
+    if (!d.location || min === null) return;
+    (g[d.location] ||= []).push({ min, day: d.day });
+  });
+  return g;
+}
+
+// circular mean → 23:50 กับ 00:10 เฉลี่ยได้ 00:00 ไม่ใช่ 12:00
+export function avgArrivalByLocation(records) {
+  return Object.entries(timesByLocation(records)).map(([location, list]) => {
+    const avg = circularMean(list.map(t => t.min));
+    return { location, display: fmtMinutes(avg), avg, count: list.length };
+  }).sort((a, b) => a.avg - b.avg);
+}
+
+// binMinutes = ความกว้างของแท่ง histogram (แต่ละแท่ง = [from, to)) · แกนเริ่มที่ 12 ชม. ก่อนค่ากลาง → กลุ่มข้ามเที่ยงคืนไม่ถูกตัดครึ่ง
+export function arrivalStatsByLocation(records, { binMinutes = 30 } = {}) {
+  return Object.entries(timesByLocation(records)).map(([location, list]) => {
+    const stats = timeStats(list.map(t => t.min));
+    const bins = {};
+    list.forEach(({ min }) => {
+      const v = unwrap(min, stats.center);
+      const b = Math.floor(v / binMinutes) * binMinutes;
+      bins[b] = (bins[b] || 0) + 1;
+    });
+    const keys = Object.keys(bins).map(Number);
+    const histogram = [];
+    for (let b = Math.min(...keys); b <= Math.max(...keys); b += binMinutes) {
+      histogram.push({ bin: fmtMinutes(b), from: b, to: b + binMinutes, count: bins[b] || 0 });
+    }
+    const byDow = {};
+    list.forEach(({ min, day }) => { if (day) (byDow[weekdayOf(day)] ||= []).push(unwrap(min, stats.center)); });
+    const weekdays = weekdayOrder().map(dow => {
+      const v = (byDow[dow] || []).sort((a, b) => a - b);
+      return { dow, count: v.length, median: v.length ? quantile(v, 0.5) : null };
+    });
+    return {
+      location, ...stats,
+      display: { median: fmtMinutes(stats.median), p10: fmtMinutes(stats.p10), p90: fmtMinutes(stats.p90), center: fmtMinutes(stats.center) },
+      histogram, weekdays,
+    };
+  }).sort((a, b) => wrapMinutes(a.median) - wrapMinutes(b.median));
+}
+
+// ทุก record ของวันนั้นนับหมด (ไม่ทับกัน) → ใช้ median ของวัน · _out = วันที่เป็น outlier ของสถานที่นั้น
+export function arrivalTrend(records) {
+  const groups = timesByLocation(records.filter(d => d.day && !isWeekend(d.day)));
+  const byDate = {};
+  Object.entries(groups).forEach(([location, list]) => {
+    const stats = timeStats(list.map(t => t.min));
+    const id = getLocation(location).id;
+    const perDay = {};
+    list.forEach(({ min, day }) => (perDay[day] ||= []).push(unwrap(min, stats.center)));
+    Object.entries(perDay).forEach(([day, v]) => {
+      const median = quantile(v.sort((a, b) => a - b), 0.5);
+      const row = byDate[day] ||= {};
+      row[id] = median;
+      row[`${id}_n`] = v.length;
+      row[`${id}_out`] = isOutlier(median, stats);
+    });
+  });
+  return Object.entries(byDate)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([day, times]) => ({ day, date: day.slice(5), ...times }));
+}
+
+export function dailyCounts(records) {
+  const c = {};
+  records.forEach(d => { if (d.day) c[d.day] = (c[d.day] || 0) + 1; });
+  return Object.entries(c).sort(([a], [b]) => a.localeCompare(b)).map(([day, count]) => ({ day, date: day.slice(5), count }));
+}
+
+export const recentRecords = (records, n = 12) =>
+  [...records].sort((a, b) => b.day.localeCompare(a.day) || b.timestamp.localeCompare(a.timestamp)).slice(0, n);
+
+export function latestRecord(records) {
+  return records.reduce((best, d) => {
+    const t = new Date(d.timestamp).getTime();
+    return !isNaN(t) && (!best || t > best.t) ? { t, d } : best;
+  }, null)?.d;
+}
+
+// สรุปช่วงวันที่หนึ่ง — ใช้โดย report CLI (weekly summary) · previous = ช่วงก่อนหน้าที่ยาวเท่ากัน
+export function summarize(records, range) {
+  const rows = filterRecords(records, { range });
+  const prev = previousRange(range);
+  const prevRows = prev ? filterRecords(records, { range: prev }) : [];
+  const floors = floorDistribution(rows);
+  return {
+    range,
+    total: rows.length,
+    previousTotal: prevRows.length,
+    byLocation: countByLocation(rows),
+    avgArrival: avgArrivalByLocation(rows).map(({ location, display, count }) => ({ location, display, count })),
+    topFloors: Object.fromEntries(Object.entries(floors).map(([l, list]) => [l, list[0].floor])),
+    daily: dailyCounts(rows).map(({ day, count }) => ({ day, count })),
+    daysLogged: new Set(rows.map(r => r.day)).size,
+  };
+}
+
+// ความน่าเชื่อถือของ reminder bot
+// rate = sent / (sent + fail) — แถวกรอกย้อนหลังไม่มี reminder จึงไม่นับใน rate แต่คิดเป็น backfillShare
+// total = แถวที่นับ (ไม่รวม pending / ไม่มีวัน) — ตัวหารของ backfillShare
+// แถว pending (ยังไม่ถึง sheet) ยังไม่มีผลของ reminder → ข้าม · none (NoteType ว่าง) / manual (ฟอร์ม) นับแยก ไม่เข้า rate / backfill
+// lowDays = วันที่ rate < threshold (0–1)
+export function reliability(records, { threshold = 0.8 } = {}) {
+  const byDay = {};
+  const reasons = {};
+  const totals = { sent: 0, fail: 0, backfill: 0, manual: 0, none: 0 };
+  records.forEach(r => {
+    const kind = statusKind(r.status);
+    if (!r.day || kind === "pending") return;
+    const d = byDay[r.day] ||= { sent: 0, fail: 0, backfill: 0, manual: 0, none: 0 };
+    d[kind]++;
+    totals[kind]++;
+    if (kind === "fail") {
+      const reason = failureReason(r.status);
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    }
+  });
+  const rate = ({ sent, fail }) => (sent + fail ? sent / (sent + fail) : null);
+  const daily = Object.entries(byDay)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([day, c]) => {
+      const r = rate(c);
+      return { day, date: day.slice(5), ...c, rate: r, low: r !== null && r < threshold };
+    });
+  const total = totals.sent + totals.fail + totals.backfill + totals.manual + totals.none;
+  return {
+    ...totals,
+    total,
+    rate: rate(totals),
+    backfillShare: total ? totals.backfill / total : 0,
+    daily,
+    lowDays: daily.filter(d => d.low),
+    failureReasons: Object.entries(reasons).map(([reason, count]) => ({ reason, count })).sort((a, b) => b.count - a.count),
+  };
+}
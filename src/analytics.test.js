@@ -0,0 +1,88 @@
+import { describe, it, expect } from "vitest";
+import {
+  filterRecords, countByLocation, locationDistribution, floorDistribution, avgArrivalByLocation,
+  arrivalTrend, dailyCounts, recentRecords, latestRecord, summarize,
+} from "./analytics.js";
+import { getLocation } from "./locations.js";
+
+// 2026-10-19 = จันทร์ · 10-17 / 10-18 = เสาร์ / อาทิตย์
+const rec = (day, time, location = "คอนโด", floor = "") => ({
+  day, time, location, floor, timestamp: `${day}T${time}:00+07:00`, status: "SENT",
+});
+const records = [
+  rec("2026-10-12", "08:30", "คอนโด", "B1"),
+  rec("2026-10-13", "08:40", "คอนโด", "B1"),
+  rec("2026-10-13", "18:10", "ออฟฟิศ", "3"),
+  rec("2026-10-17", "10:00", "คอนโด", "B2"),
+  rec("2026-10-19", "08:20", "คอนโด", "B1"),
+  rec("2026-10-19", "08:50", "คอนโด", ""),
+];
+
+describe("filtering and counting", () => {
+  it("filters by day range and location", () => {
+    expect(filterRecords(records, { range: { from: "2026-10-13", to: "2026-10-17" } })).toHaveLength(3);
+    expect(filterRecords(records, { location: "ออฟฟิศ" })).toHaveLength(1);
+    expect(filterRecords(records, { range: { from: "", to: "" } })).toHaveLength(records.length);
+  });
+
+  it("counts and ranks locations", () => {
+    expect(countByLocation(records)).toEqual({ "คอนโด": 5, "ออฟฟิศ": 1 });
+    expect(locationDistribution(records)).toEqual([{ name: "คอนโด", value: 5 }, { name: "ออฟฟิศ", value: 1 }]);
+  });
+
+  it("counts floors per location, most used first, skipping empty floors", () => {
+    expect(floorDistribution(records)).toEqual({
+      "คอนโด": [{ floor: "B1", count: 3 }, { floor: "B2", count: 1 }],
+      "ออฟฟิศ": [{ floor: "3", count: 1 }],
+    });
+  });
+
+  it("counts records per day in order", () => {
+    expect(dailyCounts(records).map(d => [d.day, d.count])).toEqual([
+      ["2026-10-12", 1], ["2026-10-13", 2], ["2026-10-17", 1], ["2026-10-19", 2],
+    ]);
+  });
+});
+
+describe("arrival times", () => {
+  it("averages across midnight with a circular mean", () => {
+    const [avg] = avgArrivalByLocation([rec("2026-10-12", "23:50"), rec("2026-10-13", "00:10")]);
+    expect(avg.display).toBe("00:00");
+    expect(avg.count).toBe(2);
+  });
+
+  it("sorts locations from earliest to latest average", () => {
+    expect(avgArrivalByLocation(records).map(l => l.location)).toEqual(["คอนโด", "ออฟฟิศ"]);
+  });
+
+  it("trend keeps workdays only and uses the median of each day", () => {
+    const id = getLocation("คอนโด").id;
+    const trend = arrivalTrend(records);
+    expect(trend.map(d => d.day)).toEqual(["2026-10-12", "2026-10-13", "2026-10-19"]);
+    const monday = trend.at(-1);
+    expect(monday[id]).toBe(8 * 60 + 35);
+    expect(monday[`${id}_n`]).toBe(2);
+  });
+});
+
+describe("latest records", () => {
+  it("recentRecords sorts newest first and limits the count", () => {
+    expect(recentRecords(records, 2).map(r => r.time)).toEqual(["08:50", "08:20"]);
+  });
+
+  it("latestRecord ignores unreadable timestamps", () => {
+    expect(latestRecord([...records, { ...records[0], timestamp: "garbage" }]).time).toBe("08:50");
+    expect(latestRecord([])).toBeUndefined();
+  });
+});
+
+describe("summarize", () => {
+  it("summarises a week and compares it with the week before", () => {
+    const s = summarize(records, { from: "2026-10-13", to: "2026-10-19" });
+    expect(s.total).toBe(5);
+    expect(s.previousTotal).toBe(1);
+    expect(s.byLocation).toEqual({ "คอนโด": 4, "ออฟฟิศ": 1 });
+    expect(s.topFloors).toEqual({ "คอนโด": "B1", "ออฟฟิศ": "3" });
+    expect(s.daysLogged).toBe(3);
+  });
+});
@@ -0,0 +1,86 @@
+import { hashContent } from "./refresh.js";
+
+// ━━━ Change tracking ━━━
+// เทียบ records ระหว่างรอบ fetch / ระหว่างการเข้าหน้าแต่ละครั้ง
+//   key   = record.key จาก parseRows (timestamp ของ form — ไม่เปลี่ยนแม้แก้แถวในชีต)
+//   hash  = ค่าของคอลัมน์ที่แก้ได้ → ต่างกัน = แถวถูกแก้
+// snapshot ล่าสุดเก็บใน localStorage → เข้าหน้าครั้งหน้ารู้ว่ามีอะไรใหม่ตั้งแต่ครั้งก่อน
+
+const SNAPSHOT_KEY = "carpark.snapshot";
+const LOG_KEY = "carpark.changeLog";
+export const MAX_LOG = 20;
+const MAX_ITEMS = 5;
+
+const FIELDS = ["location", "floor", "note", "mapUrl", "time", "exitDate", "status"];
+
+export const rowKey = r => r.key || r.timestamp;
+
+// records → { rows: { [key]: hash }, ... } (เก็บแค่ hash ของแต่ละแถว ให้ localStorage เล็ก)
+export const snapshotOf = (records, meta = {}) => ({
+  ...meta,
+  at: new Date().toISOString(),
+  rows: Object.fromEntries(records.map(r => [rowKey(r), hashContent(FIELDS.map(f => r[f] ?? ""))])),
+  // ค่าเต็มของแถว (สำหรับบอกว่าแก้ช่องไหน) เก็บเฉพาะในหน่วยความจำ
+  values: Object.fromEntries(records.map(r => [rowKey(r), Object.fromEntries(FIELDS.map(f => [f, r[f] ?? ""]))])),
+});
+
+// prev/next = snapshotOf(...) → { added, changed: [{ key, fields }], removed } (keys)
+export function diffSnapshots(prev, next) {
+  const added = [], changed = [], removed = [];
+  Object.entries(next.rows).forEach(([key, h]) => {
+    if (!(key in prev.rows)) added.push(key);
+    else if (prev.rows[key] !== h) {
+      const a = prev.values?.[key], b = next.values[key];
+      changed.push({ key, fields: a ? FIELDS.filter(f => a[f] !== b[f]) : [] });
+    }
+  });
+  Object.keys(prev.rows).forEach(key => { if (!(key in next.rows)) removed.push(key); });
+  return { added, changed, removed };
+}
+
+export const isEmptyDiff = d => !d.added.length && !d.changed.length && !d.removed.length;
+
+// diff → รายการใน change log (เก็บตัวอย่างแถวไม่เกิน MAX_ITEMS)
+// item เก็บค่าดิบ (ไม่ใช่ข้อความ) → แสดงตามภาษาที่เลือกตอน render (ดู ChangeLogPanel)
+export function changeLogEntry(diff, records) {
+  const byKey = new Map(records.map(r => [rowKey(r), r]));
+  const row = key => {
+    const r = byKey.get(key);
+    return r ? { key, day: r.day, time: r.time, location: r.location, floor: r.floor } : { key };
+  };
+  const items = [
+    ...diff.added.map(key => ({ kind: "new", ...row(key) })),
+    ...diff.changed.map(({ key, fields }) => ({ kind: "changed", ...row(key), fields })),
+    ...diff.removed.map(key => ({ kind: "removed", key })),
+  ];
+  return {
+    at: new Date().toISOString(),
+    added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length,
+    items: items.slice(0, MAX_ITEMS),
+  };
+}
+
+// ── persistence ──
+export function loadLastSeen() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SNAPSHOT_KEY));
+    if (s?.rows) return s;
+  } catch { /* ignore */ }
+  return null;
+}
+
+export function saveLastSeen({ values, ...snapshot }) {
+  try { localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(snapshot)); } catch { /* storage เต็ม / ปิด */ }
+}
+
+export function loadChangeLog() {
+  try {
+    const log = JSON.parse(localStorage.getItem(LOG_KEY));
+    if (Array.isArray(log)) return log;
+  } catch { /* ignore */ }
+  return [];
+}
+
+export function saveChangeLog(log) {
+  try { localStorage.setItem(LOG_KEY, JSON.stringify(log.slice(0, MAX_LOG))); } catch { /* storage ปิด */ }
+}
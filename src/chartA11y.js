@@ -0,0 +1,84 @@
+import { fmtMinutes } from "./dates.js";
+import { t, locLabel, fmtPercent } from "./i18n.js";
+
+// ━━━ Chart accessibility ━━━
+// ข้อมูลกราฟ → { summary, table } สำหรับ ChartCard
+//   summary = ประโยคสรุปให้ screen reader (aria-describedby ของการ์ด)
+//   table   = { columns, rows } ข้อมูลชุดเดียวกับกราฟ (ปุ่ม "ตาราง") · คอลัมน์แรก = หัวแถว
+// เรียกตอน render เท่านั้น (ผลของ t() เปลี่ยนตามภาษา) · input = ผลจาก analytics.js / sessions.js
+//
+//   locShareA11y(locDist)                 → [{ name, value }]
+//   floorsA11y(dist)                      → [{ floor, count }]
+//   trendA11y(trend, locations)           → arrivalTrend + locationsIn
+//   dailyA11y(daily)                      → dailyCounts
+//   commuteA11y(trend, routes, label)     → ระยะเวลาต่อวันต่อเส้นทาง + routeSummary
+//   reliabilityA11y(rel)                  → reliability(records)
+
+const empty = columns => ({ summary: t("a11y.empty"), table: { columns, rows: [] } });
+
+export function locShareA11y(locDist) {
+  const columns = [t("col.location"), t("chart.count"), t("a11y.share")];
+  if (!locDist.length) return empty(columns);
+  const total = locDist.reduce((s, d) => s + d.value, 0);
+  const [top] = locDist;
+  return {
+    summary: t("a11y.locShare", { n: locDist.length, top: locLabel(top.name), count: top.value, pct: fmtPercent(top.value / total) }),
+    table: { columns, rows: locDist.map(d => [locLabel(d.name), d.value, fmtPercent(d.value / total)]) },
+  };
+}
+
+export function floorsA11y(dist) {
+  const columns = [t("col.floor"), t("chart.count")];
+  if (!dist.length) return empty(columns);
+  return {
+    summary: t("a11y.floors", { n: dist.length, top: dist[0].floor, count: dist[0].count }),
+    table: { columns, rows: dist.map(d => [d.floor, d.count]) },
+  };
+}
+
+// trend มีค่าเฉพาะวันที่มีบันทึกของสถานที่นั้น → ช่วง min–max + ค่าล่าสุดต่อสถานที่
+export function trendA11y(trend, locations) {
+  const columns = [t("col.day"), ...locations.map(l => locLabel(l.name))];
+  if (!trend.length) return empty(columns);
+  const parts = locations.map(l => {
+    const values = trend.map(d => d[l.id]).filter(v => v !== undefined);
+    if (!values.length) return null;
+    return t("a11y.trendPart", {
+      loc: locLabel(l.name), from: fmtMinutes(Math.min(...values)), to: fmtMinutes(Math.max(...values)), last: fmtMinutes(values.at(-1)),
+    });
+  }).filter(Boolean);
+  return {
+    summary: t("a11y.trend", { n: trend.length, parts: parts.join("; ") }),
+    table: { columns, rows: trend.map(d => [d.day, ...locations.map(l => (d[l.id] === undefined ? null : fmtMinutes(d[l.id])))]) },
+  };
+}
+
+export function dailyA11y(daily) {
+  const columns = [t("col.day"), t("chart.dailySeries")];
+  if (!daily.length) return empty(columns);
+  const top = daily.reduce((a, b) => (b.count > a.count ? b : a));
+  return {
+    summary: t("a11y.daily", { n: daily.length, total: daily.reduce((s, d) => s + d.count, 0), top: top.day, count: top.count }),
+    table: { columns, rows: daily.map(d => [d.day, d.count]) },
+  };
+}
+
+// label(from, to) = ชื่อเส้นทางตามที่แสดงในกราฟ
+export function commuteA11y(trend, routes, label) {
+  const columns = [t("col.day"), ...routes.map(r => label(r.from, r.to))];
+  if (!routes.length) return empty(columns);
+  const parts = routes.map(r => t("a11y.commutePart", { route: label(r.from, r.to), min: Math.round(r.medianDuration) }));
+  return {
+    summary: t("a11y.commute", { n: routes.length, parts: parts.join("; ") }),
+    table: { columns, rows: trend.map(d => [d.day, ...routes.map(r => d[r.route] ?? null)]) },
+  };
+}
+
+export function reliabilityA11y(rel) {
+  const columns = [t("col.day"), t("reliability.sent"), t("reliability.failSeries"), t("reliability.backfill"), t("reliability.successSeries")];
+  if (!rel.daily.length) return empty(columns);
+  return {
+    summary: t("a11y.reliability", { n: rel.daily.length, rate: fmtPercent(rel.rate), low: rel.lowDays.length }),
+    table: { columns, rows: rel.daily.map(d => [d.day, d.sent, d.fail, d.backfill, fmtPercent(d.rate)]) },
+  };
+}
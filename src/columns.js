@@ -0,0 +1,71 @@
+// ━━━ Column schema ━━━
+// แต่ละ field ของ record → หัวคอลัมน์ใน sheet (aliases)
+// เทียบแบบ trim + ไม่สนตัวพิมพ์ ดังนั้น "exitDateReminder " (มี space ท้าย) ก็ match ได้
+// เวอร์ชันใหม่อยู่บนสุด — detectSchema จะลองจากบนลงล่าง
+
+export const SCHEMAS = [
+  {
+    version: 2,
+    label: "ฟอร์มปัจจุบัน (มี reminder bot)",
+    fields: {
+      timestamp: { aliases: ["Date", "Timestamp", "ประทับเวลา"], required: true },
+      location: { aliases: ["parkingLocation", "location", "สถานที่"], required: true },
+      floor: { aliases: ["parkingFloor", "floor", "ชั้น"] },
+      note: { aliases: ["note", "notes", "หมายเหตุ"] },
+      mapUrl: { aliases: ["parkingMap", "map", "mapUrl"] },
+      time: { aliases: ["timeForgot", "time", "เวลา"] },
+      exitDate: { aliases: ["exitDateReminder", "exitDate"], required: true },
+      status: { aliases: ["NoteType", "status", "สถานะ"], required: true },
+    },
+  },
+  {
+    version: 1,
+    label: "ฟอร์มแรก (ก่อนมี reminder)",
+    fields: {
+      timestamp: { aliases: ["Date", "Timestamp", "ประทับเวลา"], required: true },
+      location: { aliases: ["parkingLocation", "location", "สถานที่"], required: true },
+      floor: { aliases: ["parkingFloor", "floor", "ชั้น"] },
+      note: { aliases: ["note", "notes", "หมายเหตุ"] },
+      mapUrl: { aliases: ["parkingMap", "map", "mapUrl"] },
+      time: { aliases: ["timeForgot", "time", "เวลา"] },
+    },
+  },
+];
+
+export class SchemaError extends Error {
+  constructor(missing, schema) {
+    super(`Missing column(s): ${missing.join(", ")}`);
+    this.name = "SchemaError";
+    this.missing = missing;
+    this.schema = schema;
+  }
+}
+
+const norm = h => String(h).trim().toLowerCase();
+
+// หา header จริงใน sheet ของแต่ละ field ตาม schema ที่ให้
+function mapColumns(schema, headers) {
+  const byNorm = new Map(headers.map(h => [norm(h), h]));
+  const columns = {};
+  const missing = [];
+  Object.entries(schema.fields).forEach(([field, def]) => {
+    const hit = def.aliases.find(a => byNorm.has(norm(a)));
+    if (hit) columns[field] = byNorm.get(norm(hit));
+    else if (def.required) missing.push(def.aliases[0]);
+  });
+  return { columns, missing };
+}
+
+// เลือก schema ที่ header ครบ (required) — ถ้าระบุ version จะใช้ตัวนั้นเท่านั้น
+// ไม่มีตัวไหนผ่าน → SchemaError พร้อมชื่อคอลัมน์ที่ขาด (ของ schema ที่ใกล้ที่สุด)
+export function detectSchema(headers, { version, schemas = SCHEMAS } = {}) {
+  const candidates = version ? schemas.filter(s => String(s.version) === String(version)) : schemas;
+  if (!candidates.length) throw new Error(`Unknown schema version: ${version}`);
+  let best = null;
+  for (const schema of candidates) {
+    const { columns, missing } = mapColumns(schema, headers);
+    if (!missing.length) return { schema, columns };
+    if (!best || missing.length < best.missing.length) best = { schema, missing };
+  }
+  throw new SchemaError(best.missing, best.schema);
+}
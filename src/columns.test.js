@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { detectSchema, SchemaError } from "./columns.js";
+
+const V2 = ["Date", "parkingLocation", "parkingFloor", "note", "parkingMap", "timeForgot", "exitDateReminder ", "NoteType"];
+
+describe("detectSchema", () => {
+  it("maps every field of the current sheet, including the trailing-space header", () => {
+    const { schema, columns } = detectSchema(V2);
+    expect(schema.version).toBe(2);
+    expect(columns.exitDate).toBe("exitDateReminder ");
+    expect(columns.status).toBe("NoteType");
+    expect(columns.timestamp).toBe("Date");
+  });
+
+  it("matches aliases case-insensitively and in Thai", () => {
+    const { schema, columns } = detectSchema(["ประทับเวลา", "สถานที่", "ชั้น", "exitdate", "STATUS"]);
+    expect(schema.version).toBe(2);
+    expect(columns).toMatchObject({ timestamp: "ประทับเวลา", location: "สถานที่", floor: "ชั้น", exitDate: "exitdate", status: "STATUS" });
+    expect(columns.note).toBeUndefined();
+  });
+
+  it("falls back to the older schema when the v2-only columns are missing", () => {
+    const { schema } = detectSchema(["Timestamp", "parkingLocation", "timeForgot"]);
+    expect(schema.version).toBe(1);
+  });
+
+  it("throws SchemaError with the missing columns of the closest schema", () => {
+    const err = (() => { try { detectSchema(["Date", "note"]); } catch (e) { return e; } })();
+    expect(err).toBeInstanceOf(SchemaError);
+    expect(err.name).toBe("SchemaError");
+    expect(err.schema.version).toBe(1);
+    expect(err.missing).toEqual(["parkingLocation"]);
+  });
+
+  it("a forced version only accepts that schema", () => {
+    expect(() => detectSchema(["Timestamp", "parkingLocation"], { version: 2 })).toThrow(SchemaError);
+    expect(detectSchema(V2, { version: "1" }).schema.version).toBe(1);
+    expect(() => detectSchema(V2, { version: 9 })).toThrow("Unknown schema version: 9");
+  });
+});
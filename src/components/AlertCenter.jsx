@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { C } from "../theme";
+import { ALERT_RULES, notificationPermission, requestNotificationPermission } from "../alerts";
+import { fmtDateTime, fmtMinutes } from "../dates";
+import { t, locLabel } from "../i18n";
+
+const TONE = { failedRecord: "red", missingLog: "yellow" };
+
+// alert (ค่าดิบ จาก alerts.js) → ข้อความตามภาษาปัจจุบัน · ใช้ทั้งในหน้าและ Web Notification
+export function alertText(a) {
+  if (a.rule === "failedRecord") {
+    return {
+      title: t("alerts.failedTitle"),
+      body: t("alerts.failedBody", { day: a.day, time: a.time || "", loc: locLabel(a.location), status: a.status || "—" }),
+    };
+  }
+  return { title: t("alerts.missingTitle"), body: t("alerts.missingBody", { day: a.day, deadline: a.deadline }) };
+}
+
+// ━━━ Alert centre ━━━
+// store = { items, seen } (ดู alerts.js) · deadline = เส้นตายของกฎ missingLog วันนี้ (นาที / null)
+export default function AlertCenter({ store, settings, onSettings, deadline, onMarkRead, onClear }) {
+  const [permission, setPermission] = useState(notificationPermission);
+  const input = { border: `1px solid ${C.border}`, borderRadius: 8, padding: "4px 8px", fontSize: 12, fontFamily: "inherit", background: C.card, color: C.tx };
+  const btn = { border: `1px solid ${C.border}`, background: C.bg2, borderRadius: 8, padding: "4px 12px", fontSize: 12, fontFamily: "inherit", cursor: "pointer", color: C.txm };
+
+  const toggleNotify = async on => {
+    if (!on) return onSettings({ ...settings, notify: false });
+    const p = permission === "granted" ? permission : await requestNotificationPermission();
+    setPermission(p);
+    if (p === "granted") onSettings({ ...settings, notify: true });
+  };
+  const setMissing = patch => onSettings({ ...settings, missingLog: { ...settings.missingLog, ...patch } });
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 24, border: `1px solid ${C.border}`, marginTop: 20,
+      animation: "fadeUp .3s ease both",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 14, flexWrap: "wrap" }}>
+        <div>
+          <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700 }}>{t("alerts.title")}</h3>
+          <p style={{ margin: 0, fontSize: 11, color: C.txm }}>{t("alerts.subtitle")}</p>
+        </div>
+        <button onClick={onMarkRead} style={{ ...btn, marginLeft: "auto" }}>{t("alerts.markRead")}</button>
+        <button onClick={onClear} style={btn}>{t("alerts.clear")}</button>
+      </div>
+
+      <div className="grid-2col" style={{ gap: 16 }}>
+        <div>
+          <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("alerts.rules")}</div>
+          {ALERT_RULES.map(rule => (
+            <label key={rule} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, padding: "3px 0", cursor: "pointer" }}>
+              <input type="checkbox" checked={!!settings.rules[rule]}
+                onChange={e => onSettings({ ...settings, rules: { ...settings.rules, [rule]: e.target.checked } })} />
+              {t(`alerts.rule.${rule}`)}
+            </label>
+          ))}
+          <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 12, color: C.txm, margin: "6px 0 0 24px" }}>
+            <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              {t("alerts.deadline")}
+              <input type="time" value={settings.missingLog.time} onChange={e => setMissing({ time: e.target.value })} style={input} />
+            </label>
+            {!settings.missingLog.time && (
+              <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                {t("alerts.grace")}
+                <input type="number" min={0} max={240} step={5} value={settings.missingLog.grace}
+                  onChange={e => setMissing({ grace: Math.max(0, Number(e.target.value) || 0) })} style={{ ...input, width: 64 }} />
+              </label>
+            )}
+            <span style={{ color: C.txd, fontSize: 11 }}>
+              {deadline === null ? t("alerts.noUsual") : t("alerts.today", { time: fmtMinutes(deadline) })}
+            </span>
+          </div>
+
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, padding: "10px 0 3px", cursor: permission === "unsupported" ? "default" : "pointer" }}>
+            <input type="checkbox" checked={settings.notify && permission === "granted"} disabled={permission === "unsupported" || permission === "denied"}
+              onChange={e => toggleNotify(e.target.checked)} />
+            {t("alerts.notify")}
+          </label>
+          {(permission === "denied" || permission === "unsupported") && (
+            <div style={{ fontSize: 11, color: C.txd, marginLeft: 24 }}>{t(`alerts.${permission}`)}</div>
+          )}
+        </div>
+
+        <div style={{ maxHeight: 240, overflowY: "auto" }}>
+          {store.items.length ? store.items.map(a => {
+            const { title, body } = alertText(a);
+            const color = C[TONE[a.rule]];
+            return (
+              <div key={a.id} style={{ padding: "8px 0 8px 10px", borderTop: `1px solid ${C.border}`, borderLeft: `3px solid ${a.read ? C.border : color}` }}>
+                <div style={{ display: "flex", gap: 8, fontSize: 12, fontWeight: a.read ? 500 : 700 }}>
+                  {title}
+                  <span style={{ marginLeft: "auto", fontFamily: "'JetBrains Mono'", fontSize: 11, fontWeight: 400, color: C.txm, whiteSpace: "nowrap" }}>{fmtDateTime(a.at)}</span>
+                </div>
+                <div style={{ fontSize: 11, color: C.txm, marginTop: 2 }}>{body}</div>
+              </div>
+            );
+          }) : <div style={{ fontSize: 12, color: C.txd }}>{t("alerts.empty")}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
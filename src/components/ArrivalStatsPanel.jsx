@@ -0,0 +1,87 @@
+import { useState } from "react";
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from "recharts";
+import { C } from "../theme";
+import { locClr, locIco } from "../locations";
+import { fmtMinutes } from "../dates";
+import { t, locLabel, weekdayLabel } from "../i18n";
+import Tip from "./Tip";
+import LocationTabs from "./LocationTabs";
+
+const fmtDur = m => (m >= 60 ? t("duration.hours", { h: Math.floor(m / 60), m: Math.round(m % 60) }) : t("duration.minutes", { m: Math.round(m) }));
+
+// ━━━ Arrival statistics per location ━━━
+// การ์ดแต่ละสถานที่: median + ช่วง P10–P90 · คลิกเพื่อดู histogram และแยกตามวันในสัปดาห์
+export default function ArrivalStatsPanel({ stats }) {
+  const [selected, setSelected] = useState(null);
+  const current = stats.find(s => s.location === selected) || stats[0];
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 28, border: `1px solid ${C.border}`, marginTop: 28,
+      animation: "fadeUp .5s 700ms ease both",
+    }}>
+      <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700, color: C.tx }}>{t("arrival.title")}</h3>
+      <p style={{ margin: "0 0 16px", fontSize: 11, color: C.txm }}>{t("arrival.subtitle")}</p>
+      <LocationTabs label={t("common.pickLocation")} minWidth={180} active={current?.location} onSelect={setSelected} items={stats.map(item => {
+        const clr = locClr(item.location);
+        const active = current?.location === item.location;
+        return {
+          key: item.location,
+          style: {
+            background: `${clr}${active ? "14" : "0a"}`, borderRadius: 14, padding: "20px 22px",
+            border: `1px solid ${clr}${active ? "77" : "25"}`, transition: "border-color .2s",
+          },
+          content: (
+            <>
+              <span style={{ display: "block", fontSize: 13, color: C.txm, marginBottom: 6 }}>{locIco(item.location)} {locLabel(item.location)}</span>
+              <span style={{ display: "block", fontSize: 36, fontWeight: 800, color: clr, fontFamily: "'JetBrains Mono', monospace" }}>
+                {item.display.median}
+              </span>
+              <span style={{ display: "block", fontSize: 11, color: C.txm, fontFamily: "'JetBrains Mono', monospace" }}>
+                P10–P90 {item.display.p10}–{item.display.p90}
+              </span>
+              <span style={{ display: "block", fontSize: 11, color: C.txd }}>{t("arrival.card", { n: item.count, spread: fmtDur(item.spread) })}</span>
+            </>
+          ),
+        };
+      })}>
+        {current && (
+          <div className="grid-2col" style={{ marginTop: 20 }}>
+            <div>
+              <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 8 }}>{locIco(current.location)} {t("arrival.histogram")}</div>
+              <ResponsiveContainer width="100%" height={200}>
+                <BarChart data={current.histogram} barCategoryGap={2} accessibilityLayer aria-label={t("a11y.chartKeys", { name: t("arrival.histogram") })}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+                  <XAxis dataKey="bin" stroke={C.txm} fontSize={10} />
+                  <YAxis stroke={C.txm} fontSize={11} allowDecimals={false} />
+                  <Tooltip content={<Tip />} />
+                  <Bar dataKey="count" name={t("chart.count")} radius={[4, 4, 0, 0]}>
+                    {current.histogram.map(h => (
+                      <Cell key={h.from} fill={h.to > current.p10 && h.from <= current.p90 ? locClr(current.location) : C.borderHi} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 8 }}>{t("arrival.byWeekday")}</div>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+                <tbody>
+                  {current.weekdays.map(w => (
+                    <tr key={w.dow}>
+                      <td style={{ padding: "5px 8px", color: C.txm, width: 40 }}>{weekdayLabel(w.dow)}</td>
+                      <td style={{ padding: "5px 8px", fontFamily: "'JetBrains Mono'", fontWeight: 700, color: w.count ? C.tx : C.txd }}>
+                        {w.median === null ? "—" : fmtMinutes(w.median)}
+                      </td>
+                      <td style={{ padding: "5px 8px", color: C.txd, textAlign: "right" }}>{t("common.times", { n: w.count })}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </LocationTabs>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useMemo, useState } from "react";
+import { C } from "../theme";
+import { locClr } from "../locations";
+import { addDays, startOfWeek, todayKey, weekdayOrder, weekdayOf, daysBetween } from "../dates";
+import { loggingStreaks, isWorkday } from "../streaks";
+import { CONFIG_HOLIDAYS, loadHolidays, saveHolidays } from "../holidays";
+import { t, locLabel, weekdayLabel } from "../i18n";
+
+const CELL = 13, GAP = 3;
+const DEFAULT_WEEKS = 26;
+
+// สีของช่อง = สัดส่วนสถานที่ในวันนั้น (แถบ gradient) · ความเข้มตามจำนวนบันทึก
+const cellBackground = byLocation => {
+  const entries = Object.entries(byLocation);
+  const total = entries.reduce((a, [, n]) => a + n, 0);
+  let acc = 0;
+  const stops = entries.flatMap(([loc, n]) => {
+    const from = (acc / total) * 100;
+    acc += n;
+    return [`${locClr(loc)} ${from}%`, `${locClr(loc)} ${(acc / total) * 100}%`];
+  });
+  return entries.length === 1 ? locClr(entries[0][0]) : `linear-gradient(180deg, ${stops.join(", ")})`;
+};
+
+// ━━━ Calendar heatmap + streaks ━━━
+export default function CalendarHeatmap({ records, range }) {
+  const [userHolidays, setUserHolidays] = useState(loadHolidays);
+  const [newHoliday, setNewHoliday] = useState("");
+  const holidays = useMemo(() => [...CONFIG_HOLIDAYS, ...userHolidays], [userHolidays]);
+  const today = todayKey();
+  const { days, current, longest, missed } = useMemo(() => loggingStreaks(records, { holidays }), [records, holidays]);
+  const holSet = useMemo(() => new Set(holidays), [holidays]);
+
+  const updateHolidays = list => { setUserHolidays(list); saveHolidays(list); };
+
+  // ช่วงที่แสดง: ตามตัวกรองวันที่ ถ้าไม่ได้กรอง → 26 สัปดาห์ล่าสุด
+  const to = range.to && range.to < today ? range.to : today;
+  const from = startOfWeek(range.from || addDays(to, -DEFAULT_WEEKS * 7 + 1));
+  const weeks = Math.ceil((daysBetween(from, to) + 1) / 7);
+  const order = weekdayOrder();
+
+  const columns = Array.from({ length: weeks }, (_, w) => order.map((_, i) => addDays(from, w * 7 + i)));
+  const missedInView = missed.filter(d => d >= from && d <= to);
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 28, border: `1px solid ${C.border}`, marginTop: 28,
+      animation: "fadeUp .5s 840ms ease both",
+    }}>
+      <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700 }}>{t("calendar.title")}</h3>
+      <p style={{ margin: "0 0 16px", fontSize: 11, color: C.txm }}>{t("calendar.subtitle")}</p>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", marginBottom: 18 }}>
+        {[["current", current, C.orange], ["longest", longest, C.purple], ["missed", missedInView.length, C.red]].map(([key, v, clr]) => (
+          <div key={key} style={{ background: `${clr}0a`, border: `1px solid ${clr}25`, borderRadius: 12, padding: "10px 16px", minWidth: 150 }}>
+            <div style={{ fontSize: 11, color: C.txm }}>{t(`calendar.${key}`)}</div>
+            <div style={{ fontSize: 24, fontWeight: 800, color: clr, fontFamily: "'JetBrains Mono', monospace" }}>
+              {v} <span style={{ fontSize: 12, color: C.txm, fontWeight: 500 }}>{t("calendar.workdays")}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ overflowX: "auto", paddingBottom: 6 }}>
+        <div style={{ display: "flex", gap: GAP }}>
+          <div style={{ display: "grid", gridTemplateRows: `repeat(7, ${CELL}px)`, gap: GAP, marginRight: 4 }}>
+            {order.map(dow => <div key={dow} style={{ fontSize: 9, color: C.txm, lineHeight: `${CELL}px` }}>{weekdayLabel(dow)}</div>)}
+          </div>
+          {columns.map(col => (
+            <div key={col[0]} style={{ display: "grid", gridTemplateRows: `repeat(7, ${CELL}px)`, gap: GAP }}>
+              {col.map(day => {
+                const info = days[day];
+                const future = day > today;
+                const outside = day < from || day > to;
+                const work = isWorkday(day, holSet);
+                const isMissed = !info && work && !future && day !== today;
+                const title = `${day}${info ? t("calendar.cell", { n: info.count, locs: Object.entries(info.byLocation).map(([l, n]) => `${locLabel(l)} ${n}`).join(", ") }) : ""}${holSet.has(day) ? t("calendar.holiday") : ""}${isMissed ? t("calendar.noRecord") : ""}`;
+                return (
+                  <div key={day} title={title} style={{
+                    width: CELL, height: CELL, borderRadius: 3,
+                    background: info ? cellBackground(info.byLocation) : future || outside ? "transparent" : work ? C.bg2 : `${C.border}88`,
+                    opacity: info ? Math.min(1, 0.45 + info.count * 0.25) : 1,
+                    border: isMissed && !outside ? `1.5px solid ${C.red}` : holSet.has(day) ? `1px dashed ${C.txd}` : "none",
+                    visibility: outside && !info ? "hidden" : "visible",
+                  }} />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid-2col no-print" style={{ marginTop: 18, gap: 16 }}>
+        <div>
+          <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("calendar.missedList")}</div>
+          <div style={{ maxHeight: 160, overflowY: "auto" }}>
+            {missedInView.length ? missedInView.map(d => (
+              <div key={d} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, padding: "2px 0" }}>
+                <span style={{ fontFamily: "'JetBrains Mono'" }}>{d}</span>
+                <span style={{ color: C.txm }}>{weekdayLabel(weekdayOf(d))}</span>
+                <button onClick={() => updateHolidays([...userHolidays, d])} style={{
+                  marginLeft: "auto", border: `1px solid ${C.border}`, background: C.card, borderRadius: 6,
+                  fontSize: 10, padding: "1px 6px", cursor: "pointer", fontFamily: "inherit", color: C.txm,
+                }}>{t("calendar.markHoliday")}</button>
+              </div>
+            )) : <div style={{ fontSize: 12, color: C.txd }}>{t("common.noneYay")}</div>}
+          </div>
+        </div>
+        <div>
+          <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("calendar.holidays")}</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 8 }}>
+            {CONFIG_HOLIDAYS.map(d => <span key={d} style={{ fontSize: 11, background: C.bg2, borderRadius: 6, padding: "2px 8px", fontFamily: "'JetBrains Mono'" }}>{d}</span>)}
+            {[...userHolidays].sort().map(d => (
+              <span key={d} style={{ fontSize: 11, background: C.bg2, borderRadius: 6, padding: "2px 4px 2px 8px", fontFamily: "'JetBrains Mono'" }}>
+                {d}
+                <button onClick={() => updateHolidays(userHolidays.filter(h => h !== d))} aria-label={t("calendar.removeHoliday", { d })}
+                  style={{ border: "none", background: "transparent", color: C.red, cursor: "pointer", fontSize: 11 }}>✕</button>
+              </span>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input type="date" value={newHoliday} onChange={e => setNewHoliday(e.target.value)} aria-label={t("calendar.addHoliday")}
+              style={{ border: `1px solid ${C.border}`, borderRadius: 8, padding: "4px 8px", fontSize: 12, fontFamily: "inherit" }} />
+            <button onClick={() => { if (newHoliday && !holSet.has(newHoliday)) updateHolidays([...userHolidays, newHoliday]); setNewHoliday(""); }}
+              style={{ border: `1px solid ${C.border}`, background: C.bg2, borderRadius: 8, padding: "4px 12px", fontSize: 12, fontFamily: "inherit", cursor: "pointer" }}>{t("common.add")}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
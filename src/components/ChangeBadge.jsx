@@ -0,0 +1,20 @@
+import { C } from "../theme";
+import { t } from "../i18n";
+
+const STYLE = {
+  new: { tone: "green", label: "changes.new" },
+  changed: { tone: "yellow", label: "changes.edited" },
+};
+
+// พื้นหลังของแถวที่ใหม่ / ถูกแก้ตั้งแต่เข้าครั้งก่อน
+export const changeRowBg = kind => (kind ? `${C[STYLE[kind].tone]}12` : "transparent");
+
+export default function ChangeBadge({ kind, fields = [] }) {
+  if (!kind) return null;
+  const { tone, label } = STYLE[kind];
+  const color = C[tone];
+  return (
+    <span style={{ fontSize: 10, fontWeight: 700, color, background: `${color}18`, padding: "1px 6px", borderRadius: 6, marginLeft: 6, whiteSpace: "nowrap" }}
+      title={fields.length ? t("changes.editedFields", { fields: fields.map(f => t(`field.${f}`)).join(", ") }) : undefined}>{t(label)}</span>
+  );
+}
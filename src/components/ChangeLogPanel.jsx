@@ -0,0 +1,52 @@
+import { C } from "../theme";
+import { fmtDateTime } from "../dates";
+import { t, locLabel } from "../i18n";
+
+// item ของ log → ข้อความ
+const describe = it => {
+  if (!it.day) return it.key;
+  const floor = it.floor ? ` ${t("common.floor", { floor: it.floor })}` : "";
+  const fields = it.fields?.length ? ` (${it.fields.map(f => t(`field.${f}`)).join(", ")})` : "";
+  return `${it.day} ${it.time || ""} · ${locLabel(it.location)}${floor}${fields}`;
+};
+
+// ━━━ Change log ━━━
+// log = [{ at, added, changed, removed, items: [{ kind, key, day, time, location, floor, fields }] }] ใหม่ → เก่า (ดู changes.js)
+export default function ChangeLogPanel({ log, onClear }) {
+  const chip = clr => ({ fontSize: 11, fontWeight: 700, color: clr, background: `${clr}15`, padding: "2px 8px", borderRadius: 6, whiteSpace: "nowrap" });
+  const ICON = { new: "＋", changed: "✎", removed: "−" };
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 24, border: `1px solid ${C.border}`, marginTop: 20,
+      animation: "fadeUp .3s ease both",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 14 }}>
+        <div>
+          <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700 }}>{t("changes.title")}</h3>
+          <p style={{ margin: 0, fontSize: 11, color: C.txm }}>{t("changes.subtitle")}</p>
+        </div>
+        <button onClick={onClear} style={{
+          marginLeft: "auto", border: `1px solid ${C.border}`, background: C.bg2, borderRadius: 8, padding: "4px 12px",
+          fontSize: 12, fontFamily: "inherit", cursor: "pointer", color: C.txm,
+        }}>{t("changes.clear")}</button>
+      </div>
+
+      {log.length ? log.map(entry => (
+        <div key={entry.at} style={{ padding: "8px 0", borderTop: `1px solid ${C.border}` }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", fontSize: 12 }}>
+            <span style={{ fontFamily: "'JetBrains Mono'", color: C.txm, marginRight: 4 }}>{fmtDateTime(entry.at)}</span>
+            {entry.added > 0 && <span style={chip(C.green)}>{t("changes.added", { n: entry.added })}</span>}
+            {entry.changed > 0 && <span style={chip(C.yellow)}>{t("changes.changed", { n: entry.changed })}</span>}
+            {entry.removed > 0 && <span style={chip(C.red)}>{t("changes.removed", { n: entry.removed })}</span>}
+          </div>
+          {entry.items.length > 0 && (
+            <div style={{ fontSize: 11, color: C.txm, marginTop: 4 }}>
+              {entry.items.map((it, i) => <div key={i}>{ICON[it.kind]} {describe(it)}</div>)}
+            </div>
+          )}
+        </div>
+      )) : <div style={{ fontSize: 12, color: C.txd }}>{t("changes.empty")}</div>}
+    </div>
+  );
+}
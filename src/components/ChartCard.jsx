@@ -0,0 +1,89 @@
+import { createContext, useContext, useRef, useState, useId } from "react";
+import { C } from "../theme";
+import { exportChartPng, exportChartSvg } from "../exporters";
+import { t, fmtNumber } from "../i18n";
+
+// ━━━ Data table (ทางเลือกแทนกราฟ) ━━━
+// table = { columns: [หัวคอลัมน์], rows: [[ค่า, …]] } · คอลัมน์แรก = หัวแถว · ตัวเลขจัดรูปตามภาษา · null = "—"
+function DataTable({ table, caption }) {
+  const cell = { padding: "6px 10px", borderBottom: `1px solid ${C.border}`, textAlign: "left", whiteSpace: "nowrap" };
+  const fmt = v => (v === null || v === undefined || v === "" ? "—" : typeof v === "number" ? fmtNumber(v) : v);
+  return (
+    <div style={{ overflow: "auto", maxHeight: 320 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <caption className="sr-only">{caption}</caption>
+        <thead>
+          <tr>{table.columns.map(c => <th key={c} scope="col" style={{ ...cell, color: C.txm, fontWeight: 600, fontSize: 11, position: "sticky", top: 0, background: C.card }}>{c}</th>)}</tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, i) => (
+            <tr key={i}>
+              {row.map((v, j) => j === 0
+                ? <th key={j} scope="row" style={{ ...cell, fontWeight: 600 }}>{fmt(v)}</th>
+                : <td key={j} style={{ ...cell, fontFamily: typeof v === "number" ? "'JetBrains Mono'" : undefined }}>{fmt(v)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const TableMode = createContext(null);
+
+// ━━━ Chart area ━━━
+// ครอบเฉพาะตัวกราฟใน ChartCard → โหมดตารางสลับแค่ส่วนนี้ (stat / รายการอื่นในการ์ดยังอยู่)
+export function ChartArea({ children }) {
+  const mode = useContext(TableMode);
+  return mode ? <DataTable table={mode.table} caption={mode.caption} /> : children;
+}
+
+// ━━━ Chart Card ━━━
+// summary = ข้อความสรุปของกราฟสำหรับ screen reader (aria-describedby) · table = ข้อมูลชุดเดียวกันแบบตาราง (ปุ่มสลับ แทนที่ <ChartArea>)
+// กราฟ cartesian ข้างในควรเปิด accessibilityLayer ของ Recharts → โฟกัสได้ + ลูกศรซ้าย/ขวาเลื่อนทีละจุด
+export default function ChartCard({ title, subtitle, summary, table, children, delay = 0, exportName = "chart" }) {
+  const bodyRef = useRef(null);
+  const id = useId();
+  const [asTable, setAsTable] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const btn = {
+    border: `1px solid ${C.border}`, background: C.card, color: C.txm, borderRadius: 6,
+    padding: "2px 8px", fontSize: 10, fontWeight: 600, fontFamily: "inherit", cursor: "pointer",
+  };
+  // export ล้ม (เช่น ไม่มีกราฟในโหมดนี้) → แจ้งในการ์ด ไม่ใช้ alert() ที่บล็อกหน้า · export ครั้งถัดไปสำเร็จ = ล้างข้อความ
+  const run = fn => () => {
+    try {
+      fn(bodyRef.current, exportName, C.card);
+      setExportError("");
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
+  const showTable = asTable && table;
+  return (
+    <div className="chart-card" role="group" aria-labelledby={`${id}-title`} aria-describedby={summary ? `${id}-summary` : undefined} style={{
+      background: C.card, borderRadius: 16, padding: 28,
+      border: `1px solid ${C.border}`,
+      animation: `fadeUp .5s ${delay}ms ease both`,
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 8 }}>
+        <h3 id={`${id}-title`} style={{ margin: "0 0 2px", fontSize: 15, fontWeight: 700, color: C.tx }}>{title}</h3>
+        <div className="no-print" style={{ display: "flex", gap: 4 }}>
+          {table && (
+            <button style={btn} onClick={() => setAsTable(v => !v)} aria-pressed={asTable} aria-label={t("a11y.tableToggle", { name: title })}>
+              {asTable ? t("a11y.showChart") : t("a11y.showTable")}
+            </button>
+          )}
+          {!showTable && <button style={btn} onClick={run(exportChartPng)} aria-label={t("chart.savePng", { name: exportName })}>PNG</button>}
+          {!showTable && <button style={btn} onClick={run(exportChartSvg)} aria-label={t("chart.saveSvg", { name: exportName })}>SVG</button>}
+        </div>
+      </div>
+      {subtitle && <p style={{ margin: "0 0 16px", fontSize: 11, color: C.txm }}>{subtitle}</p>}
+      {exportError && <p role="alert" className="no-print" style={{ margin: "0 0 12px", fontSize: 11, fontWeight: 600, color: C.red }}>{exportError}</p>}
+      {summary && <p id={`${id}-summary`} className="sr-only">{summary}</p>}
+      <div ref={bodyRef}>
+        <TableMode.Provider value={showTable ? { table, caption: summary || title } : null}>{children}</TableMode.Provider>
+      </div>
+    </div>
+  );
+}
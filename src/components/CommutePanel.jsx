@@ -0,0 +1,93 @@
+import { useMemo, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from "recharts";
+import { C } from "../theme";
+import { locClr, locIco } from "../locations";
+import { fmtMinutes } from "../dates";
+import { sessionize, routeSummary } from "../sessions";
+import { t, locLabel } from "../i18n";
+import { commuteA11y } from "../chartA11y";
+import ChartCard, { ChartArea } from "./ChartCard";
+import Tip from "./Tip";
+
+const ROUTE_TONES = ["blue", "orange", "purple", "cyan", "pink", "green"];
+const routeClr = i => C[ROUTE_TONES[i % ROUTE_TONES.length]];
+const routeLabel = (from, to) => `${locLabel(from)} → ${locLabel(to)}`;
+
+// ━━━ Commute sessions ━━━
+export default function CommutePanel({ records }) {
+  const [showUnmatched, setShowUnmatched] = useState(false);
+  const { legs, trips, unmatched } = useMemo(() => sessionize(records), [records]);
+  const routes = useMemo(() => routeSummary(legs), [legs]);
+
+  // แต่ละวัน × เส้นทาง → ระยะเวลา (ถ้ามีหลาย leg เส้นทางเดียวกันในวันเดียว ใช้ค่าล่าสุด)
+  const trend = useMemo(() => {
+    const byDay = {};
+    legs.forEach(l => { (byDay[l.day] ||= { day: l.day, date: l.day.slice(5) })[l.route] = l.duration; });
+    return Object.values(byDay).sort((a, b) => a.day.localeCompare(b.day));
+  }, [legs]);
+
+  return (
+    <div style={{ marginTop: 28 }}>
+      <ChartCard title={t("commute.title")} subtitle={t("commute.subtitle", { legs: legs.length, trips: trips.length })} delay={760} exportName="commute-duration"
+        {...commuteA11y(trend, routes, routeLabel)}>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(220px, 1fr))", gap: 12, marginBottom: 16 }}>
+          {routes.map((r, i) => (
+            <div key={r.route} style={{ border: `1px solid ${routeClr(i)}40`, borderRadius: 12, padding: "12px 16px" }}>
+              <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 4 }}>
+                <span style={{ color: locClr(r.from) }}>{locIco(r.from)} {locLabel(r.from)}</span> → <span style={{ color: locClr(r.to) }}>{locIco(r.to)} {locLabel(r.to)}</span>
+              </div>
+              <div style={{ fontSize: 24, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace", color: routeClr(i) }}>
+                {Math.round(r.medianDuration)} <span style={{ fontSize: 12, color: C.txm, fontWeight: 500 }}>{t("duration.minUnit")}</span>
+              </div>
+              <div style={{ fontSize: 11, color: C.txm }}>{t("commute.stats", { min: r.minDuration, max: r.maxDuration, n: r.count })}</div>
+              <div style={{ fontSize: 11, color: C.txm, marginTop: 2 }}>
+                {t("commute.departs")} <b style={{ fontFamily: "'JetBrains Mono'", color: C.tx }}>{fmtMinutes(r.departureWindow.from)}–{fmtMinutes(r.departureWindow.to)}</b>
+              </div>
+            </div>
+          ))}
+          {!routes.length && <div style={{ fontSize: 12, color: C.txd }}>{t("commute.empty")}</div>}
+        </div>
+
+        {trend.length > 0 && (
+          <ChartArea>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={trend} accessibilityLayer aria-label={t("a11y.chartKeys", { name: t("commute.title") })}>
+              <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+              <XAxis dataKey="date" stroke={C.txm} fontSize={11} />
+              <YAxis stroke={C.txm} fontSize={11} unit={t("duration.minAxis")} allowDecimals={false} />
+              <Tooltip content={<Tip />} />
+              {routes.map((r, i) => (
+                <Line key={r.route} type="monotone" dataKey={r.route} name={routeLabel(r.from, r.to)} stroke={routeClr(i)}
+                  strokeWidth={2.5} dot={{ r: 4 }} connectNulls />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+          </ChartArea>
+        )}
+
+        {unmatched.length > 0 && (
+          <div className="no-print" style={{ marginTop: 14 }}>
+            <button onClick={() => setShowUnmatched(v => !v)} aria-expanded={showUnmatched} style={{
+              border: "none", background: "transparent", color: C.txm, fontSize: 12, fontFamily: "inherit", cursor: "pointer", padding: 0,
+            }}>
+              {showUnmatched ? "▾" : "▸"} {t("commute.unmatched", { n: unmatched.length })}
+            </button>
+            {showUnmatched && (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12, marginTop: 8 }}>
+                <tbody>
+                  {unmatched.map((u, i) => (
+                    <tr key={i}>
+                      <td style={{ padding: "4px 8px", fontFamily: "'JetBrains Mono'", whiteSpace: "nowrap" }}>{u.from.day} → {u.to.day}</td>
+                      <td style={{ padding: "4px 8px" }}>{routeLabel(u.from.location, u.to.location)}</td>
+                      <td style={{ padding: "4px 8px", color: C.txm }}>{t(`unmatched.${u.reason}`)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </ChartCard>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useState, useEffect } from "react";
+import { C } from "../theme";
+import { getLocation } from "../locations";
+import { parseCoords, osmEmbedUrl, mapsLink } from "../mapUrl";
+import { fmtDateTime } from "../dates";
+import { t, locLabel } from "../i18n";
+
+// "จอดมาแล้ว 2 ชม. 15 นาที"
+const fmtSince = ms => {
+  if (ms < 0) return t("current.justNow");
+  const min = Math.floor(ms / 60000);
+  const d = Math.floor(min / 1440), h = Math.floor((min % 1440) / 60), m = min % 60;
+  if (d > 0) return t("duration.days", { d, h });
+  if (h > 0) return t("duration.hours", { h, m });
+  return t("duration.minutes", { m });
+};
+
+// ━━━ Where's my car now ━━━
+// record ล่าสุด (ตาม timestamp) = ตำแหน่งรถตอนนี้
+export default function CurrentCarCard({ record }) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => { const iv = setInterval(() => setNow(Date.now()), 30 * 1000); return () => clearInterval(iv); }, []);
+
+  if (!record) return null;
+  const loc = getLocation(record.location);
+  const coords = parseCoords(record.mapUrl);
+  const href = mapsLink(record.mapUrl, coords);
+  const parkedAt = new Date(record.timestamp);
+  const hasFloor = !!record.floor;
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, marginTop: 20, overflow: "hidden",
+      border: `1px solid ${loc.color}40`, boxShadow: `0 8px 30px ${loc.color}14`,
+      display: "flex", flexWrap: "wrap", animation: "fadeUp .5s 60ms ease both",
+    }}>
+      <div style={{ flex: "1 1 320px", padding: "22px 24px", position: "relative" }}>
+        <div style={{ position: "absolute", top: 0, left: 0, bottom: 0, width: 4, background: loc.color }} />
+        <div style={{ fontSize: 11, fontWeight: 600, color: C.txm, letterSpacing: 1, textTransform: "uppercase", marginBottom: 8 }}>
+          {t("current.heading")}
+        </div>
+        <div style={{ display: "flex", alignItems: "baseline", gap: 12, flexWrap: "wrap" }}>
+          <span style={{ fontSize: 30, fontWeight: 900, color: loc.color }}>{loc.icon} {locLabel(record.location)}</span>
+          {hasFloor && (
+            <span style={{ fontSize: 26, fontWeight: 800, fontFamily: "'JetBrains Mono', monospace", color: C.tx }}>{t("common.floor", { floor: record.floor })}</span>
+          )}
+        </div>
+        {record.note && <div style={{ fontSize: 14, color: C.tx, marginTop: 8 }}>📝 {record.note}</div>}
+        <div style={{ fontSize: 12, color: C.txm, marginTop: 10 }}>
+          {t("current.since")} <b style={{ color: C.tx }}>{fmtSince(now - parkedAt)}</b>
+          {!isNaN(parkedAt) && t("current.loggedAt", { at: fmtDateTime(parkedAt) })}
+        </div>
+        <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 14, flexWrap: "wrap" }}>
+          {href && (
+            <a href={href} target="_blank" rel="noopener noreferrer" style={{
+              background: `linear-gradient(135deg, ${C.blue}, ${C.blueD})`, color: C.onAccent, textDecoration: "none",
+              padding: "8px 16px", borderRadius: 10, fontSize: 13, fontWeight: 700,
+            }}>{t("current.openMap")}</a>
+          )}
+          {coords && (
+            <span style={{ fontSize: 11, color: C.txm, fontFamily: "'JetBrains Mono', monospace" }}>
+              {coords.lat.toFixed(5)}, {coords.lng.toFixed(5)}
+            </span>
+          )}
+          {!href && record.mapUrl && (
+            <span style={{ fontSize: 11, color: C.txm, wordBreak: "break-all" }}>{record.mapUrl}</span>
+          )}
+        </div>
+      </div>
+      {coords && (
+        <iframe
+          title={t("current.mapTitle")}
+          src={osmEmbedUrl(coords)}
+          loading="lazy"
+          style={{ flex: "1 1 280px", minHeight: 200, border: "none", borderLeft: `1px solid ${C.border}` }}
+        />
+      )}
+    </div>
+  );
+}
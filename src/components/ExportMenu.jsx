@@ -0,0 +1,38 @@
+import { useState } from "react";
+import { C } from "../theme";
+import { todayKey } from "../dates";
+import { t } from "../i18n";
+
+// ━━━ Export menu ━━━
+// <details> = dropdown ที่เปิด/ปิดด้วยคีย์บอร์ดได้โดยไม่ต้องเขียน state เอง
+export default function ExportMenu({ onCsv, onJson, onPrintMonth, style }) {
+  const [month, setMonth] = useState(() => todayKey().slice(0, 7));
+  const item = {
+    display: "block", width: "100%", textAlign: "left", padding: "8px 12px", border: "none", background: "transparent",
+    fontSize: 13, fontFamily: "inherit", color: C.tx, cursor: "pointer", borderRadius: 8,
+  };
+  return (
+    <details className="no-print" style={{ position: "relative" }}>
+      <summary style={{ ...style, listStyle: "none" }}>{t("export.menu")}</summary>
+      <div style={{
+        position: "absolute", top: "calc(100% + 6px)", left: 0, zIndex: 50, minWidth: 230,
+        background: C.card, border: `1px solid ${C.border}`, borderRadius: 12, padding: 6,
+        boxShadow: `0 12px 32px ${C.shadow}`,
+      }}>
+        <button style={item} onClick={onCsv}>{t("export.csv")}</button>
+        <button style={item} onClick={onJson}>{t("export.json")}</button>
+        <div style={{ borderTop: `1px solid ${C.border}`, margin: "6px 0", padding: "8px 12px 2px" }}>
+          <div style={{ fontSize: 11, color: C.txm, marginBottom: 6 }}>{t("export.monthly")}</div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input type="month" value={month} onChange={e => setMonth(e.target.value)} aria-label={t("export.month")}
+              style={{ border: `1px solid ${C.border}`, borderRadius: 8, padding: "4px 8px", fontSize: 12, fontFamily: "inherit" }} />
+            <button onClick={() => month && onPrintMonth(month)} style={{
+              border: "none", borderRadius: 8, padding: "4px 12px", fontSize: 12, fontWeight: 700,
+              fontFamily: "inherit", cursor: "pointer", background: C.blue, color: C.onAccent,
+            }}>{t("export.print")}</button>
+          </div>
+        </div>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,110 @@
+import { useMemo, useState } from "react";
+import { C } from "../theme";
+import { floorBreakdown, suggestFloor } from "../floors";
+import { t, fmtPercent as pct, locLabel, weekdayLabel } from "../i18n";
+import LocationTabs from "./LocationTabs";
+
+// ตาราง ชั้น × (วัน / ช่วงเวลา) — สีเข้มตามสัดส่วนในแถว · rowLabel = id ของแถว → ชื่อที่แสดง
+function FloorMatrix({ title, rows, rowLabel, floors, color }) {
+  const th = { padding: "5px 8px", color: C.txm, fontWeight: 600, textAlign: "center", fontSize: 11 };
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 8 }}>{title}</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr>
+            <th style={{ ...th, textAlign: "left" }} />
+            {floors.map(f => <th key={f} scope="col" style={{ ...th, fontFamily: "'JetBrains Mono'" }}>{f}</th>)}
+            <th scope="col" style={th}>{t("floor.total")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={r.id}>
+              <th scope="row" style={{ ...th, textAlign: "left" }}>{rowLabel(r.id)}</th>
+              {floors.map(f => {
+                const n = r.floors[f] || 0;
+                const share = r.total ? n / r.total : 0;
+                return (
+                  <td key={f} title={n ? t("floor.cell", { row: rowLabel(r.id), floor: f, n, pct: pct(share) }) : undefined} style={{
+                    padding: "5px 8px", textAlign: "center", fontFamily: "'JetBrains Mono'",
+                    background: n ? `${color}${Math.round(20 + share * 200).toString(16).padStart(2, "0")}` : "transparent",
+                    color: n ? (share > 0.55 ? C.onAccent : C.tx) : C.txd, fontWeight: n ? 700 : 400, borderRadius: 4,
+                  }}>{n || "·"}</td>
+                );
+              })}
+              <td style={{ padding: "5px 8px", textAlign: "center", color: C.txm }}>{r.total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ━━━ Floor analytics + suggested floor ━━━
+// records = ช่วงที่กรอง (ตาราง) · history = ข้อมูลทั้งหมด (ใช้ทำนาย) · locations = entries จาก registry ที่มีชั้น
+// minute = นาฬิกาของ Dashboard (นาทีนับจาก epoch) → คำแนะนำตามวัน / ช่วงเวลาเดินตามเวลาจริง แม้ข้อมูลไม่เปลี่ยน
+export default function FloorPanel({ records, history, locations, minute = Math.floor(Date.now() / 60000) }) {
+  const [selected, setSelected] = useState(null);
+  const current = locations.find(l => l.name === selected) || locations[0];
+
+  const suggestions = useMemo(() => Object.fromEntries(locations.map(l => [
+    l.name, suggestFloor(history.filter(r => r.location === l.name), { now: new Date(minute * 60000) }),
+  ])), [history, locations, minute]);
+  const breakdown = useMemo(
+    () => current && floorBreakdown(records.filter(r => r.location === current.name)),
+    [records, current],
+  );
+
+  if (!current) return null;
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 28, border: `1px solid ${C.border}`, marginTop: 28,
+      animation: "fadeUp .5s 520ms ease both",
+    }}>
+      <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700, color: C.tx }}>{t("floor.title")}</h3>
+      <p style={{ margin: "0 0 16px", fontSize: 11, color: C.txm }}>{t("floor.subtitle")}</p>
+
+      <LocationTabs label={t("common.pickLocation")} minWidth={200} active={current.name} onSelect={setSelected} items={locations.map(l => {
+        const s = suggestions[l.name];
+        const active = current.name === l.name;
+        return {
+          key: l.name,
+          style: {
+            background: `${l.color}${active ? "14" : "0a"}`, borderRadius: 14, padding: "18px 22px",
+            border: `1px solid ${l.color}${active ? "77" : "25"}`, transition: "border-color .2s",
+          },
+          content: (
+            <>
+              <span style={{ display: "block", fontSize: 13, color: C.txm, marginBottom: 6 }}>{l.icon} {locLabel(l.name)} · {t("floor.likely")}</span>
+              {s ? (
+                <>
+                  <span style={{ display: "block", fontSize: 32, fontWeight: 800, color: l.color, fontFamily: "'JetBrains Mono', monospace" }}>{t("common.floor", { floor: s.floor })}</span>
+                  <span style={{ display: "flex", alignItems: "center", gap: 8, margin: "6px 0 4px" }}>
+                    <span style={{ display: "block", flex: 1, height: 6, background: C.bg2, borderRadius: 3 }}>
+                      <span style={{ display: "block", width: `${s.confidence * 100}%`, height: "100%", background: l.color, borderRadius: 3 }} />
+                    </span>
+                    <span style={{ fontSize: 11, fontWeight: 700, fontFamily: "'JetBrains Mono'" }}>{pct(s.confidence)}</span>
+                  </span>
+                  <span style={{ display: "block", fontSize: 11, color: C.txd }}>
+                    {t("floor.confidence", { when: `${weekdayLabel(s.dow)}${s.band ? ` ${t(`band.${s.band}`)}` : ""}`, n: s.sample })}
+                    {s.alternatives.length > 0 && t("floor.alternatives", { list: s.alternatives.map(a => `${a.floor} (${pct(a.share)})`).join(", ") })}
+                  </span>
+                </>
+              ) : <span style={{ display: "block", fontSize: 13, color: C.txd }}>{t("floor.noData")}</span>}
+            </>
+          ),
+        };
+      })}>
+        {breakdown.floors.length > 0 ? (
+          <div className="grid-2col" style={{ marginTop: 20 }}>
+            <FloorMatrix title={`${current.icon} ${t("floor.byWeekday")}`} rows={breakdown.weekdays} rowLabel={weekdayLabel} floors={breakdown.floors} color={current.color} />
+            <FloorMatrix title={`${current.icon} ${t("floor.byBand")}`} rows={breakdown.bands} rowLabel={id => t(`band.${id}`)} floors={breakdown.floors} color={current.color} />
+          </div>
+        ) : <div style={{ marginTop: 16, fontSize: 12, color: C.txd }}>{t("floor.empty", { loc: locLabel(current.name) })}</div>}
+      </LocationTabs>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import { useState, useMemo, useEffect } from "react";
+import { C } from "../theme";
+import { STATUS_KINDS, statusKind } from "../status";
+import { fmtTime, fmtDateTime } from "../dates";
+import { compareFloors } from "../floors";
+import { safeUrl } from "../mapUrl";
+import { t, locLabel } from "../i18n";
+import LocationBadge from "./LocationBadge";
+import StatusBadge from "./StatusBadge";
+import ChangeBadge, { changeRowBg } from "./ChangeBadge";
+
+const PAGE_SIZE = 20;
+
+// คอลัมน์: key สำหรับ sort (= key ของหัวตารางใน col.*) + ค่าที่ใช้เทียบ + วิธีเทียบ (ไม่ระบุ = ตัวอักษร/ตัวเลข)
+const byText = (a, b) => String(a || "").localeCompare(String(b || ""), "th", { numeric: true });
+const COLUMNS = [
+  ["day", r => `${r.day} ${r.timestamp}`],
+  ["time", r => r.time || fmtTime(r.timestamp)],
+  ["location", r => r.location],
+  ["floor", r => r.floor, (a, b) => compareFloors(a || "", b || "")],
+  ["note", r => r.note],
+  ["status", r => statusKind(r.status)],
+];
+
+// สีอ่านตอน render (getter) → เปลี่ยนธีมแล้วตามทัน
+const td = { padding: "9px 12px", get borderBottom() { return `1px solid ${C.border}`; }, fontSize: 12 };
+const input = {
+  get background() { return C.card; }, get color() { return C.tx; }, get border() { return `1px solid ${C.border}`; }, borderRadius: 10,
+  padding: "8px 12px", fontSize: 12, fontFamily: "inherit", outline: "none",
+};
+
+// ━━━ Row detail drawer ━━━
+function RecordDrawer({ record, onClose }) {
+  useEffect(() => {
+    const onKey = e => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const fields = [
+    ["Timestamp", record.timestamp ? `${record.timestamp} (${fmtDateTime(record.timestamp)})` : "—"],
+    [t("col.day"), record.day || "—"],
+    ["exitDateReminder", record.exitDate || "—"],
+    ["timeForgot", record.time || "—"],
+    [t("col.location"), <LocationBadge key="loc" location={record.location} />],
+    [t("col.floor"), record.floor || "—"],
+    [t("col.note"), record.note || "—"],
+    [t("col.status"), <StatusBadge key="st" status={record.status} />],
+    [t("history.statusRaw"), <code key="raw" style={{ fontFamily: "'JetBrains Mono'", fontSize: 11, wordBreak: "break-all" }}>{record.status || "—"}</code>],
+    ["parkingMap", safeUrl(record.mapUrl)
+      ? <a key="map" href={safeUrl(record.mapUrl)} target="_blank" rel="noopener noreferrer" style={{ color: C.blue, wordBreak: "break-all" }}>{record.mapUrl}</a>
+      : record.mapUrl || "—"],
+  ];
+
+  return (
+    <div onClick={onClose} style={{ position: "fixed", inset: 0, background: C.overlay, zIndex: 1100 }}>
+      <aside role="dialog" aria-modal="true" aria-label={t("history.detailsLabel")} onClick={e => e.stopPropagation()} style={{
+        position: "absolute", top: 0, right: 0, bottom: 0, width: "min(420px, 100%)", background: C.card,
+        boxShadow: `-12px 0 40px ${C.shadow}`, padding: 24, overflowY: "auto",
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 16 }}>
+          <h3 style={{ margin: 0, fontSize: 15, fontWeight: 700 }}>{t("history.details")}</h3>
+          <button onClick={onClose} aria-label={t("common.close")} autoFocus style={{ border: "none", background: C.bg2, borderRadius: 8, padding: "4px 10px", cursor: "pointer", fontSize: 14 }}>✕</button>
+        </div>
+        <dl style={{ margin: 0 }}>
+          {fields.map(([k, v]) => (
+            <div key={k} style={{ padding: "10px 0", borderBottom: `1px solid ${C.border}` }}>
+              <dt style={{ fontSize: 11, color: C.txm, marginBottom: 3 }}>{k}</dt>
+              <dd style={{ margin: 0, fontSize: 13 }}>{v}</dd>
+            </div>
+          ))}
+        </dl>
+      </aside>
+    </div>
+  );
+}
+
+// ━━━ History Explorer ━━━
+export default function HistoryExplorer({ records, changeOf = () => null }) {
+  const [query, setQuery] = useState("");
+  const [status, setStatus] = useState("all");
+  const [floor, setFloor] = useState("all");
+  const [sort, setSort] = useState({ key: "day", dir: "desc" });
+  const [pageIndex, setPage] = useState(0);
+  const [selected, setSelected] = useState(null);
+
+  const floors = useMemo(() => Array.from(new Set(records.map(r => r.floor).filter(Boolean))).sort(compareFloors), [records]);
+
+  const rows = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    const [, getter, compare = byText] = COLUMNS.find(c => c[0] === sort.key);
+    return records
+      .filter(r => status === "all" || statusKind(r.status) === status)
+      .filter(r => floor === "all" || r.floor === floor)
+      .filter(r => !q || [r.note, r.location, locLabel(r.location), r.floor, r.status, r.day].some(v => (v || "").toLowerCase().includes(q)))
+      .sort((a, b) => (sort.dir === "asc" ? 1 : -1) * compare(getter(a), getter(b)));
+  }, [records, query, status, floor, sort]);
+
+  const pages = Math.max(1, Math.ceil(rows.length / PAGE_SIZE));
+  // กลับหน้าแรกเมื่อเปลี่ยนตัวกรอง / sort เท่านั้น — auto-refresh (records ใหม่) ไม่ดีดกลับหน้า 1 · ข้อมูลหดจนหน้าหาย → หน้าสุดท้ายที่มี
+  useEffect(() => setPage(0), [query, status, floor, sort]);
+  const page = Math.min(pageIndex, pages - 1);
+  const pageRows = rows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const toggleSort = key => setSort(s => ({ key, dir: s.key === key && s.dir === "desc" ? "asc" : "desc" }));
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 28, border: `1px solid ${C.border}`, marginTop: 28,
+      animation: "fadeUp .5s 940ms ease both",
+    }}>
+      <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700 }}>{t("history.title")}</h3>
+      <p style={{ margin: "0 0 16px", fontSize: 11, color: C.txm }}>{t("history.summary", { n: rows.length })}</p>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 14 }}>
+        <input type="search" value={query} onChange={e => setQuery(e.target.value)} placeholder={t("history.search")}
+          aria-label={t("history.searchLabel")} style={{ ...input, flex: "1 1 220px" }} />
+        <select value={status} onChange={e => setStatus(e.target.value)} aria-label={t("history.statusFilter")} style={input}>
+          <option value="all">{t("history.allStatus")}</option>
+          {STATUS_KINDS.map(k => <option key={k} value={k}>{t(`status.${k}`)}</option>)}
+        </select>
+        <select value={floor} onChange={e => setFloor(e.target.value)} aria-label={t("history.floorFilter")} style={input}>
+          <option value="all">{t("history.allFloors")}</option>
+          {floors.map(f => <option key={f} value={f}>{t("common.floor", { floor: f })}</option>)}
+        </select>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(([key]) => (
+                <th key={key} aria-sort={sort.key === key ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}
+                  style={{ ...td, padding: 0, borderBottom: `2px solid ${C.border}`, textAlign: "left" }}>
+                  <button onClick={() => toggleSort(key)} style={{
+                    width: "100%", textAlign: "left", padding: "10px 12px", border: "none", background: "transparent",
+                    color: sort.key === key ? C.tx : C.txm, fontWeight: 600, fontSize: 11, fontFamily: "inherit", cursor: "pointer", whiteSpace: "nowrap",
+                  }}>
+                    {t(`col.${key}`)} {sort.key === key ? (sort.dir === "asc" ? "▲" : "▼") : ""}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(r => {
+              const change = changeOf(r);
+              return (
+                <tr key={r.key} tabIndex={0} onClick={() => setSelected(r)}
+                  onKeyDown={e => (e.key === "Enter" || e.key === " ") && (e.preventDefault(), setSelected(r))}
+                  style={{ cursor: "pointer", background: changeRowBg(change?.kind) }}>
+                  <td style={{ ...td, fontFamily: "'JetBrains Mono'", whiteSpace: "nowrap" }}>{r.day}<ChangeBadge kind={change?.kind} fields={change?.fields} /></td>
+                  <td style={{ ...td, fontFamily: "'JetBrains Mono'", fontWeight: 700 }}>{r.time || fmtTime(r.timestamp) || "—"}</td>
+                  <td style={td}><LocationBadge location={r.location} /></td>
+                  <td style={{ ...td, fontFamily: "'JetBrains Mono'", fontWeight: 700, color: r.floor ? C.orange : C.txd }}>{r.floor || "—"}</td>
+                  <td style={{ ...td, color: C.txm, maxWidth: 260, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{r.note || "—"}</td>
+                  <td style={td}><StatusBadge status={r.status} /></td>
+                </tr>
+              );
+            })}
+            {!pageRows.length && (
+              <tr><td colSpan={COLUMNS.length} style={{ ...td, textAlign: "center", color: C.txd, padding: 24 }}>{t("history.empty")}</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pages > 1 && (
+        <nav aria-label={t("history.pagination")} style={{ display: "flex", justifyContent: "flex-end", alignItems: "center", gap: 8, marginTop: 14, fontSize: 12 }}>
+          <button onClick={() => setPage(page - 1)} disabled={page === 0} style={{ ...input, cursor: page === 0 ? "default" : "pointer", opacity: page === 0 ? .5 : 1 }}>{t("history.prev")}</button>
+          <span style={{ color: C.txm }}>{t("history.page", { page: page + 1, pages })}</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pages - 1} style={{ ...input, cursor: page >= pages - 1 ? "default" : "pointer", opacity: page >= pages - 1 ? .5 : 1 }}>{t("history.next")}</button>
+        </nav>
+      )}
+
+      {selected && <RecordDrawer record={selected} onClose={() => setSelected(null)} />}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect } from "react";
+import { C } from "../theme";
+import { fmtTime, fmtDateTime, dayKey, todayKey } from "../dates";
+import { t } from "../i18n";
+import { LastUpdated } from "./RefreshStatus";
+
+// ━━━ Kiosk ━━━
+// options = kioskOptions() (src/display.js) · sections = { id: element } ที่ Dashboard สร้างให้
+// แสดงทีละ section หมุนทุก options.rotate ms · ไม่มีตัวกรอง/ปุ่ม — .no-print ในแต่ละ panel ถูกซ่อนด้วย
+// status = { loading, error, scheduler, staleAt, rows } · scheduler → เวลาอัปเดตล่าสุด (RefreshStatus)
+export default function KioskView({ options, sections, status }) {
+  const ids = options.sections.filter(id => sections[id]);
+  const [index, setIndex] = useState(0);
+  const [clock, setClock] = useState(() => new Date());
+  const current = ids[index % ids.length];
+
+  // setTimeout ต่อ section (ไม่ใช่ setInterval) → กดจุดเลือก section เองแล้วนับเวลาใหม่
+  useEffect(() => {
+    if (ids.length < 2) return;
+    const timer = setTimeout(() => setIndex(i => (i + 1) % ids.length), options.rotate);
+    return () => clearTimeout(timer);
+  }, [index, ids.length, options.rotate]);
+  useEffect(() => { const iv = setInterval(() => setClock(new Date()), 10 * 1000); return () => clearInterval(iv); }, []);
+
+  const { loading, error, scheduler, staleAt, rows } = status;
+  const dot = error ? C.red : C.green;
+
+  return (
+    <>
+      <style>{`
+        .back-nav, .back-to-top, .kiosk .no-print { display: none !important; }
+        @keyframes kioskProgress { from { transform: scaleX(0); } to { transform: scaleX(1); } }
+      `}</style>
+
+      {/* ━━━ Header ━━━ */}
+      <div style={{ background: C.header, padding: "24px 40px", display: "flex", alignItems: "center", gap: 24, flexWrap: "wrap" }}>
+        <div>
+          <div style={{ fontSize: 14, fontWeight: 600, color: C.headerTx, opacity: .9, letterSpacing: 4, textTransform: "uppercase" }}>🚗 carpark tracker</div>
+          <h1 style={{ fontSize: 40, fontWeight: 900, margin: 0, color: C.headerTx }}>{t("app.title")}</h1>
+        </div>
+        <div style={{ marginLeft: "auto", textAlign: "right", color: C.headerTx }}>
+          <div style={{ fontSize: 48, fontWeight: 700, fontFamily: "'JetBrains Mono'", lineHeight: 1 }}>{fmtTime(clock)}</div>
+          <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 8, fontSize: 16, marginTop: 8, opacity: .9 }}>
+            <span style={{ width: 12, height: 12, borderRadius: "50%", background: dot, boxShadow: `0 0 12px ${dot}`, animation: "pulse2 2s infinite" }} />
+            <span title={error?.message}>{t(`live.${loading ? "loading" : error ? "error" : "live"}`)}</span>
+            <span>· {t("live.rows", { n: rows })}</span>
+            <LastUpdated scheduler={scheduler} render={text => <span>· {text}</span>} />
+          </div>
+          {staleAt && (
+            <div style={{ display: "inline-block", marginTop: 8, color: C.noticeTx, background: C.notice, borderRadius: 8, padding: "4px 12px", fontSize: 14, fontWeight: 700 }}>
+              {t("live.stale", { at: dayKey(staleAt) === todayKey() ? fmtTime(staleAt) : fmtDateTime(staleAt) })}{error ? t("live.offline") : ""}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* ━━━ Section tabs + progress ━━━ */}
+      {ids.length > 1 && (
+        <nav aria-label={t("kiosk.sections")} style={{ display: "flex", justifyContent: "center", gap: 10, padding: "16px 40px 0" }}>
+          {ids.map((id, i) => (
+            <button key={id} onClick={() => setIndex(i)} aria-current={id === current ? "true" : undefined} style={{
+              position: "relative", overflow: "hidden", border: `1px solid ${id === current ? C.blue : C.border}`, borderRadius: 999,
+              background: id === current ? `${C.blue}18` : C.card, color: id === current ? C.blue : C.txm,
+              fontSize: 16, fontWeight: 700, padding: "8px 20px", fontFamily: "inherit", cursor: "pointer",
+            }}>
+              {t(`kiosk.section.${id}`)}
+              {id === current && (
+                <span key={index} style={{
+                  position: "absolute", left: 0, right: 0, bottom: 0, height: 3, background: C.blue, transformOrigin: "left",
+                  animation: `kioskProgress ${options.rotate}ms linear both`,
+                }} />
+              )}
+            </button>
+          ))}
+        </nav>
+      )}
+
+      {/* ━━━ Current section ━━━ */}
+      {/* zoom แทนการแก้ fontSize ทีละ component — ทั้ง panel (ตัวอักษร, กราฟ, ระยะห่าง) ขยายเท่ากัน */}
+      <div style={{ padding: "0 28px 40px", zoom: options.scale }}>
+        {ids.length ? <div key={current} style={{ animation: "fadeUp .6s ease both" }}>{sections[current]}</div>
+          : <div style={{ marginTop: 40, textAlign: "center", fontSize: 16, color: C.txm }}>{t("live.loading")}</div>}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,61 @@
+import { useMemo } from "react";
+import { C } from "../theme";
+import { locationsIn, floorLocationsIn } from "../locations";
+import { countByLocation, floorDistribution } from "../analytics";
+import { t, locLabel, fmtNumber } from "../i18n";
+
+// ━━━ KPI Card ━━━
+// hover ทำใน CSS (.kpi-card ใน <style> ของหน้า) ผ่าน --kpi · การ์ดเป็นเนื้อหานิ่ง → ไม่รับโฟกัส ค่าอ่านผ่าน listitem + aria-label
+function KpiCard({ icon, label, value, suffix, color, delay, delta }) {
+  const shown = `${typeof value === "number" ? fmtNumber(value) : value}${suffix ? ` ${suffix}` : ""}`;
+  const aria = t("a11y.kpi", { label, value: shown }) + (delta !== undefined ? ` (${delta > 0 ? "+" : ""}${fmtNumber(delta)} ${t("kpi.delta")})` : "");
+  return (
+    <div className="kpi-card" role="listitem" aria-label={aria} style={{
+      "--kpi": color,
+      background: C.card, borderRadius: 16, padding: "18px 20px 16px",
+      border: `1px solid ${C.border}`, position: "relative", overflow: "hidden",
+      transition: "all .25s cubic-bezier(.4,0,.2,1)", cursor: "default",
+      animation: `fadeUp .5s ${delay}ms ease both`,
+    }}>
+      <div aria-hidden="true" style={{ position: "absolute", top: 0, left: 0, right: 0, height: 3, background: `linear-gradient(90deg, ${color}, ${color}00)` }} />
+      <div style={{ fontSize: 22, marginBottom: 6 }}>{icon}</div>
+      <div style={{ fontSize: 11, color: C.txm, fontWeight: 500, marginBottom: 3, letterSpacing: .3 }}>{label}</div>
+      <div style={{ fontSize: 28, fontWeight: 800, color, fontFamily: "'JetBrains Mono', monospace", lineHeight: 1 }}>
+        {typeof value === "number" ? fmtNumber(value) : value}
+        {suffix && <span style={{ fontSize: 13, fontWeight: 500, color: C.txm, marginLeft: 5 }}>{suffix}</span>}
+      </div>
+      {delta !== undefined && (
+        <div style={{ fontSize: 11, fontWeight: 600, marginTop: 6, color: delta > 0 ? C.green : delta < 0 ? C.red : C.txm }}>
+          {delta > 0 ? "▲" : delta < 0 ? "▼" : "•"} {delta > 0 ? "+" : ""}{fmtNumber(delta)} <span style={{ color: C.txd, fontWeight: 500 }}>{t("kpi.delta")}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ━━━ KPI row ━━━
+// records = ตามตัวกรอง · all = ข้อมูลทั้งหมด (รายการสถานที่ + การ์ดจำนวนทั้งหมด) · previous = ช่วงก่อนหน้า (เปิดเปรียบเทียบ) หรือ null
+// ใช้ทั้งใน Dashboard, kiosk และ widget "kpis"
+export default function KpiRow({ records, all = records, previous = null, style }) {
+  const locEntries = useMemo(() => locationsIn(all), [all]);
+  const floorLocs = useMemo(() => floorLocationsIn(all), [all]);
+  const tripsByLoc = useMemo(() => countByLocation(records), [records]);
+  const prevTripsByLoc = useMemo(() => previous && countByLocation(previous), [previous]);
+  const floorDist = useMemo(() => floorDistribution(records), [records]);
+  const delta = (cur, prev) => previous ? cur - (prev || 0) : undefined;
+  const topFloor = l => floorDist[l]?.[0]?.floor || "-";
+
+  return (
+    <div role="list" aria-label={t("a11y.kpis")} style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(185px, 1fr))", gap: 20, ...style }}>
+      <KpiCard icon="🚗" label={t("kpi.trips")} value={records.length} suffix={t("common.timesUnit")} color={C.orange} delay={100} delta={delta(records.length, previous?.length)} />
+      {locEntries.map((l, i) => (
+        <KpiCard key={l.id} icon={l.icon} label={locLabel(l.name)} value={tripsByLoc[l.name] || 0} suffix={t("common.timesUnit")} color={l.color} delay={160 + i * 60}
+          delta={delta(tripsByLoc[l.name] || 0, prevTripsByLoc?.[l.name])} />
+      ))}
+      {floorLocs.map((l, i) => (
+        <KpiCard key={`floor-${l.id}`} icon="🅿️" label={t("kpi.topFloor", { loc: locLabel(l.name) })} value={t("common.floor", { floor: topFloor(l.name) })} suffix="" color={C.green} delay={160 + (locEntries.length + i) * 60} />
+      ))}
+      <KpiCard icon="📊" label={t("kpi.records")} value={all.length} suffix={t("common.timesUnit")} color={C.purple} delay={160 + (locEntries.length + floorLocs.length) * 60} />
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+import { locClr, locIco } from "../locations";
+import { locLabel } from "../i18n";
+
+export default function LocationBadge({ location }) {
+  return (
+    <span className="loc-badge" style={{
+      padding: "3px 10px", borderRadius: 20, fontSize: 11, fontWeight: 600,
+      background: `${locClr(location)}15`, color: locClr(location),
+      border: `1px solid ${locClr(location)}35`, whiteSpace: "nowrap",
+      display: "inline-block",
+    }}>
+      {locIco(location)} {locLabel(location)}
+    </span>
+  );
+}
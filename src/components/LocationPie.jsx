@@ -0,0 +1,55 @@
+import { useState } from "react";
+import { ResponsiveContainer, PieChart, Pie, Cell, Sector, Tooltip } from "recharts";
+import { C } from "../theme";
+import { locClr } from "../locations";
+import { t, locLabel, fmtNumber, fmtPercent } from "../i18n";
+import Tip from "./Tip";
+
+// ━━━ Location share pie ━━━
+// accessibilityLayer ของ Recharts ใช้กับ PieChart ไม่ได้ (ไม่มีแกน) → ทำเอง:
+// โฟกัสที่กราฟ → ← → / ↑ ↓ เลื่อนทีละส่วน · Home / End = ส่วนแรก / สุดท้าย · Esc = เลิกเลือก
+// ส่วนที่เลือกขยายออก (activeShape) + ข้อความ aria-live บอกชื่อ จำนวน สัดส่วน
+const activeShape = props => <Sector {...props} outerRadius={props.outerRadius + 8} />;
+
+export default function LocationPie({ data, label }) {
+  const [active, setActive] = useState(null);
+  const slices = data.map(d => ({ ...d, label: locLabel(d.name) }));
+  const total = slices.reduce((s, d) => s + d.value, 0);
+  const current = active === null ? null : slices[active];
+
+  const onKeyDown = e => {
+    if (!slices.length) return;
+    const last = slices.length - 1;
+    const next = {
+      ArrowRight: active === null ? 0 : (active + 1) % slices.length,
+      ArrowDown: active === null ? 0 : (active + 1) % slices.length,
+      ArrowLeft: active === null ? last : (active - 1 + slices.length) % slices.length,
+      ArrowUp: active === null ? last : (active - 1 + slices.length) % slices.length,
+      Home: 0,
+      End: last,
+      Escape: null,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    setActive(next);
+  };
+
+  return (
+    <div role="application" tabIndex={0} aria-label={t("a11y.pieKeys", { name: label })} onKeyDown={onKeyDown} onBlur={() => setActive(null)}
+      style={{ borderRadius: 12 }}>
+      <ResponsiveContainer width="100%" height={250}>
+        <PieChart>
+          <Pie data={slices} dataKey="value" nameKey="label" cx="50%" cy="50%" outerRadius={95} innerRadius={52} strokeWidth={3} stroke={C.bg}
+            activeIndex={active ?? undefined} activeShape={activeShape}
+            label={({ name, percent }) => `${name} ${fmtNumber(percent, { style: "percent", maximumFractionDigits: 0 })}`} style={{ fontSize: 11 }}>
+            {slices.map((e, i) => <Cell key={i} fill={locClr(e.name)} />)}
+          </Pie>
+          <Tooltip content={<Tip />} />
+        </PieChart>
+      </ResponsiveContainer>
+      <p className="sr-only" aria-live="polite">
+        {current ? `${current.label}: ${t("common.times", { n: current.value })} (${fmtPercent(total ? current.value / total : null)})` : ""}
+      </p>
+    </div>
+  );
+}
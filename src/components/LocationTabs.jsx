@@ -0,0 +1,39 @@
+import { useId, useRef } from "react";
+
+// ━━━ Location tabs ━━━
+// การ์ดเลือกสถานที่ตามแบบ WAI-ARIA tabs: ← → เลื่อนแท็บ (วนรอบ) · Home / End = แรก / สุดท้าย
+// เฉพาะแท็บที่เลือกอยู่ใน tab order (roving tabIndex) · เลือกตามโฟกัส · เนื้อหาของแท็บที่เลือก = tabpanel
+// items = [{ key, style, content }] · active = key ที่เลือก · children = เนื้อหาใน tabpanel
+// content อยู่ใน <button> → ใช้ <span style={{ display: "block" }}> แทน <div> (ปุ่มรับได้แค่ phrasing content)
+export default function LocationTabs({ label, items, active, onSelect, minWidth, children }) {
+  const id = useId();
+  const listRef = useRef(null);
+  const index = items.findIndex(item => item.key === active);
+
+  const onKeyDown = e => {
+    const last = items.length - 1;
+    const next = { ArrowRight: index === last ? 0 : index + 1, ArrowLeft: index <= 0 ? last : index - 1, Home: 0, End: last }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    onSelect(items[next].key);
+    listRef.current.querySelectorAll('[role="tab"]')[next]?.focus();
+  };
+
+  return (
+    <>
+      <div ref={listRef} role="tablist" aria-label={label} onKeyDown={onKeyDown}
+        style={{ display: "grid", gridTemplateColumns: `repeat(auto-fit, minmax(${minWidth}px, 1fr))`, gap: 16 }}>
+        {items.map((item, i) => (
+          <button key={item.key} id={`${id}-tab-${i}`} role="tab" aria-selected={i === index} aria-controls={`${id}-panel`}
+            tabIndex={i === index ? 0 : -1} onClick={() => onSelect(item.key)}
+            style={{ textAlign: "left", fontFamily: "inherit", cursor: "pointer", ...item.style }}>
+            {item.content}
+          </button>
+        ))}
+      </div>
+      <div id={`${id}-panel`} role="tabpanel" aria-labelledby={index >= 0 ? `${id}-tab-${index}` : undefined} tabIndex={0}>
+        {children}
+      </div>
+    </>
+  );
+}
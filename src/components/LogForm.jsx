@@ -0,0 +1,116 @@
+import { useState, useMemo } from "react";
+import { C } from "../theme";
+import { LOCATIONS, getLocation, locIco } from "../locations";
+import { floorDistribution } from "../analytics";
+import { coordsUrl } from "../mapUrl";
+import { fmtMinutes, minutesOfDay, fmtTime } from "../dates";
+import { t, locLabel } from "../i18n";
+
+const blank = location => ({ location, floor: "", note: "", time: fmtMinutes(minutesOfDay(new Date())), mapUrl: "" });
+
+// ━━━ Log my parking ━━━
+// ฟอร์มบันทึกที่จอด → onSubmit(fields) (Dashboard ใส่คิวแล้วส่ง webhook — ดู src/logEntry.js)
+// queue = entry ที่รอ sheet ยืนยัน · records = ข้อมูลทั้งหมด (แนะนำชั้นที่เคยจอดของสถานที่นั้น)
+// locations = ชื่อสถานที่ที่เจอในข้อมูล (ชุดเดียวกับตัวกรอง) · ยังไม่มีข้อมูล → สถานที่ใน registry
+export default function LogForm({ webhook, queue, records, locations, onSubmit, onRetry, onRemove }) {
+  const options = locations.length ? locations : LOCATIONS.map(l => l.name);
+  const [form, setForm] = useState(() => blank(options[0]));
+  const [geo, setGeo] = useState({ busy: false, error: "" });
+  const floorDist = useMemo(() => floorDistribution(records), [records]);
+  const floors = (floorDist[form.location] || []).map(f => f.floor);
+  const set = patch => setForm(f => ({ ...f, ...patch }));
+
+  const input = { border: `1px solid ${C.border}`, borderRadius: 8, padding: "8px 10px", fontSize: 13, fontFamily: "inherit", background: C.card, color: C.tx, width: "100%" };
+  const btn = { border: `1px solid ${C.border}`, background: C.bg2, borderRadius: 8, padding: "6px 12px", fontSize: 12, fontFamily: "inherit", cursor: "pointer", color: C.txm };
+  const label = { display: "flex", flexDirection: "column", gap: 4, fontSize: 11, fontWeight: 600, color: C.txm };
+
+  const locate = () => {
+    if (!navigator.geolocation) return setGeo({ busy: false, error: t("logForm.geoUnsupported") });
+    setGeo({ busy: true, error: "" });
+    navigator.geolocation.getCurrentPosition(
+      pos => { set({ mapUrl: coordsUrl({ lat: pos.coords.latitude, lng: pos.coords.longitude }) }); setGeo({ busy: false, error: "" }); },
+      err => setGeo({ busy: false, error: t("logForm.geoError", { msg: err.message }) }),
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 },
+    );
+  };
+
+  const submit = e => {
+    e.preventDefault();
+    if (!webhook || !form.location) return;
+    onSubmit(form);
+    setForm(blank(options[0]));
+  };
+
+  return (
+    <div style={{
+      background: C.card, borderRadius: 16, padding: 24, border: `1px solid ${C.border}`, marginTop: 20,
+      animation: "fadeUp .3s ease both",
+    }}>
+      <h3 style={{ margin: "0 0 4px", fontSize: 15, fontWeight: 700 }}>{t("logForm.title")}</h3>
+      <p style={{ margin: "0 0 14px", fontSize: 11, color: C.txm }}>{t("logForm.subtitle")}</p>
+
+      {!webhook && (
+        <div role="alert" style={{ fontSize: 12, color: C.noticeTx, background: C.notice, borderRadius: 8, padding: "6px 10px", marginBottom: 12 }}>
+          {t("logForm.noWebhook")}
+        </div>
+      )}
+
+      <form onSubmit={submit} style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))", gap: 12, alignItems: "end" }}>
+        <label style={label}>
+          {t("col.location")}
+          <select value={form.location} onChange={e => set({ location: e.target.value, floor: "" })} required style={input}>
+            {options.map(l => <option key={l} value={l}>{locIco(l)} {locLabel(l)}</option>)}
+          </select>
+        </label>
+        <label style={label}>
+          {t("col.floor")}
+          <input value={form.floor} onChange={e => set({ floor: e.target.value })} list="log-form-floors"
+            placeholder={floors[0] || (getLocation(form.location).floors ? "B1" : "—")} style={input} />
+          <datalist id="log-form-floors">{floors.map(f => <option key={f} value={f} />)}</datalist>
+        </label>
+        <label style={label}>
+          {t("col.time")}
+          <input type="time" value={form.time} onChange={e => set({ time: e.target.value })} style={input} />
+        </label>
+        <label style={{ ...label, gridColumn: "1 / -1" }}>
+          {t("col.note")}
+          <input value={form.note} onChange={e => set({ note: e.target.value })} placeholder={t("logForm.notePlaceholder")} style={input} />
+        </label>
+        <label style={{ ...label, gridColumn: "1 / -1" }}>
+          {t("logForm.map")}
+          <div style={{ display: "flex", gap: 8 }}>
+            <input type="url" value={form.mapUrl} onChange={e => set({ mapUrl: e.target.value })} placeholder="https://maps.google.com/?q=…" style={input} />
+            <button type="button" onClick={locate} disabled={geo.busy} style={{ ...btn, whiteSpace: "nowrap" }}>
+              {geo.busy ? t("logForm.locating") : t("logForm.locate")}
+            </button>
+          </div>
+          {geo.error && <span style={{ fontWeight: 500, color: C.red }}>{geo.error}</span>}
+        </label>
+        <button type="submit" disabled={!webhook} style={{
+          gridColumn: "1 / -1", justifySelf: "start", border: "none", borderRadius: 10, padding: "10px 20px",
+          background: webhook ? `linear-gradient(135deg, ${C.blue}, ${C.blueD})` : C.border, color: C.onAccent,
+          fontSize: 13, fontWeight: 700, fontFamily: "inherit", cursor: webhook ? "pointer" : "default",
+        }}>{t("logForm.submit")}</button>
+      </form>
+
+      {queue.length > 0 && (
+        <div style={{ marginTop: 18 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, fontWeight: 700, marginBottom: 6 }}>
+            {t("logForm.queue", { n: queue.length })}
+            {queue.some(e => !e.sent) && <button onClick={onRetry} style={{ ...btn, marginLeft: "auto" }}>{t("logForm.retry")}</button>}
+          </div>
+          {queue.map(e => (
+            <div key={e.id} style={{ display: "flex", alignItems: "center", gap: 10, padding: "6px 0", borderTop: `1px solid ${C.border}`, fontSize: 12 }}>
+              <span style={{ fontFamily: "'JetBrains Mono'", fontWeight: 700 }}>{e.time || fmtTime(e.timestamp)}</span>
+              <span>{getLocation(e.location).icon} {locLabel(e.location)}{e.floor ? ` · ${t("common.floor", { floor: e.floor })}` : ""}</span>
+              <span title={e.error || undefined} style={{ marginLeft: "auto", fontSize: 11, color: e.sent ? C.cyan : e.error ? C.red : C.txm }}>
+                {t(`logForm.${e.sent ? "sent" : e.error ? "failed" : "queued"}`)}
+              </span>
+              <button onClick={() => onRemove(e.id)} aria-label={t("logForm.remove")} title={t("logForm.remove")} style={{ ...btn, padding: "2px 8px" }}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { C } from "../theme";
+import { fmtTime, fmtDateTime } from "../dates";
+import { statusKind } from "../status";
+import { t, locLabel } from "../i18n";
+
+// ━━━ Monthly report (print only) ━━━
+// แสดงเฉพาะตอนพิมพ์ — หัวรายงานอยู่บนสุด, รายการทั้งเดือนขึ้นหน้าใหม่ท้ายรายงาน
+// ส่วน KPI / กราฟใช้ของหน้า dashboard (ซ่อน chrome ด้วย .no-print)
+export function PrintHeader({ month, count }) {
+  if (!month) return null;
+  return (
+    <div className="print-only" style={{ padding: "16px 0 4px" }}>
+      <h2 style={{ margin: 0, fontSize: 18 }}>{t("print.title", { month })}</h2>
+      <p style={{ margin: "2px 0 0", fontSize: 10, color: C.txm }}>{t("print.meta", { n: count, at: fmtDateTime(new Date()) })}</p>
+    </div>
+  );
+}
+
+export function PrintRecords({ month, records }) {
+  if (!month) return null;
+  const rows = [...records].sort((a, b) => a.day.localeCompare(b.day) || a.timestamp.localeCompare(b.timestamp));
+  const cell = { padding: "4px 6px", borderBottom: `1px solid ${C.border}`, fontSize: 10, textAlign: "left" };
+  return (
+    <section className="print-only print-page-break">
+      <h3 style={{ fontSize: 13, margin: "0 0 8px" }}>{t("print.records", { month })}</h3>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>{["day", "time", "location", "floor", "note", "status"].map(h => <th key={h} style={{ ...cell, fontWeight: 700 }}>{t(`col.${h}`)}</th>)}</tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i}>
+              <td style={cell}>{r.day}</td>
+              <td style={cell}>{r.time || fmtTime(r.timestamp)}</td>
+              <td style={cell}>{locLabel(r.location)}</td>
+              <td style={cell}>{r.floor || "—"}</td>
+              <td style={cell}>{r.note}</td>
+              <td style={cell}>{t(`status.${statusKind(r.status)}`)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState, useSyncExternalStore } from "react";
+import { C } from "../theme";
+import { fmtClock } from "../dates";
+import { t } from "../i18n";
+
+// ━━━ Refresh status ━━━
+// ส่วนที่เปลี่ยนทุกรอบ fetch (เวลาอัปเดตล่าสุด, countdown, ปุ่ม refresh) subscribe scheduler เอง
+// → รอบที่เนื้อหาเท่าเดิม re-render แค่ส่วนนี้ ไม่ใช่ทั้ง Dashboard · scheduler = createRefreshScheduler() หรือ null (ยังไม่สร้าง)
+const STARTING = { fetching: true, error: null, failures: 0, lastRefresh: null, nextAt: null, paused: false };
+
+function useRefreshState(scheduler) {
+  const subscribe = useCallback(fn => (scheduler ? scheduler.subscribe(fn) : () => {}), [scheduler]);
+  return useSyncExternalStore(subscribe, () => (scheduler ? scheduler.getState() : STARTING));
+}
+
+const fmtCD = s => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+
+// "อัปเดตล่าสุด …" · render(text) = ห่อด้วย element ของแต่ละหน้า (panel / kiosk)
+export function LastUpdated({ scheduler, render }) {
+  const { lastRefresh } = useRefreshState(scheduler);
+  return lastRefresh ? render(t("live.updated", { time: fmtClock(lastRefresh) })) : null;
+}
+
+// รอบถัดไป / retry / พัก · นาฬิกาทุกวินาทีอยู่ในนี้ — เวลาที่แสดงคิดจาก nextAt ของ scheduler
+export function RefreshCountdown({ scheduler, loading, style }) {
+  const { fetching, paused, failures, nextAt } = useRefreshState(scheduler);
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => { const iv = setInterval(() => setNow(Date.now()), 1000); return () => clearInterval(iv); }, []);
+  const countdown = nextAt ? Math.max(0, Math.round((nextAt - now) / 1000)) : null;
+  return (
+    <div style={style}>
+      {fetching && !loading ? t("live.updating") : paused ? t("live.pausedHidden")
+        : failures && countdown !== null ? t("live.retry", { n: failures, in: fmtCD(countdown) })
+        : t("live.next", { in: countdown === null ? "—" : fmtCD(countdown) })}
+    </div>
+  );
+}
+
+export function RefreshButton({ scheduler, style }) {
+  const { fetching } = useRefreshState(scheduler);
+  return (
+    <button onClick={() => scheduler?.refresh()} disabled={fetching} style={{
+      ...style, background: fetching ? C.border : `linear-gradient(135deg, ${C.blue}, ${C.blueD})`,
+      color: C.onAccent, fontWeight: 700, border: "none", transition: "all .2s",
+      opacity: fetching ? .6 : 1,
+    }}>
+      {fetching ? t("live.refreshing") : t("live.refreshNow")}
+    </button>
+  );
+}
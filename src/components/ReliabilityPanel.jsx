@@ -0,0 +1,119 @@
+import { useState, useMemo } from "react";
+import {
+  ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine,
+} from "recharts";
+import { C } from "../theme";
+import { reliability } from "../analytics";
+import { reliabilityA11y } from "../chartA11y";
+import ChartCard, { ChartArea } from "./ChartCard";
+import { t, fmtPercent as pct } from "../i18n";
+
+const STORAGE_KEY = "carpark.reliabilityThreshold";
+const DEFAULT_THRESHOLD = Number(import.meta.env.VITE_RELIABILITY_THRESHOLD || 0.8);
+
+const loadThreshold = () => {
+  try {
+    const v = Number(localStorage.getItem(STORAGE_KEY));
+    if (v > 0 && v <= 1) return v;
+  } catch { /* storage ปิด / iframe sandbox */ }
+  return DEFAULT_THRESHOLD;
+};
+
+function Stat({ label, value, color, hint }) {
+  return (
+    <div style={{ background: `${color}0a`, border: `1px solid ${color}25`, borderRadius: 12, padding: "12px 16px" }}>
+      <div style={{ fontSize: 11, color: C.txm, marginBottom: 2 }}>{label}</div>
+      <div style={{ fontSize: 24, fontWeight: 800, color, fontFamily: "'JetBrains Mono', monospace" }}>{value}</div>
+      {hint && <div style={{ fontSize: 10, color: C.txd }}>{hint}</div>}
+    </div>
+  );
+}
+
+// ━━━ Reminder reliability ━━━
+export default function ReliabilityPanel({ records }) {
+  const [threshold, setThreshold] = useState(loadThreshold);
+  const rel = useMemo(() => reliability(records, { threshold }), [records, threshold]);
+  const chartData = rel.daily.map(d => ({ ...d, ratePct: d.rate === null ? null : Math.round(d.rate * 100) }));
+
+  const updateThreshold = v => {
+    const next = Math.min(100, Math.max(1, Number(v) || 0)) / 100;
+    setThreshold(next);
+    try { localStorage.setItem(STORAGE_KEY, String(next)); } catch { /* storage ปิด */ }
+  };
+
+  return (
+    <div style={{ marginTop: 28 }}>
+      <ChartCard title={t("reliability.title")} subtitle={t("reliability.subtitle")} delay={860} exportName="reminder-reliability"
+        {...reliabilityA11y(rel)}>
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))", gap: 12, marginBottom: 16 }}>
+          <Stat label={t("reliability.sent")} value={pct(rel.rate)} color={rel.rate !== null && rel.rate < threshold ? C.red : C.green} hint={t("reliability.sentHint", { sent: rel.sent, total: rel.sent + rel.fail })} />
+          <Stat label={t("reliability.failed")} value={rel.fail} color={C.red} hint={t("common.timesUnit")} />
+          <Stat label={t("reliability.backfill")} value={pct(rel.backfillShare)} color={C.orange} hint={t("reliability.backfillHint", { n: rel.backfill, total: rel.total })} />
+          <Stat label={t("reliability.lowDays")} value={rel.lowDays.length} color={rel.lowDays.length ? C.red : C.txm} hint={t("reliability.thresholdHint", { pct: pct(threshold) })} />
+        </div>
+
+        <label className="no-print" style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 12, color: C.txm, marginBottom: 8 }}>
+          {t("reliability.threshold")}
+          <input type="number" min={1} max={100} step={5} value={Math.round(threshold * 100)} onChange={e => updateThreshold(e.target.value)}
+            style={{ width: 64, border: `1px solid ${C.border}`, borderRadius: 8, padding: "4px 8px", fontSize: 12, fontFamily: "inherit" }} />
+          %
+        </label>
+
+        <ChartArea>
+        <ResponsiveContainer width="100%" height={240}>
+          <ComposedChart data={chartData} accessibilityLayer aria-label={t("a11y.chartKeys", { name: t("reliability.title") })}>
+            <CartesianGrid strokeDasharray="3 3" stroke={C.border} />
+            <XAxis dataKey="date" stroke={C.txm} fontSize={10} />
+            <YAxis yAxisId="n" stroke={C.txm} fontSize={11} allowDecimals={false} />
+            <YAxis yAxisId="pct" orientation="right" stroke={C.txm} fontSize={11} domain={[0, 100]} tickFormatter={v => `${v}%`} />
+            <Tooltip content={({ active, payload }) => {
+              if (!active || !payload?.length) return null;
+              const d = payload[0].payload;
+              return (
+                <div role="status" aria-live="polite" style={{ background: C.card, border: `1px solid ${C.borderHi}`, borderRadius: 12, padding: "10px 14px", fontSize: 12, boxShadow: `0 8px 24px ${C.shadow}` }}>
+                  <div style={{ color: C.txm, fontSize: 11, marginBottom: 4 }}>{d.day}</div>
+                  <div style={{ color: d.low ? C.red : C.green, fontWeight: 700 }}>{d.ratePct === null ? "—" : `${d.ratePct}%`}{d.low ? " ⚠" : ""}</div>
+                  <div style={{ color: C.txm }}>✓ {d.sent} · ✗ {d.fail} · {t("reliability.tipBackfill", { n: d.backfill })}</div>
+                </div>
+              );
+            }} />
+            <Bar yAxisId="n" dataKey="fail" name={t("reliability.failSeries")} stackId="s" fill={`${C.red}88`} />
+            <Bar yAxisId="n" dataKey="backfill" name={t("reliability.backfill")} stackId="s" fill={`${C.orange}66`} />
+            <ReferenceLine yAxisId="pct" y={threshold * 100} stroke={C.red} strokeDasharray="4 4" />
+            <Line yAxisId="pct" type="monotone" dataKey="ratePct" name={t("reliability.successSeries")} stroke={C.green} strokeWidth={2.5} connectNulls
+              dot={({ cx, cy, payload }) => (
+                <circle key={payload.day} cx={cx} cy={cy} r={payload.low ? 6 : 3.5}
+                  fill={payload.low ? C.red : C.green} stroke={C.bg} strokeWidth={2} />
+              )} />
+          </ComposedChart>
+        </ResponsiveContainer>
+        </ChartArea>
+
+        <div className="grid-2col" style={{ marginTop: 16, gap: 16 }}>
+          <div>
+            <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("reliability.reasons")}</div>
+            {rel.failureReasons.length ? rel.failureReasons.map(({ reason, count }) => (
+              <div key={reason} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, padding: "4px 0" }}>
+                <div style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={reason}>{reason || t("reliability.noReason")}</div>
+                <div style={{ width: 90, height: 6, background: C.bg2, borderRadius: 3 }}>
+                  <div style={{ width: `${(count / rel.failureReasons[0].count) * 100}%`, height: "100%", background: C.red, borderRadius: 3 }} />
+                </div>
+                <div style={{ width: 28, textAlign: "right", fontFamily: "'JetBrains Mono'", fontWeight: 700 }}>{count}</div>
+              </div>
+            )) : <div style={{ fontSize: 12, color: C.txd }}>{t("common.noneYay")}</div>}
+          </div>
+          <div>
+            <div style={{ fontSize: 12, fontWeight: 700, marginBottom: 6 }}>{t("reliability.lowDays")}</div>
+            {rel.lowDays.length ? rel.lowDays.map(d => (
+              <div key={d.day} style={{ fontSize: 12, padding: "3px 0", display: "flex", gap: 8 }}>
+                <span style={{ fontFamily: "'JetBrains Mono'" }}>{d.day}</span>
+                <span style={{ color: C.red, fontWeight: 700 }}>{pct(d.rate)}</span>
+                <span style={{ color: C.txm }}>{t("reliability.lowFail", { n: d.fail })}</span>
+              </div>
+            )) : <div style={{ fontSize: 12, color: C.txd }}>{t("common.none")}</div>}
+          </div>
+        </div>
+      </ChartCard>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { C } from "../theme";
+import { statusKind } from "../status";
+import { t } from "../i18n";
+
+const STYLE = {
+  sent: { tone: "green" },
+  backfill: { tone: "orange" },
+  manual: { tone: "blue" },
+  fail: { tone: "red" },
+  none: { tone: "txm" },
+  pending: { tone: "cyan" },
+};
+
+export default function StatusBadge({ status }) {
+  const kind = statusKind(status);
+  const color = C[STYLE[kind].tone];
+  return (
+    <span style={{ fontSize: 11, fontWeight: 600, color, background: `${color}15`, padding: "2px 8px", borderRadius: 6, whiteSpace: "nowrap" }}
+      title={kind === "fail" ? status : undefined}>{t(`status.${kind}`)}</span>
+  );
+}
@@ -0,0 +1,19 @@
+import { C } from "../theme";
+import { fmtNumber } from "../i18n";
+
+// ━━━ Tooltip ━━━
+const Tip = ({ active, payload, label }) => {
+  if (!active || !payload?.length) return null;
+  return (
+    <div role="status" aria-live="polite" style={{ background: C.card, border: `1px solid ${C.borderHi}`, borderRadius: 12, padding: "12px 16px", fontSize: 13, boxShadow: `0 12px 40px ${C.shadow}` }}>
+      <p style={{ color: C.txm, marginBottom: 4, fontSize: 11 }}>{label}</p>
+      {payload.map((p, i) => (
+        <p key={i} style={{ color: p.color || C.tx, fontWeight: 700, margin: "2px 0" }}>
+          {p.name}: {typeof p.value === "number" ? fmtNumber(p.value) : p.value}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default Tip;
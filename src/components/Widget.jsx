@@ -0,0 +1,83 @@
+import { useState, useEffect, useMemo, useRef } from "react";
+import { C } from "../theme";
+import { loadSource, resolveSource } from "../dataSources";
+import { createRefreshScheduler } from "../refresh";
+import { loadSnapshot } from "../offlineCache";
+import { loadNoiseRules } from "../noiseRules";
+import { latestRecord } from "../analytics";
+import { t } from "../i18n";
+import CurrentCarCard from "./CurrentCarCard";
+import KpiRow from "./KpiRow";
+
+const REFRESH_MS = 5 * 60 * 1000;
+// ต้องตรงกับ public/embed.js
+const RESIZE_MESSAGE = "carpark-widget:resize";
+
+// ลิงก์กลับไป dashboard เต็ม — พา ?source= / ?theme= / ?lang= ติดไปด้วย
+const dashboardHref = () => {
+  const q = new URLSearchParams(window.location.search);
+  q.delete("widget");
+  const qs = q.toString();
+  return `${import.meta.env.BASE_URL}${qs ? `?${qs}` : ""}`;
+};
+
+// ━━━ Embeddable widget ━━━
+// widget.html?widget=current|kpis (ดู src/display.js) — ดึงข้อมูลเองจาก source เดียวกับ dashboard (?source=&url= / env)
+// อ่านอย่างเดียว: ใช้ snapshot ออฟไลน์ของ dashboard ได้ แต่ไม่บันทึก snapshot / change log / alert ทับ
+// อยู่ใน iframe → ส่งความสูงให้หน้าแม่ทุกครั้งที่เปลี่ยน (public/embed.js ปรับขนาด <carpark-widget> ตาม)
+export default function Widget({ name }) {
+  const [data, setData] = useState([]);
+  const [refresh, setRefresh] = useState({ error: null, lastRefresh: null });
+  const root = useRef(null);
+
+  useEffect(() => {
+    const source = resolveSource();
+    let live = false;
+    loadSnapshot(source).then(snap => { if (snap && !live) setData(snap.accepted); });
+    const s = createRefreshScheduler({
+      load: signal => loadSource(source, { signal, noiseRules: loadNoiseRules() }),
+      onData: result => { live = true; setData(result.accepted); },
+      onState: setRefresh,
+      interval: REFRESH_MS,
+    });
+    s.refresh();
+    return () => s.stop();
+  }, []);
+
+  useEffect(() => {
+    if (window.parent === window || typeof ResizeObserver === "undefined") return;
+    const el = root.current;
+    const ro = new ResizeObserver(() => {
+      window.parent.postMessage({ type: RESIZE_MESSAGE, height: Math.ceil(el.getBoundingClientRect().height) }, "*");
+    });
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const latest = useMemo(() => latestRecord(data), [data]);
+  const { error, lastRefresh } = refresh;
+  const placeholder = !data.length && (!lastRefresh && !error ? t("live.loading") : error ? t("live.error") : t("widget.empty"));
+
+  return (
+    <div ref={root} style={{ padding: 4, color: C.tx, fontFamily: "'IBM Plex Sans Thai', 'SF Pro Display', -apple-system, sans-serif" }}>
+      <link href="https://fonts.googleapis.com/css2?family=IBM+Plex+Sans+Thai:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;600;700&display=swap" rel="stylesheet" />
+      <style>{`
+        @keyframes fadeUp { from { opacity:0; transform:translateY(16px); } to { opacity:1; transform:translateY(0); } }
+        @keyframes pulse2 { 0%,100% { opacity:1; } 50% { opacity:.35; } }
+        .sr-only { position:absolute; width:1px; height:1px; padding:0; margin:-1px; overflow:hidden; clip:rect(0 0 0 0); white-space:nowrap; border:0; }
+        :focus-visible { outline:2px solid ${C.blue}; outline-offset:2px; }
+        .kpi-card:hover, .kpi-card:focus-within { border-color:color-mix(in srgb, var(--kpi) 35%, transparent) !important; transform:translateY(-3px); box-shadow:0 8px 30px color-mix(in srgb, var(--kpi) 10%, transparent); }
+      `}</style>
+
+      {placeholder ? (
+        <div title={error?.message} style={{ background: C.card, border: `1px solid ${C.border}`, borderRadius: 16, padding: 20, fontSize: 13, color: C.txm }}>
+          {placeholder}
+        </div>
+      ) : name === "kpis" ? <KpiRow records={data} /> : <CurrentCarCard record={latest} />}
+
+      <div style={{ textAlign: "right", marginTop: 6 }}>
+        <a href={dashboardHref()} target="_blank" rel="noopener noreferrer" style={{ fontSize: 11, color: C.txm, textDecoration: "none" }}>{t("widget.open")}</a>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import Papa from "papaparse";
+import { parseRows } from "./parse.js";
+import { generateDemoCsv } from "./demoData.js";
+import { t } from "./i18n.js";
+
+// ━━━ Google Sheets Published CSV URL ━━━
+export const SHEET_CSV_URL =
+  "https://docs.google.com/spreadsheets/d/e/2PACX-1vSpcNe_oAPGLGZpUO-v3d8dPzWl1qOG26ItP2MmvadOnGQsAWfyrtKBgmttTybcR-hhU4d299zKP9En/pub?gid=0&single=true&output=csv";
+
+// ไฟล์ตัวอย่างที่วางไว้ข้าง build (public/fixtures/…)
+export const FIXTURE_URL = `${import.meta.env.BASE_URL}fixtures/carpark.csv`;
+
+// ━━━ Helpers ━━━
+async function fetchText(url, signal) {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(t("source.http", { status: String(res.status) }));
+  return res.text();
+}
+
+const csvToRows = (text, opts) => {
+  const parsed = Papa.parse(text, { header: true, skipEmptyLines: true });
+  return parseRows(parsed.data, { ...opts, headers: parsed.meta.fields });
+};
+
+// JSON endpoint: รับได้ทั้ง [ {...} ] หรือ { rows: [ {...} ] } (เช่น Apps Script doGet)
+const jsonToRows = (json, opts) => {
+  const rows = Array.isArray(json) ? json : json?.rows || json?.data;
+  if (!Array.isArray(rows)) throw new Error(t("source.notRows"));
+  return parseRows(rows.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, v == null ? "" : String(v)]))), opts);
+};
+
+// ━━━ Adapters ━━━
+// ทุก adapter คืนค่าแบบเดียวกับ parseRows: { accepted, rejected, warnings } · ชื่อที่แสดงอยู่ใน locales (source.type.*)
+export const adapters = {
+  sheet: {
+    load: async ({ url, signal, ...opts }) => csvToRows(await fetchText(url || SHEET_CSV_URL, signal), opts),
+  },
+  csv: {
+    load: async ({ url, signal, ...opts }) => {
+      if (!url) throw new Error(t("source.missingUrl", { name: t("source.type.csv") }));
+      return csvToRows(await fetchText(url, signal), opts);
+    },
+  },
+  json: {
+    load: async ({ url, signal, ...opts }) => {
+      if (!url) throw new Error(t("source.missingUrl", { name: t("source.type.json") }));
+      const res = await fetch(url, { signal });
+      if (!res.ok) throw new Error(t("source.http", { status: String(res.status) }));
+      return jsonToRows(await res.json(), opts);
+    },
+  },
+  fixture: {
+    load: async ({ url, signal, ...opts }) => csvToRows(await fetchText(url || FIXTURE_URL, signal), opts),
+  },
+  // สร้างในเบราว์เซอร์ (src/demoData.js) — ไม่ต้องใช้ network / sheet เลย
+  demo: {
+    load: async ({ seed, days, ...opts }) => csvToRows(generateDemoCsv({ seed, days }), opts),
+  },
+  file: {
+    load: async ({ file, ...opts }) => {
+      if (!file) throw new Error(t("source.noFile"));
+      const text = await file.text();
+      return /\.json$/i.test(file.name) ? jsonToRows(JSON.parse(text), opts) : csvToRows(text, opts);
+    },
+  },
+};
+
+// ━━━ Source selection ━━━
+// ลำดับความสำคัญ: URL (?source=csv&url=…&schema=1) → env (VITE_DATA_SOURCE / VITE_DATA_URL / VITE_SCHEMA_VERSION) → Google Sheets
+// ?demo=1 = ?source=demo · ข้อมูลสังเคราะห์ เลือกชุดด้วย &seed= และจำนวนวันด้วย &days=
+export function resolveSource(search = typeof window !== "undefined" ? window.location.search : "") {
+  const q = new URLSearchParams(search);
+  const demo = q.has("demo") && q.get("demo") !== "0";
+  const type = demo ? "demo" : q.get("source") || import.meta.env.VITE_DATA_SOURCE || "sheet";
+  if (type === "demo") {
+    return { type, url: "", seed: Number(q.get("seed")) || 1, days: Math.min(730, Number(q.get("days")) || 90) };
+  }
+  const url = q.get("url") || import.meta.env.VITE_DATA_URL || "";
+  const schemaVersion = q.get("schema") || import.meta.env.VITE_SCHEMA_VERSION || undefined;
+  if (!adapters[type] || type === "file") return { type: "sheet", url: "", schemaVersion };
+  return { type, url, schemaVersion };
+}
+
+// เรียกตอน render (ผลของ t() เปลี่ยนตามภาษา)
+export function sourceLabel(source) {
+  const name = adapters[source.type] ? t(`source.type.${source.type}`) : source.type;
+  return source.type === "demo" ? t("source.seed", { name, seed: String(source.seed) }) : name;
+}
+
+export function loadSource(source, { signal, noiseRules } = {}) {
+  const adapter = adapters[source.type];
+  if (!adapter) return Promise.reject(new Error(t("source.unknown", { type: source.type })));
+  return adapter.load({ ...source, signal, noiseRules });
+}
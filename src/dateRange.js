@@ -0,0 +1,31 @@
+import { todayKey, addDays, daysBetween, startOfWeek, startOfMonth } from "./dates.js";
+
+// ━━━ Date range ━━━
+// ช่วงวันที่เป็น day key "YYYY-MM-DD" (ดู dates.js) ทั้งสองฝั่ง inclusive
+// from/to = null → ไม่จำกัดฝั่งนั้น
+
+// ป้ายของแต่ละ preset อยู่ใน locales (range.*)
+export const RANGE_PRESETS = ["all", "today", "week", "month", "30d", "custom"];
+
+// preset → { from, to }
+export function resolveRange(preset, custom = {}, now = new Date()) {
+  const today = todayKey(now);
+  switch (preset) {
+    case "today": return { from: today, to: today };
+    case "week": return { from: startOfWeek(today), to: today };
+    case "month": return { from: startOfMonth(today), to: today };
+    case "30d": return { from: addDays(today, -29), to: today };
+    case "custom": return { from: custom.from || null, to: custom.to || null };
+    default: return { from: null, to: null };
+  }
+}
+
+// ช่วงก่อนหน้าที่ยาวเท่ากัน (ติดกันพอดี) — ไม่มีขอบเขตครบสองฝั่งคืน null
+export function previousRange({ from, to }) {
+  if (!from || !to) return null;
+  const len = daysBetween(from, to) + 1;
+  return { from: addDays(from, -len), to: addDays(from, -1) };
+}
+
+export const inRange = (dateStr, { from, to }) =>
+  !!dateStr && (!from || dateStr >= from) && (!to || dateStr <= to);
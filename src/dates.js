@@ -0,0 +1,111 @@
+// ━━━ Dates ━━━
+// ทุกการแปลงเวลา → "วัน" ผ่านโมดูลนี้ เพื่อให้ทุก aggregate ใช้ timezone / วันเริ่มสัปดาห์เดียวกัน
+// day key = "YYYY-MM-DD" ตาม timezone ที่ตั้งไว้ — เปรียบเทียบแบบ string ได้เลย
+// คำนวณบน day key ใช้ UTC ล้วน (ไม่ขึ้นกับ timezone ของเครื่อง / DST)
+
+const env = (typeof import.meta !== "undefined" && import.meta.env) || {};
+
+const config = {
+  timeZone: env.VITE_TIMEZONE || "Asia/Bangkok",
+  weekStart: Number(env.VITE_WEEK_START ?? 1), // 0 = อาทิตย์, 1 = จันทร์
+  locale: env.VITE_LOCALE || "th-TH", // ใช้แสดงผลเท่านั้น (fmtTime / fmtClock / fmtDateTime) — เปลี่ยนตามภาษาใน i18n.js
+};
+
+const fmtCache = new Map();
+const dayFmt = () => {
+  const key = `day:${config.timeZone}`;
+  if (!fmtCache.has(key)) {
+    fmtCache.set(key, new Intl.DateTimeFormat("en-CA", { timeZone: config.timeZone, year: "numeric", month: "2-digit", day: "2-digit" }));
+  }
+  return fmtCache.get(key);
+};
+
+export function configureDates({ timeZone, weekStart, locale } = {}) {
+  if (timeZone) {
+    new Intl.DateTimeFormat("en-US", { timeZone }); // throws RangeError ถ้า zone ไม่ถูกต้อง
+    config.timeZone = timeZone;
+  }
+  if (weekStart !== undefined) config.weekStart = ((Number(weekStart) % 7) + 7) % 7;
+  if (locale) {
+    new Intl.DateTimeFormat(locale); // throws RangeError ถ้า locale ไม่ถูกต้อง
+    config.locale = locale;
+  }
+}
+
+export const getTimeZone = () => config.timeZone;
+export const getWeekStart = () => config.weekStart;
+export const getLocale = () => config.locale;
+
+export const toDate = v => (v instanceof Date ? v : new Date(v));
+export const isValidDate = v => v !== "" && v != null && !isNaN(toDate(v));
+
+// Date / timestamp string → "YYYY-MM-DD" ในโซนที่ตั้งไว้ (อ่านไม่ออก → "")
+export function dayKey(v) {
+  if (!isValidDate(v)) return "";
+  const p = Object.fromEntries(dayFmt().formatToParts(toDate(v)).map(x => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+export const todayKey = (now = new Date()) => dayKey(now);
+
+// นาทีนับจากเที่ยงคืน (ในโซน) ของ instant
+export function minutesOfDay(v) {
+  if (!isValidDate(v)) return null;
+  const key = `hm:${config.timeZone}`;
+  if (!fmtCache.has(key)) {
+    fmtCache.set(key, new Intl.DateTimeFormat("en-GB", { timeZone: config.timeZone, hour: "2-digit", minute: "2-digit", hourCycle: "h23" }));
+  }
+  const p = Object.fromEntries(fmtCache.get(key).formatToParts(toDate(v)).map(x => [x.type, x.value]));
+  return Number(p.hour) * 60 + Number(p.minute);
+}
+
+const utc = key => new Date(`${key}T00:00:00Z`);
+
+// "YYYY-MM-DD" ที่เป็นวันจริง (เช่น ไม่ใช่ "2026-02-30" หรือ "19/10/2026")
+export const isDayKey = v => /^\d{4}-\d{2}-\d{2}$/.test(v || "") && !isNaN(utc(v)) && utc(v).toISOString().slice(0, 10) === v;
+
+export const addDays = (key, n) => {
+  const d = utc(key);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+export const daysBetween = (a, b) => Math.round((utc(b) - utc(a)) / 86400000);
+
+// 0 = อาทิตย์ … 6 = เสาร์ (ของวันตามปฏิทิน ไม่ใช่ของ instant)
+export const weekdayOf = key => utc(key).getUTCDay();
+export const isWeekend = key => { const w = weekdayOf(key); return w === 0 || w === 6; };
+
+// [0..6] เรียงตามวันเริ่มสัปดาห์ที่ตั้งไว้
+export const weekdayOrder = () => Array.from({ length: 7 }, (_, i) => (config.weekStart + i) % 7);
+
+export const startOfWeek = key => addDays(key, -((weekdayOf(key) - config.weekStart + 7) % 7));
+export const startOfMonth = key => `${key.slice(0, 7)}-01`;
+
+// วันของ record: วันที่ timestamp เกิดขึ้น (ในโซน) — timestamp อ่านไม่ออกใช้ exitDate แทน เฉพาะเมื่อเป็น day key จริง
+// (exitDate รูปแบบอื่น เช่น "19/10/2026" → "" — ไม่งั้น addDays / daysBetween ได้ Invalid Date)
+export const recordDay = r => dayKey(r.timestamp) || (isDayKey(r.exitDate) ? r.exitDate : "");
+
+// "HH:MM" → นาทีนับจากเที่ยงคืน (อ่านไม่ออก → null)
+export function minutesOf(time) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(time || "");
+  if (!m) return null;
+  const h = Number(m[1]), min = Number(m[2]);
+  return h < 24 && min < 60 ? h * 60 + min : null;
+}
+
+// รับค่าติดลบ / เกิน 24 ชม. ได้ (จาก stats ที่ unwrap ข้ามเที่ยงคืน) → วนกลับเข้า 00:00–23:59
+export const fmtMinutes = v => {
+  const r = ((Math.round(v) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(r / 60)).padStart(2, "0")}:${String(r % 60).padStart(2, "0")}`;
+};
+
+// แสดงผลตามโซน + locale ที่ตั้งไว้
+export const fmtTime = (v, locale = config.locale) =>
+  isValidDate(v) ? toDate(v).toLocaleTimeString(locale, { timeZone: config.timeZone, hour: "2-digit", minute: "2-digit", hour12: false }) : "";
+
+export const fmtClock = (v, locale = config.locale) =>
+  isValidDate(v) ? toDate(v).toLocaleTimeString(locale, { timeZone: config.timeZone }) : "";
+
+export const fmtDateTime = (v, locale = config.locale) =>
+  isValidDate(v) ? toDate(v).toLocaleString(locale, { timeZone: config.timeZone, dateStyle: "medium", timeStyle: "short" }) : "";
@@ -0,0 +1,142 @@
+import { describe, it, expect, afterEach } from "vitest";
+import {
+  configureDates, dayKey, minutesOfDay, minutesOf, fmtMinutes, startOfWeek, weekdayOf, recordDay, addDays, isDayKey,
+} from "./dates.js";
+import { parseRows } from "./parse.js";
+import { DEMO_HEADERS } from "./demoData.js";
+
+// ทุก test เริ่มจากค่า default ของ dashboard: Bangkok, สัปดาห์เริ่มวันจันทร์
+afterEach(() => configureDates({ timeZone: "Asia/Bangkok", weekStart: 1 }));
+
+const row = fields => Object.fromEntries(DEMO_HEADERS.map(h => [h, fields[h.trim()] ?? ""]));
+const parseOne = fields => parseRows([row(fields)], { headers: DEMO_HEADERS }).accepted[0];
+
+describe("dayKey / minutesOfDay around midnight", () => {
+  it("Bangkok: 23:59 and 00:01 local fall on different days", () => {
+    expect(dayKey("2026-10-18T23:59:00+07:00")).toBe("2026-10-18");
+    expect(dayKey("2026-10-19T00:01:00+07:00")).toBe("2026-10-19");
+    expect(minutesOfDay("2026-10-18T23:59:00+07:00")).toBe(23 * 60 + 59);
+    expect(minutesOfDay("2026-10-19T00:01:00+07:00")).toBe(1);
+  });
+
+  it("Bangkok: UTC instants either side of UTC midnight are the same local day", () => {
+    expect(dayKey("2026-10-18T23:59:00Z")).toBe("2026-10-19");
+    expect(dayKey("2026-10-19T00:01:00Z")).toBe("2026-10-19");
+    expect(minutesOfDay("2026-10-18T23:59:00Z")).toBe(6 * 60 + 59);
+  });
+
+  it("UTC: the same instants split at UTC midnight instead", () => {
+    configureDates({ timeZone: "UTC" });
+    expect(dayKey("2026-10-18T23:59:00Z")).toBe("2026-10-18");
+    expect(dayKey("2026-10-19T00:01:00Z")).toBe("2026-10-19");
+    expect(dayKey("2026-10-19T00:01:00+07:00")).toBe("2026-10-18");
+    expect(minutesOfDay("2026-10-19T00:01:00+07:00")).toBe(17 * 60 + 1);
+  });
+
+  it("unreadable input → empty key / null minutes", () => {
+    expect(dayKey("")).toBe("");
+    expect(dayKey("not a date")).toBe("");
+    expect(minutesOfDay("not a date")).toBeNull();
+  });
+
+  it("rejects an invalid zone", () => {
+    expect(() => configureDates({ timeZone: "Mars/Olympus" })).toThrow(RangeError);
+  });
+});
+
+describe("minutesOf / fmtMinutes", () => {
+  it("parses HH:MM and rejects out-of-range values", () => {
+    expect(minutesOf("00:00")).toBe(0);
+    expect(minutesOf("23:59")).toBe(1439);
+    expect(minutesOf("24:00")).toBeNull();
+    expect(minutesOf("8.4O")).toBeNull();
+  });
+
+  it("wraps values unwrapped across midnight", () => {
+    expect(fmtMinutes(-1)).toBe("23:59");
+    expect(fmtMinutes(1440)).toBe("00:00");
+    expect(fmtMinutes(1440 + 30)).toBe("00:30");
+  });
+});
+
+describe("week boundaries", () => {
+  it("Monday start: Sunday belongs to the previous week", () => {
+    expect(weekdayOf("2026-10-19")).toBe(1);
+    expect(startOfWeek("2026-10-19")).toBe("2026-10-19");
+    expect(startOfWeek("2026-10-18")).toBe("2026-10-12");
+  });
+
+  it("Sunday start", () => {
+    configureDates({ weekStart: 0 });
+    expect(startOfWeek("2026-10-18")).toBe("2026-10-18");
+    expect(startOfWeek("2026-10-24")).toBe("2026-10-18");
+  });
+
+  it("crosses month and year boundaries", () => {
+    expect(startOfWeek("2027-01-01")).toBe("2026-12-28");
+    expect(addDays("2026-12-31", 1)).toBe("2027-01-01");
+  });
+
+  it("a Monday-00:30 Bangkok entry starts a new week in Bangkok but not in UTC", () => {
+    const ts = "2026-10-19T00:30:00+07:00";
+    expect(startOfWeek(dayKey(ts))).toBe("2026-10-19");
+    configureDates({ timeZone: "UTC" });
+    expect(startOfWeek(dayKey(ts))).toBe("2026-10-12");
+  });
+});
+
+describe("recordDay", () => {
+  it("uses the timestamp's local day, falling back to exitDate", () => {
+    expect(recordDay({ timestamp: "2026-10-19T00:10:00+07:00", exitDate: "2026-10-20" })).toBe("2026-10-19");
+    expect(recordDay({ timestamp: "garbage", exitDate: "2026-10-20" })).toBe("2026-10-20");
+    expect(recordDay({ timestamp: "" })).toBe("");
+  });
+
+  it("ignores an exitDate that is not a real YYYY-MM-DD day", () => {
+    expect(recordDay({ timestamp: "garbage", exitDate: "19/10/2026" })).toBe("");
+    expect(recordDay({ timestamp: "", exitDate: "2026-02-30" })).toBe("");
+    expect(isDayKey("2026-10-19")).toBe(true);
+    expect(isDayKey("2026-10-19T00:00")).toBe(false);
+    expect(isDayKey(undefined)).toBe(false);
+  });
+
+  it("follows the configured zone", () => {
+    configureDates({ timeZone: "UTC" });
+    expect(recordDay({ timestamp: "2026-10-19T00:10:00+07:00", exitDate: "2026-10-19" })).toBe("2026-10-18");
+  });
+});
+
+describe("backfilled (กรอกย้อนหลัง) rows", () => {
+  // จอดตอน 23:40 แต่กดส่งฟอร์มหลังเที่ยงคืน → Date กับ timeForgot คนละวัน
+  const backfill = {
+    Date: "2026-10-19T00:20:00+07:00", parkingLocation: "คอนโด", parkingFloor: "5",
+    timeForgot: "23:40", exitDateReminder: "", NoteType: "กรอกย้อนหลัง",
+  };
+
+  it("has no exitDateReminder → exitDate comes from Date", () => {
+    const r = parseOne(backfill);
+    expect(r.exitDate).toBe("2026-10-19");
+    expect(r.day).toBe("2026-10-19");
+  });
+
+  it("keeps timeForgot as the arrival time even though Date is later", () => {
+    const r = parseOne(backfill);
+    expect(r.time).toBe("23:40");
+    expect(minutesOf(r.time)).toBe(23 * 60 + 40);
+    expect(minutesOfDay(r.timestamp)).toBe(20);
+  });
+
+  it("same row in UTC lands on the previous day", () => {
+    configureDates({ timeZone: "UTC" });
+    const r = parseOne(backfill);
+    expect(r.day).toBe("2026-10-18");
+    expect(r.exitDate).toBe("2026-10-18");
+  });
+
+  it("a same-day backfill with an explicit exitDateReminder keeps it", () => {
+    const r = parseOne({ ...backfill, Date: "2026-10-19T21:05:00+07:00", timeForgot: "08:40", exitDateReminder: "2026-10-19" });
+    expect(r.day).toBe("2026-10-19");
+    expect(r.exitDate).toBe("2026-10-19");
+    expect(r.time).toBe("08:40");
+  });
+});
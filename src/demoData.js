@@ -0,0 +1,142 @@
+import Papa from "papaparse";
+import { addDays, todayKey, weekdayOf, isWeekend, fmtMinutes } from "./dates.js";
+
+// ━━━ Demo data ━━━
+// สร้าง CSV หน้าตาเดียวกับ sheet จริง (หัวคอลัมน์ตรงทุกตัว รวม "exitDateReminder " ที่มี space ท้าย) แบบ seed ได้
+// → seed + วันเดียวกัน = ผลเหมือนเดิมทุกครั้ง · ใช้ทั้ง ?demo=1 (dataSources.js) และ scripts/demo-data.js
+// ครอบคลุมกรณีที่ dashboard ต้องรับมือ:
+//   หลายสถานที่ (รวมชื่อ alias "Condo" / "office" และสถานที่นอก registry) · หลายชั้น (รวมรูปแบบ "ชั้น 5", "5F", "b2")
+//   reminder ส่งสำเร็จ / ล้ม (หลายสาเหตุ) / กรอกย้อนหลัง · วันทำงานที่ไม่ได้บันทึก · กดส่งซ้ำ (timestamp ซ้ำ)
+//   แถวขยะ (Gboard, test, ทดสอบ) · ไม่มีสถานที่ · timeForgot อ่านไม่ออก · ลิงก์แผนที่หลายแบบ
+// แถวของวันนี้ที่เวลายังมาไม่ถึง (เทียบ now) จะยังไม่ออก → เปิดค้างไว้แล้ว refresh จะเห็นแถวใหม่เพิ่มเหมือนของจริง
+
+export const DEMO_HEADERS = ["Date", "parkingLocation", "parkingFloor", "note", "parkingMap", "timeForgot", "exitDateReminder ", "NoteType"];
+
+// mulberry32 — PRNG เล็ก ๆ ที่ seed ได้ (Math.random seed ไม่ได้)
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// arrive = [นาทีเฉลี่ย, ส่วนเบี่ยงเบน] · exit = วันที่ reminder (same / next) · remind = เวลาที่ bot ส่ง
+const PLACES = {
+  work: {
+    names: [["ที่ทำงาน", 8], ["office", 1], ["Work", 1]], arrive: [8 * 60 + 40, 14],
+    floors: [["B2", 5], ["B1", 3], ["B3", 1]], lat: 13.7563, lng: 100.5018, exit: "same", remind: "17:30",
+    notes: ["ใกล้ลิฟต์", "โซน A", "ข้างเสา 12"],
+  },
+  condo: {
+    names: [["คอนโด", 8], ["Condo", 2]], arrive: [19 * 60 + 5, 45],
+    floors: [["5", 6], ["4", 3], ["6", 1]], lat: 13.7291, lng: 100.5690, exit: "next", remind: "07:30",
+    notes: ["เสา C3", "ที่ประจำ", "ใกล้ทางขึ้น"],
+  },
+  hotel: {
+    names: [["โรงแรม", 1]], arrive: [12 * 60 + 20, 35],
+    floors: [["-", 1]], lat: 13.7446, lng: 100.5348, exit: "same", remind: "15:00",
+    notes: ["ประชุม", "สัมมนา"],
+  },
+  mall: {
+    names: [["เซ็นทรัลเวิลด์", 1]], arrive: [14 * 60, 80],
+    floors: [["P3", 2], ["P5", 1]], lat: 13.7466, lng: 100.5393, exit: "same", remind: "18:00",
+    notes: ["ดูหนัง", "ซื้อของ"],
+  },
+  other: {
+    names: [["อื่นๆ", 1]], arrive: [10 * 60, 60],
+    floors: [["-", 1]], lat: 13.7650, lng: 100.5380, exit: "same", remind: "12:00",
+    notes: ["ร้านซ่อมรถ", "โรงพยาบาล"],
+  },
+};
+
+const FAILURES = ["ERROR quota exceeded", "FAILED: 429 Too Many Requests", "ERROR timeout after 30000ms", "ERROR LINE push failed"];
+const JUNK_NOTES = [
+  "Welcome to Gboard clipboard, any text you copy will be saved here.",
+  "test",
+  "ทดสอบระบบ",
+];
+// รูปแบบชั้นที่คนพิมพ์จริง — normalizeFloor ต้องอ่านได้
+const FLOOR_VARIANTS = [f => `ชั้น ${f}`, f => `${f}F`, f => f.toLowerCase()];
+
+const pad = n => String(n).padStart(2, "0");
+
+export function generateDemoRows({ seed = 1, days = 90, now = new Date() } = {}) {
+  const rand = seededRandom(seed);
+  const chance = p => rand() < p;
+  const pick = list => list[Math.floor(rand() * list.length)];
+  const weighted = list => {
+    let r = rand() * list.reduce((s, [, w]) => s + w, 0);
+    return list.find(([, w]) => (r -= w) < 0)?.[0] ?? list[0][0];
+  };
+  // ผลรวม uniform 3 ตัว ≈ normal — พอสำหรับเวลามาถึง
+  const around = ([mean, sd]) => Math.round(mean + (rand() + rand() + rand() - 1.5) * 2 * sd);
+
+  const mapLink = place => {
+    const lat = (place.lat + (rand() - 0.5) * 0.0008).toFixed(6), lng = (place.lng + (rand() - 0.5) * 0.0008).toFixed(6);
+    return pick([
+      `https://maps.google.com/?q=${lat},${lng}`,
+      `https://www.google.com/maps/@${lat},${lng},18z`,
+      `https://maps.apple.com/?ll=${lat},${lng}`,
+      "https://maps.app.goo.gl/demoShortLink", // ลิงก์สั้น ไม่มีพิกัด
+    ]);
+  };
+
+  const rows = [];
+  // extra = ทับค่าบางคอลัมน์ (แถวขยะ / แถวเสีย)
+  const add = (place, day, minute, extra = {}) => {
+    const min = Math.max(5 * 60, Math.min(23 * 60 + 50, minute));
+    const time = fmtMinutes(min);
+    const floor = weighted(place.floors);
+    const exit = place.exit === "next" ? addDays(day, 1) : day;
+    const kind = chance(0.05) ? "backfill" : chance(0.06) ? "fail" : "sent";
+    // กรอกย้อนหลัง: กดส่งทีหลัง (Date เลื่อนไป) แต่ timeForgot เป็นเวลาจอดจริง
+    const enteredAt = kind === "backfill" ? Math.min(23 * 60 + 59, min + 60 + Math.floor(rand() * 240)) : min;
+    const row = {
+      Date: `${day}T${fmtMinutes(enteredAt)}:${pad(Math.floor(rand() * 60))}+07:00`,
+      parkingLocation: weighted(place.names),
+      parkingFloor: floor !== "-" && chance(0.08) ? pick(FLOOR_VARIANTS)(floor) : floor,
+      note: chance(0.25) ? pick(place.notes) : "",
+      parkingMap: chance(0.4) ? mapLink(place) : "",
+      timeForgot: chance(0.03) ? "" : time,
+      "exitDateReminder ": kind === "backfill" ? "" : exit,
+      NoteType: kind === "backfill" ? "กรอกย้อนหลัง" : kind === "fail" ? pick(FAILURES) : `SENT ${exit} ${place.remind}`,
+      ...extra,
+    };
+    rows.push(row);
+    if (chance(0.01)) rows.push({ ...row }); // กดส่งฟอร์มซ้ำ
+  };
+
+  const end = todayKey(now);
+  for (let i = days - 1; i >= 0; i--) {
+    const day = addDays(end, -i);
+    const dow = weekdayOf(day);
+    if (isWeekend(day)) {
+      const r = rand();
+      if (r < 0.35) add(PLACES.mall, day, around(PLACES.mall.arrive));
+      if (r < 0.85) add(PLACES.condo, day, around([17 * 60 + 30, 150]));
+    } else if (!chance(0.04)) { // บางวันทำงานไม่ได้บันทึกเลย (ปฏิทิน/streak/alert)
+      const shift = dow === 1 ? 10 : dow === 5 ? -5 : 0; // วันจันทร์มาสาย ศุกร์มาเร็ว
+      add(PLACES.work, day, around(PLACES.work.arrive) + shift);
+      if (chance(0.08)) add(PLACES.hotel, day, around(PLACES.hotel.arrive));
+      if (chance(0.92)) add(PLACES.condo, day, around(PLACES.condo.arrive) + (dow === 5 ? 90 : 0));
+    }
+
+    // แถวที่ parse ต้องจัดการ
+    if (chance(0.06)) add(PLACES.condo, day, around([12 * 60, 240]), { note: pick(JUNK_NOTES) });
+    if (chance(0.02)) add(PLACES.work, day, around([13 * 60, 30]), { parkingLocation: "" });
+    if (chance(0.02)) add(PLACES.work, day, around([13 * 60, 30]), { timeForgot: "8.4O" });
+    if (chance(0.03)) add(PLACES.other, day, around(PLACES.other.arrive));
+  }
+
+  const cutoff = now.getTime();
+  return rows
+    .filter(r => Date.parse(r.Date) <= cutoff)
+    .sort((a, b) => a.Date.localeCompare(b.Date));
+}
+
+// header เขียนเอง: Papa จะใส่ quote ให้ "exitDateReminder " (space ท้าย) ซึ่ง sheet ที่ publish จริงไม่มี
+export const generateDemoCsv = opts =>
+  `${DEMO_HEADERS.join(",")}\r\n${Papa.unparse(generateDemoRows(opts).map(r => DEMO_HEADERS.map(h => r[h])))}\r\n`;
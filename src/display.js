@@ -0,0 +1,40 @@
+// ━━━ Display modes ━━━
+// ?mode=kiosk → จอ TV / แท็บเล็ตติดผนัง: ตัวใหญ่ ไม่มี chrome (ตัวกรอง, ปุ่ม, footer, ลิงก์ portfolio) หมุน section เอง
+//   &rotate=20            วินาทีต่อ section (ขั้นต่ำ 5)
+//   &sections=now,floors  เลือก/เรียง section (id ใน KIOSK_SECTIONS · ไม่ระบุ = ทั้งหมด)
+//   &scale=1.5            ขยายทั้ง section (CSS zoom, 1–3)
+// widget.html?widget=current|kpis → widget เดี่ยวสำหรับฝังผ่าน iframe หรือ <carpark-widget> (public/embed.js)
+// ทั้งสองแบบรับ &theme= / &lang= เพื่อบังคับธีม/ภาษาของจอนั้น โดยไม่บันทึกทับค่าที่ผู้ใช้เลือกไว้
+
+export const KIOSK_SECTIONS = ["now", "floors", "arrival", "calendar", "reliability"];
+export const WIDGETS = ["current", "kpis"];
+
+const DEFAULT_ROTATE = 20;
+const MIN_ROTATE = 5;
+const DEFAULT_SCALE = 1.4;
+
+const params = search => new URLSearchParams(search ?? (typeof window !== "undefined" ? window.location.search : ""));
+const clamp = (v, lo, hi, fallback) => (Number.isFinite(v) ? Math.min(hi, Math.max(lo, v)) : fallback);
+
+// null = ไม่ใช่ kiosk
+export function kioskOptions(search) {
+  const q = params(search);
+  if (q.get("mode") !== "kiosk") return null;
+  const picked = (q.get("sections") || "").split(",").map(s => s.trim()).filter(s => KIOSK_SECTIONS.includes(s));
+  return {
+    rotate: clamp(parseFloat(q.get("rotate")), MIN_ROTATE, 3600, DEFAULT_ROTATE) * 1000,
+    sections: picked.length ? [...new Set(picked)] : KIOSK_SECTIONS,
+    scale: clamp(parseFloat(q.get("scale")), 1, 3, DEFAULT_SCALE),
+  };
+}
+
+export function widgetName(search) {
+  const name = params(search).get("widget");
+  return WIDGETS.includes(name) ? name : WIDGETS[0];
+}
+
+// { theme, lang } จาก URL (ไม่มี = null → ใช้ค่าที่บันทึกไว้ตามปกติ) · ค่าที่ไม่รู้จัก theme.js / i18n.js fallback เอง
+export function displayOverrides(search) {
+  const q = params(search);
+  return { theme: q.get("theme"), lang: q.get("lang") };
+}
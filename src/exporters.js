@@ -0,0 +1,64 @@
+import Papa from "papaparse";
+import { t } from "./i18n.js";
+
+// ━━━ Export ━━━
+// records → CSV / JSON และกราฟ (svg ของ Recharts) → SVG / PNG
+
+const EXPORT_FIELDS = ["day", "timestamp", "time", "location", "floor", "note", "status", "exitDate", "mapUrl"];
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement("a"), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// BOM นำหน้า → Excel เปิดภาษาไทยได้ถูก
+// escapeFormulae: ค่าที่ขึ้นต้นด้วย = + - @ (เช่น note จาก sheet) ได้ ' นำหน้า → Excel / Sheets ไม่รันเป็นสูตร
+export const recordsToCsv = records =>
+  "\ufeff" + Papa.unparse({ fields: EXPORT_FIELDS, data: records.map(r => EXPORT_FIELDS.map(f => r[f] ?? "")) }, { newline: "\n", escapeFormulae: true });
+
+export const exportCsv = (records, name) =>
+  downloadBlob(new Blob([recordsToCsv(records)], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+
+export const exportJson = (records, name) =>
+  downloadBlob(new Blob([JSON.stringify(records.map(r => Object.fromEntries(EXPORT_FIELDS.map(f => [f, r[f] ?? ""]))), null, 2)], { type: "application/json" }), `${name}.json`);
+
+// ── Charts ──
+// svg ใน container (ResponsiveContainer ของ Recharts) → string พร้อมพื้นหลัง
+function serializeChart(container, background) {
+  const svg = container?.querySelector("svg.recharts-surface");
+  if (!svg) throw new Error(t("chart.notFound"));
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.style.fontFamily = getComputedStyle(container).fontFamily;
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  Object.entries({ x: 0, y: 0, width, height, fill: background }).forEach(([k, v]) => bg.setAttribute(k, v));
+  clone.insertBefore(bg, clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+export function exportChartSvg(container, name, background = "#ffffff") {
+  const { markup } = serializeChart(container, background);
+  downloadBlob(new Blob([markup], { type: "image/svg+xml" }), `${name}.svg`);
+}
+
+export function exportChartPng(container, name, background = "#ffffff", scale = 2) {
+  const { markup, width, height } = serializeChart(container, background);
+  const img = new Image();
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  img.onload = () => {
+    const canvas = Object.assign(document.createElement("canvas"), { width: width * scale, height: height * scale });
+    const ctx = canvas.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => downloadBlob(blob, `${name}.png`), "image/png");
+  };
+  img.src = url;
+}
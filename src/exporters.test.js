@@ -0,0 +1,17 @@
+import { describe, it, expect } from "vitest";
+import Papa from "papaparse";
+import { recordsToCsv } from "./exporters.js";
+
+const notesOf = csv => Papa.parse(csv.replace(/^﻿/, ""), { header: true }).data.map(r => r.note);
+
+describe("recordsToCsv", () => {
+  it("neutralises values that spreadsheets would run as formulas", () => {
+    const csv = recordsToCsv([
+      { day: "2026-10-19", location: "คอนโด", note: '=HYPERLINK("https://evil.example")' },
+      { day: "2026-10-19", location: "คอนโด", note: "+1" },
+      { day: "2026-10-19", location: "คอนโด", note: "@SUM(A1)" },
+      { day: "2026-10-19", location: "คอนโด", note: "ใกล้ลิฟต์" },
+    ]);
+    expect(notesOf(csv)).toEqual(['\'=HYPERLINK("https://evil.example")', "'+1", "'@SUM(A1)", "ใกล้ลิฟต์"]);
+  });
+});
@@ -0,0 +1,100 @@
+import { minutesOf, weekdayOf, weekdayOrder, daysBetween, todayKey, minutesOfDay } from "./dates.js";
+
+// ━━━ Floors ━━━
+// ค่าชั้นจากชีตพิมพ์มือ → normalise ให้นับรวมกันได้
+//   "-", "—", "", "n/a"         → "" (ไม่มีชั้น)
+//   "b2", "B 2", "B2F"          → "B2"
+//   "ชั้น 5", "5F", "fl.5", "5" → "5"
+//   "g", "GF", "ชั้น G"          → "G"
+
+const NONE = new Set(["", "-", "--", "—", "–", "n/a", "na", "none", "ไม่มี"]);
+
+export function normalizeFloor(raw) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (NONE.has(s)) return "";
+  const v = s
+    .replace(/^(ชั้น|floor|fl\.?|level|lv\.?)\s*/, "")
+    .replace(/\s+/g, "")
+    .replace(/^(b?\d+|g)f$/, "$1")
+    .toUpperCase();
+  return NONE.has(v.toLowerCase()) ? "" : v;
+}
+
+// เรียงชั้นจากล่างขึ้นบน: B3 < B2 < B1 < G < 1 < 2 … (ค่าแปลก ๆ ต่อท้ายตามตัวอักษร)
+export function floorRank(floor) {
+  const b = /^B(\d+)$/.exec(floor);
+  if (b) return -Number(b[1]);
+  if (floor === "G" || floor === "L") return 0;
+  return /^\d+$/.test(floor) ? Number(floor) : 1000;
+}
+
+export const compareFloors = (a, b) => floorRank(a) - floorRank(b) || a.localeCompare(b);
+
+// ช่วงเวลาในวัน (นาที) — ช่วงกลางคืนข้ามเที่ยงคืน · ป้ายอยู่ใน locales (band.*)
+export const TIME_BANDS = [
+  { id: "morning", from: 5 * 60, to: 11 * 60 },
+  { id: "afternoon", from: 11 * 60, to: 16 * 60 },
+  { id: "evening", from: 16 * 60, to: 21 * 60 },
+  { id: "night", from: 21 * 60, to: 5 * 60 },
+];
+
+export function timeBandOf(min) {
+  if (min === null || min === undefined) return null;
+  return TIME_BANDS.find(b => (b.from < b.to ? min >= b.from && min < b.to : min >= b.from || min < b.to));
+}
+
+const recordMinutes = r => minutesOf(r.time) ?? minutesOfDay(r.timestamp);
+
+const tally = list => {
+  const c = {};
+  list.forEach(r => { c[r.floor] = (c[r.floor] || 0) + 1; });
+  return c;
+};
+
+// records ของสถานที่หนึ่ง → ตาราง ชั้น × วันในสัปดาห์ / ชั้น × ช่วงเวลา
+export function floorBreakdown(records) {
+  const rows = records.filter(r => r.floor);
+  const floors = Object.keys(tally(rows)).sort(compareFloors);
+  const weekdays = weekdayOrder().map(dow => {
+    const list = rows.filter(r => r.day && weekdayOf(r.day) === dow);
+    return { id: dow, total: list.length, floors: tally(list) };
+  });
+  const bands = TIME_BANDS.map(b => {
+    const list = rows.filter(r => timeBandOf(recordMinutes(r))?.id === b.id);
+    return { id: b.id, total: list.length, floors: tally(list) };
+  });
+  return { floors, weekdays, bands };
+}
+
+// ทำนายชั้นที่น่าจะจอด ณ วัน/เวลาหนึ่ง จากประวัติของสถานที่นั้น
+// คะแนนของแต่ละ record = (1 + วันในสัปดาห์ตรงกัน + ช่วงเวลาตรงกัน) × น้ำหนักความใหม่ (half-life halfLifeDays)
+// → { floor, confidence, sample, dow, band (id ของ TIME_BANDS), alternatives }
+// confidence = สัดส่วนคะแนนของชั้นอันดับ 1 (0–1) หดลงเมื่อประวัติน้อย (n / (n + 3)) · sample = จำนวน record ที่ใช้
+export function suggestFloor(records, { now = new Date(), halfLifeDays = 60, weekdayWeight = 1, bandWeight = 1 } = {}) {
+  const rows = records.filter(r => r.floor && r.day);
+  if (!rows.length) return null;
+  const today = todayKey(now);
+  const dow = weekdayOf(today);
+  const band = timeBandOf(minutesOfDay(now))?.id;
+
+  const scores = {};
+  let total = 0;
+  rows.forEach(r => {
+    const age = Math.max(0, daysBetween(r.day, today));
+    const match = 1 + (weekdayOf(r.day) === dow ? weekdayWeight : 0) + (timeBandOf(recordMinutes(r))?.id === band ? bandWeight : 0);
+    const s = match * Math.pow(0.5, age / halfLifeDays);
+    scores[r.floor] = (scores[r.floor] || 0) + s;
+    total += s;
+  });
+  const ranked = Object.entries(scores)
+    .map(([floor, s]) => ({ floor, share: total ? s / total : 0 }))
+    .sort((a, b) => b.share - a.share);
+  return {
+    floor: ranked[0].floor,
+    confidence: ranked[0].share * (rows.length / (rows.length + 3)),
+    sample: rows.length,
+    dow, // 0–6 · ชื่อวัน / ช่วงเวลาแปลตอนแสดง (ดู i18n.js)
+    band,
+    alternatives: ranked.slice(1, 4),
+  };
+}
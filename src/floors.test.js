@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { normalizeFloor, floorRank, compareFloors, timeBandOf, floorBreakdown, suggestFloor } from "./floors.js";
+
+describe("normalizeFloor", () => {
+  it.each([
+    ["-", ""], ["—", ""], ["", ""], ["n/a", ""], [undefined, ""],
+    ["b2", "B2"], ["B 2", "B2"], ["B2F", "B2"],
+    ["ชั้น 5", "5"], ["5F", "5"], ["fl.5", "5"], [" 5 ", "5"],
+    ["g", "G"], ["GF", "G"], ["ชั้น G", "G"], ["P3", "P3"],
+  ])("%s → %s", (raw, floor) => {
+    expect(normalizeFloor(raw)).toBe(floor);
+  });
+});
+
+describe("floor order", () => {
+  it("sorts basements below ground below numbered floors, unknowns last", () => {
+    expect(["5", "P3", "B1", "G", "B2", "12", "2"].sort(compareFloors)).toEqual(["B2", "B1", "G", "2", "5", "12", "P3"]);
+    expect(floorRank("B3")).toBe(-3);
+    expect(floorRank("L")).toBe(0);
+  });
+});
+
+describe("timeBandOf", () => {
+  it("maps minutes to bands, with night wrapping past midnight", () => {
+    expect(timeBandOf(8 * 60).id).toBe("morning");
+    expect(timeBandOf(11 * 60).id).toBe("afternoon");
+    expect(timeBandOf(20 * 60 + 59).id).toBe("evening");
+    expect(timeBandOf(23 * 60).id).toBe("night");
+    expect(timeBandOf(2 * 60).id).toBe("night");
+    expect(timeBandOf(null)).toBeNull();
+  });
+});
+
+// 2026-10-12 = จันทร์
+const rec = (day, time, floor) => ({ day, time, floor, timestamp: `${day}T${time}:00+07:00` });
+const history = [
+  rec("2026-10-12", "08:00", "B1"), rec("2026-10-12", "08:30", "B1"),
+  rec("2026-10-12", "18:00", "5"), rec("2026-10-12", "18:30", "5"),
+  rec("2026-10-13", "08:10", ""),
+];
+
+describe("floorBreakdown", () => {
+  it("tabulates floors by weekday and time band, ignoring rows without a floor", () => {
+    const b = floorBreakdown(history);
+    expect(b.floors).toEqual(["B1", "5"]);
+    expect(b.weekdays.find(w => w.id === 1)).toEqual({ id: 1, total: 4, floors: { B1: 2, 5: 2 } });
+    expect(b.weekdays.find(w => w.id === 2).total).toBe(0);
+    expect(b.bands.map(x => [x.id, x.total])).toEqual([["morning", 2], ["afternoon", 0], ["evening", 2], ["night", 0]]);
+  });
+});
+
+describe("suggestFloor", () => {
+  it("prefers the floor used at the same weekday and time of day", () => {
+    const morning = suggestFloor(history, { now: new Date("2026-10-19T08:00:00+07:00") });
+    expect(morning).toMatchObject({ floor: "B1", dow: 1, band: "morning", sample: 4 });
+    expect(morning.confidence).toBeCloseTo(0.6 * (4 / 7));
+    expect(morning.alternatives).toEqual([{ floor: "5", share: expect.closeTo(0.4) }]);
+
+    expect(suggestFloor(history, { now: new Date("2026-10-19T18:00:00+07:00") }).floor).toBe("5");
+  });
+
+  it("weights recent records more heavily", () => {
+    const rows = [rec("2026-01-05", "08:00", "B2"), rec("2026-01-05", "08:10", "B2"), rec("2026-10-12", "08:00", "3")];
+    expect(suggestFloor(rows, { now: new Date("2026-10-19T08:00:00+07:00") }).floor).toBe("3");
+  });
+
+  it("returns null without usable history", () => {
+    expect(suggestFloor([rec("2026-10-12", "08:00", "")])).toBeNull();
+  });
+});
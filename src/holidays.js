@@ -0,0 +1,19 @@
+// ━━━ Holidays ━━━
+// วันหยุด (day key) ที่ไม่นับเป็นวันทำงาน — ตั้งจาก env VITE_HOLIDAYS (คั่นด้วย ,) + เพิ่ม/ลบจากหน้า dashboard (localStorage)
+
+const env = (typeof import.meta !== "undefined" && import.meta.env) || {};
+const STORAGE_KEY = "carpark.holidays";
+
+export const CONFIG_HOLIDAYS = (env.VITE_HOLIDAYS || "").split(",").map(s => s.trim()).filter(Boolean);
+
+export function loadHolidays() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch { /* ignore */ }
+  return [];
+}
+
+export function saveHolidays(days) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(days)); } catch { /* storage ปิด */ }
+}
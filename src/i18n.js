@@ -0,0 +1,74 @@
+import th from "./locales/th.js";
+import en from "./locales/en.js";
+import { configureDates } from "./dates.js";
+import { getLocation } from "./locations.js";
+
+// ━━━ i18n ━━━
+// t("kpi.trips") / t("common.times", { n: 3 }) → ข้อความของภาษาปัจจุบัน (ไม่มี key → ภาษาไทย → ตัว key)
+// เหมือนธีม: setLang() เปลี่ยนภาษาระดับ module แล้ว Dashboard (ถือ state lang) render ใหม่ทั้งหน้า
+// ดังนั้นห้ามเก็บผลของ t() ไว้ในค่าคงที่ระดับ module / useMemo — ให้เก็บ id แล้วแปลตอน render
+// ค่าใน sheet (ชื่อสถานที่, note, NoteType) ไม่ถูกแปล — แค่แสดงชื่อสถานที่ตาม names ใน registry (locLabel)
+
+const env = (typeof import.meta !== "undefined" && import.meta.env) || {};
+
+export const LANGS = [
+  { id: "th", label: "ไทย", locale: "th-TH" },
+  { id: "en", label: "English", locale: "en-GB" },
+];
+const CATALOGS = { th, en };
+const STORAGE_KEY = "carpark.lang";
+
+let current = "th";
+
+const lookup = (catalog, key) => key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), catalog);
+
+export function t(key, vars = {}) {
+  const pick = k => lookup(CATALOGS[current], k) ?? lookup(th, k);
+  const msg = (vars.n === 1 && pick(`${key}_one`)) || pick(key);
+  if (typeof msg !== "string") return key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? (typeof vars[name] === "number" ? fmtNumber(vars[name]) : vars[name]) : m));
+}
+
+export const getLang = () => current;
+const langOf = id => LANGS.find(l => l.id === id) || LANGS[0];
+
+export function setLang(id) {
+  const lang = langOf(id);
+  current = lang.id;
+  configureDates({ locale: lang.locale });
+  if (typeof document !== "undefined") document.documentElement.lang = lang.id;
+  return current;
+}
+
+// ── preference ──
+// ที่เลือกไว้ → VITE_LANG → ภาษาของเบราว์เซอร์ (มีไทยในรายการ = ไทย, ไม่มี = อังกฤษ)
+export function loadLang() {
+  try {
+    const v = localStorage.getItem(STORAGE_KEY);
+    if (CATALOGS[v]) return v;
+  } catch { /* ignore */ }
+  if (CATALOGS[env.VITE_LANG]) return env.VITE_LANG;
+  const nav = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  return !nav.length || nav.some(l => /^th\b/i.test(l || "")) ? "th" : "en";
+}
+
+export function saveLang(id) {
+  try { localStorage.setItem(STORAGE_KEY, id); } catch { /* storage ปิด */ }
+}
+
+// ── formatting ──
+const numCache = new Map();
+export function fmtNumber(v, opts = {}) {
+  const key = `${current}:${JSON.stringify(opts)}`;
+  if (!numCache.has(key)) numCache.set(key, new Intl.NumberFormat(langOf(current).locale, opts));
+  return numCache.get(key).format(v);
+}
+
+// 0–1 → "80%" · null → "—"
+export const fmtPercent = v => (v === null || v === undefined ? "—" : fmtNumber(v, { style: "percent", maximumFractionDigits: 0 }));
+
+// ชื่อสถานที่ในภาษาปัจจุบัน (ไม่มีชื่อแปล → ชื่อใน sheet)
+export const locLabel = value => getLocation(value).names?.[current] || getLocation(value).name;
+
+// วันในสัปดาห์ 0–6 → ชื่อย่อ
+export const weekdayLabel = dow => t(`weekday.${dow}`);
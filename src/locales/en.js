@@ -0,0 +1,319 @@
+import { MAX_LEG_MINUTES } from "../sessions.js";
+
+// ━━━ English ━━━
+// key ต้องตรงกับ th.js · key ที่ขาดจะ fallback เป็นภาษาไทย
+export default {
+  common: {
+    times: "{n} times",
+    times_one: "{n} time",
+    timesUnit: "times",
+    floor: "Floor {floor}",
+    add: "+ Add",
+    none: "None",
+    noneYay: "None 🎉",
+    close: "Close",
+    pickLocation: "Choose location",
+    allLocations: "📍 All locations",
+  },
+  duration: {
+    days: "{d} d {h} h",
+    hours: "{h} h {m} min",
+    minutes: "{m} min",
+    minUnit: "min",
+    minAxis: " min",
+  },
+  col: {
+    day: "Date", time: "Time", location: "Location", floor: "Floor", note: "Note", status: "Status",
+    line: "Row", reason: "Reason",
+  },
+  field: { location: "location", floor: "floor", note: "note", mapUrl: "map", time: "time", exitDate: "exit date", status: "status" },
+  reject: {
+    NO_LOCATION: "No location",
+    NO_TIMESTAMP: "No timestamp",
+    JUNK: "Keyboard junk text",
+    TEST: "Test entry",
+    CUSTOM: "Matches a custom rule",
+  },
+  warning: {
+    BAD_TIME: "timeForgot is unreadable",
+    BAD_DATE: "Date is not a date",
+    BAD_EXIT_DATE: "exitDateReminder is not YYYY-MM-DD",
+  },
+  range: { all: "All", today: "Today", week: "This week", month: "This month", "30d": "Last 30 days", custom: "Custom" },
+  status: { sent: "✓ Sent", backfill: "Backfilled", manual: "✍ Manual", fail: "✗ Fail", none: "— No status", pending: "⏳ Pending" },
+  band: { morning: "morning", afternoon: "afternoon", evening: "evening", night: "night" },
+  weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  unmatched: {
+    SAME_LOCATION: "Logged again at the same place",
+    GAP: "Next record is not on the exit day",
+    NO_DEPARTURE: "Departure time unknown (no reminder time)",
+    NO_ARRIVAL: "Arrival time unknown",
+    OUT_OF_RANGE: `Duration outside 0–${MAX_LEG_MINUTES} min`,
+  },
+  theme: { system: "🖥️ System", light: "☀️ Light", dark: "🌙 Dark", contrast: "◐ High contrast" },
+  source: {
+    type: { sheet: "Google Sheets", csv: "CSV URL", json: "JSON", fixture: "Fixture", demo: "Demo", file: "Local file" },
+    seed: "{name} (seed {seed})",
+    http: "HTTP {status}",
+    missingUrl: "{name} source: missing url",
+    notRows: "JSON source: expected an array of rows",
+    noFile: "File source: no file selected",
+    unknown: "Unknown data source: {type}",
+  },
+
+  app: {
+    title: "Where did I park today?",
+    subtitle: "Real-time dashboard — auto-refreshes every {min} minutes from Google Sheets",
+  },
+  live: {
+    loading: "Loading…",
+    error: "Error",
+    paused: "Paused",
+    live: "Live",
+    rows: "{n} rows",
+    rows_one: "{n} row",
+    quality: "Data quality",
+    dropped: "⚠ {n} dropped",
+    warned: " · {n} warn",
+    updated: "Updated: {time}",
+    newSince: "🆕 {n} new since your last visit",
+    changeLog: "🕘 Change log",
+    stale: "📦 Showing data from {at}",
+    offline: " · offline",
+    updating: "Updating…",
+    pausedHidden: "Paused (tab hidden)",
+    next: "Next refresh: {in}",
+    retry: "Retry #{n} in {in}",
+    source: "Source: {name}",
+    reset: "✕ reset",
+    theme: "Theme:",
+    language: "Language:",
+    refreshNow: "🔄 Refresh now",
+    refreshing: "⏳ Loading…",
+  },
+  filter: {
+    from: "From date",
+    to: "To date",
+    compare: "Compare with previous period",
+  },
+  schema: {
+    title: "⚠️ Sheet headers don't match the schema",
+    missing: "Missing columns:",
+    against: "Checked against schema v{version} — {label}",
+  },
+  kpi: {
+    delta: "vs previous period",
+    trips: "Trips",
+    topFloor: "Most-used floor ({loc})",
+    records: "All records",
+  },
+  chart: {
+    locShare: "📍 Where I park",
+    locShareSub: "Visits per location",
+    floors: "🅿️ Floors at {loc}",
+    floorsSub: "Most-used floor: {floor}",
+    count: "Count",
+    trend: "⏰ Logging time — trend",
+    trendSub: "Time of arrival and logging (daily median · red ring = outlier)",
+    outlier: " ⚠ outlier",
+    daily: "📈 Records per day",
+    dailySub: "Logging timeline",
+    dailySeries: "Records",
+    recent: "🕑 Latest records",
+    savePng: "Save {name} as PNG",
+    saveSvg: "Save {name} as SVG",
+    notFound: "No chart to export",
+  },
+  quality: {
+    title: "🧹 Data quality",
+    summary: "{rejected} rows dropped · {warnings} warnings",
+    warnings: "Warnings (rows are still used)",
+    rules: "Noise rules",
+    removeRule: "Remove rule {label}",
+    placeholder: "Add a phrase to drop…",
+    reset: "Restore defaults",
+  },
+  current: {
+    heading: "📌 Your car is at",
+    since: "Parked for",
+    loggedAt: " · logged {at}",
+    justNow: "just now",
+    openMap: "🗺️ Open in maps",
+    mapTitle: "Parking location",
+  },
+  history: {
+    title: "🗂️ Full history",
+    summary: "{n} records · click a row for details",
+    search: "🔍 Search notes, locations, status…",
+    searchLabel: "Search",
+    statusFilter: "Filter by status",
+    allStatus: "All statuses",
+    floorFilter: "Filter by floor",
+    allFloors: "All floors",
+    empty: "No records found",
+    pagination: "Pagination",
+    prev: "← Previous",
+    next: "Next →",
+    page: "Page {page} / {pages}",
+    details: "📄 Record details",
+    detailsLabel: "Record details",
+    statusRaw: "Status (raw)",
+  },
+  floor: {
+    title: "🅿️ Parking floors by location",
+    subtitle: "Today's likely floor (by weekday, time of day and recency) · tables follow the date filter",
+    likely: "probably on",
+    confidence: "confidence · {when} · from {n} visits",
+    alternatives: " · then {list}",
+    noData: "No floor data yet",
+    byWeekday: "Floor × weekday",
+    byBand: "Floor × time of day",
+    total: "Total",
+    cell: "{row} · floor {floor}: {n} ({pct})",
+    empty: "No floor data for {loc} in this period",
+  },
+  arrival: {
+    title: "📊 Logging time by location",
+    subtitle: "Median and the middle 80% of days (P10–P90) — wraps across midnight",
+    card: "median ({n} visits) · spread {spread}",
+    histogram: "Time distribution (30-minute bins)",
+    byWeekday: "By weekday (median)",
+  },
+  commute: {
+    title: "🛣️ Commute",
+    subtitle: "{legs} legs · {trips} trips — from reminder time (departure) to logging at the destination",
+    stats: "median · {min}–{max} min · {n} trips",
+    departs: "Usually leaves",
+    empty: "No commutes could be matched in this period",
+    unmatched: "Unmatched / uncertain ({n})",
+  },
+  calendar: {
+    title: "🗓️ Logging calendar",
+    subtitle: "Colour by location · darker = more records · red border = workday without a record",
+    current: "🔥 Current streak",
+    longest: "🏆 Longest streak",
+    missed: "❌ Missed workdays",
+    workdays: "workdays",
+    cell: " · {n} records ({locs})",
+    holiday: " · holiday",
+    noRecord: " · no record",
+    missedList: "Workdays without a record",
+    markHoliday: "Mark as holiday",
+    holidays: "Holidays",
+    removeHoliday: "Remove holiday {d}",
+    addHoliday: "Add holiday",
+  },
+  reliability: {
+    title: "🤖 Reminder reliability",
+    subtitle: "Daily reminder success rate (backfilled rows excluded)",
+    sent: "Delivered",
+    sentHint: "{sent} / {total} reminders",
+    failed: "Failed",
+    backfill: "Backfilled",
+    backfillHint: "{n} of {total} records",
+    lowDays: "Days below threshold",
+    thresholdHint: "threshold {pct}",
+    threshold: "Alert threshold",
+    tipBackfill: "backfilled {n}",
+    failSeries: "Fail",
+    successSeries: "Success %",
+    reasons: "Failure reasons",
+    noReason: "(no reason given)",
+    lowFail: "({n} failed)",
+  },
+  changes: {
+    title: "🆕 Changes in the sheet",
+    subtitle: "Compared with the previous fetch · new and edited rows are highlighted in the tables",
+    clear: "✓ Seen (clear highlights)",
+    added: "＋ {n} new",
+    changed: "✎ {n} edited",
+    removed: "− {n} removed",
+    empty: "No changes yet",
+    new: "New",
+    edited: "Edited",
+    editedFields: "Edited: {fields}",
+  },
+  alerts: {
+    title: "🔔 Alerts",
+    subtitle: "Failed reminders, and workdays with no parking log past the usual time",
+    bell: "Alerts",
+    rules: "Alert rules",
+    rule: {
+      failedRecord: "New record whose reminder failed",
+      missingLog: "No parking log yet on a workday",
+    },
+    deadline: "Alert if nothing is logged by",
+    grace: "or usual time + (min)",
+    today: "Today: {time}",
+    noUsual: "Not enough data for a usual time — set one manually",
+    notify: "Browser notifications (Web Notification)",
+    denied: "Notifications are blocked — allow them in the site settings",
+    unsupported: "This browser doesn't support notifications",
+    markRead: "✓ Mark all read",
+    clear: "Clear",
+    empty: "No alerts yet",
+    failedTitle: "⚠️ Reminder not sent",
+    failedBody: "{day} {time} · {loc} · {status}",
+    missingTitle: "🅿️ No parking log today",
+    missingBody: "It's past {deadline} ({day}) — you usually log before this",
+  },
+  export: {
+    menu: "⬇️ Export",
+    csv: "📄 CSV (filtered data)",
+    json: "🧾 JSON (filtered data)",
+    monthly: "🖨️ Monthly report (A4)",
+    month: "Report month",
+    print: "Print",
+  },
+  print: {
+    title: "🚗 Monthly parking report {month}",
+    meta: "{n} records · printed {at}",
+    records: "All records ({month})",
+  },
+  kiosk: {
+    sections: "Sections",
+    section: { now: "📌 Now", floors: "🅿️ Floors", arrival: "📊 Logging time", calendar: "🗓️ Calendar", reliability: "🤖 Reminders" },
+  },
+  widget: {
+    empty: "No parking logged yet",
+    open: "Open dashboard ↗",
+  },
+  logForm: {
+    button: "✍️ Log parking",
+    title: "✍️ Log my parking",
+    subtitle: "Sent to the sheet through a webhook · kept and sent later when offline · shown as “pending” until it appears in the sheet",
+    noWebhook: "No webhook configured — set VITE_LOG_WEBHOOK at build time (?webhook=… only accepts URLs listed in VITE_LOG_WEBHOOK_ALLOW)",
+    notePlaceholder: "e.g. near the lift, pillar C3",
+    map: "Map link (optional)",
+    locate: "📍 Current location",
+    locating: "⏳ Locating…",
+    geoError: "Couldn't get your location: {msg}",
+    geoUnsupported: "This browser doesn't support geolocation",
+    submit: "Save",
+    queue: "Pending ({n})",
+    queued: "Waiting to send",
+    failed: "Not sent yet — will retry when online",
+    sent: "Sent · waiting for the sheet",
+    retry: "Send again",
+    remove: "Remove pending entry",
+  },
+  a11y: {
+    showTable: "📋 Table",
+    showChart: "📈 Chart",
+    tableToggle: "Show {name} as a table",
+    chartKeys: "{name} — use ← → to move between data points",
+    pieKeys: "{name} — use ← → to move between slices",
+    empty: "No data in this range",
+    kpis: "Key figures",
+    kpi: "{label}: {value}",
+    locShare: "{n} locations. Most visited: {top}, {count} times ({pct}).",
+    floors: "{n} floors. Most used: floor {top}, {count} times.",
+    trend: "Median logging time over {n} days: {parts}.",
+    trendPart: "{loc} {from}–{to}, latest {last}",
+    daily: "{n} days, {total} records. Busiest day: {top} with {count}.",
+    commute: "{n} routes: {parts}.",
+    commutePart: "{route} median {min} min",
+    reliability: "{n} days. Overall success {rate}; {low} days below the threshold.",
+    share: "Share",
+  },
+};
@@ -0,0 +1,319 @@
+import { MAX_LEG_MINUTES } from "../sessions.js";
+
+// ━━━ ข้อความภาษาไทย (ภาษาหลัก) ━━━
+// โมดูล logic เก็บแค่ id / code (เหตุผลที่ตัดแถว, ช่วงวันที่, สถานะ ฯลฯ) — ป้ายทุกภาษาอยู่ใน catalog นี้กับ en.js
+// {name} = ค่าที่แทนตอนเรียก t() · key ที่ลงท้าย _one ใช้เมื่อ n = 1 (ภาษาไทยไม่ต้องมี)
+
+export default {
+  common: {
+    times: "{n} ครั้ง",
+    timesUnit: "ครั้ง",
+    floor: "ชั้น {floor}",
+    add: "+ เพิ่ม",
+    none: "ไม่มี",
+    noneYay: "ไม่มี 🎉",
+    close: "ปิด",
+    pickLocation: "เลือกสถานที่",
+    allLocations: "📍 ทุกสถานที่",
+  },
+  duration: {
+    days: "{d} วัน {h} ชม.",
+    hours: "{h} ชม. {m} นาที",
+    minutes: "{m} นาที",
+    minUnit: "นาที",
+    minAxis: " น.",
+  },
+  col: {
+    day: "วันที่", time: "เวลา", location: "สถานที่", floor: "ชั้น", note: "หมายเหตุ", status: "สถานะ",
+    line: "แถว", reason: "เหตุผล",
+  },
+  field: { location: "สถานที่", floor: "ชั้น", note: "หมายเหตุ", mapUrl: "แผนที่", time: "เวลา", exitDate: "วันออก", status: "สถานะ" },
+  reject: {
+    NO_LOCATION: "ไม่มีสถานที่",
+    NO_TIMESTAMP: "ไม่มี timestamp",
+    JUNK: "ข้อความขยะจากคีย์บอร์ด",
+    TEST: "บันทึกทดสอบ",
+    CUSTOM: "ตรงกับ rule ที่เพิ่มเอง",
+  },
+  warning: {
+    BAD_TIME: "timeForgot อ่านไม่ออก",
+    BAD_DATE: "Date ไม่ใช่วันที่",
+    BAD_EXIT_DATE: "exitDateReminder ไม่ใช่ YYYY-MM-DD",
+  },
+  range: { all: "ทั้งหมด", today: "วันนี้", week: "สัปดาห์นี้", month: "เดือนนี้", "30d": "30 วันล่าสุด", custom: "กำหนดเอง" },
+  status: { sent: "✓ Sent", backfill: "กรอกย้อนหลัง", manual: "✍ บันทึกเอง", fail: "✗ Fail", none: "— ไม่มีสถานะ", pending: "⏳ รอยืนยัน" },
+  band: { morning: "เช้า", afternoon: "บ่าย", evening: "เย็น", night: "กลางคืน" },
+  weekday: ["อา.", "จ.", "อ.", "พ.", "พฤ.", "ศ.", "ส."],
+  unmatched: {
+    SAME_LOCATION: "บันทึกซ้ำที่เดิม",
+    GAP: "record ถัดไปไม่ใช่วันที่รถออก",
+    NO_DEPARTURE: "ไม่รู้เวลาออก (ไม่มีเวลา reminder)",
+    NO_ARRIVAL: "ไม่รู้เวลาถึง",
+    OUT_OF_RANGE: `ระยะเวลาเกิน 0–${MAX_LEG_MINUTES} นาที`,
+  },
+  theme: { system: "🖥️ ตามระบบ", light: "☀️ สว่าง", dark: "🌙 มืด", contrast: "◐ คอนทราสต์สูง" },
+  source: {
+    type: { sheet: "Google Sheets", csv: "CSV URL", json: "JSON", fixture: "ไฟล์ตัวอย่าง", demo: "ข้อมูลตัวอย่าง", file: "ไฟล์ในเครื่อง" },
+    seed: "{name} (seed {seed})",
+    http: "HTTP {status}",
+    missingUrl: "{name}: ไม่ได้ระบุ url",
+    notRows: "JSON: ต้องเป็น array ของแถว",
+    noFile: "ยังไม่ได้เลือกไฟล์",
+    unknown: "ไม่รู้จักแหล่งข้อมูล: {type}",
+  },
+
+  app: {
+    title: "วันนี้จอดรถที่ไหน?",
+    subtitle: "Real-time Dashboard — อัปเดตอัตโนมัติทุก {min} นาที จาก Google Sheets",
+  },
+  live: {
+    loading: "กำลังโหลด…",
+    error: "ผิดพลาด",
+    paused: "หยุดชั่วคราว",
+    live: "ออนไลน์",
+    rows: "{n} แถว",
+    quality: "คุณภาพข้อมูล",
+    dropped: "⚠ ตัดทิ้ง {n}",
+    warned: " · เตือน {n}",
+    updated: "อัปเดต: {time}",
+    newSince: "🆕 {n} รายการใหม่ตั้งแต่เข้าครั้งก่อน",
+    changeLog: "🕘 ประวัติการเปลี่ยนแปลง",
+    stale: "📦 แสดงข้อมูลจาก {at}",
+    offline: " · ออฟไลน์",
+    updating: "กำลังอัปเดต…",
+    pausedHidden: "หยุดชั่วคราว (แท็บถูกซ่อน)",
+    next: "รีเฟรชถัดไป: {in}",
+    retry: "ลองใหม่ครั้งที่ {n} ใน {in}",
+    source: "แหล่งข้อมูล: {name}",
+    reset: "✕ รีเซ็ต",
+    theme: "ธีม:",
+    language: "ภาษา:",
+    refreshNow: "🔄 รีเฟรชตอนนี้",
+    refreshing: "⏳ กำลังโหลด…",
+  },
+  filter: {
+    from: "ตั้งแต่วันที่",
+    to: "ถึงวันที่",
+    compare: "เทียบกับช่วงก่อนหน้า",
+  },
+  schema: {
+    title: "⚠️ หัวคอลัมน์ใน sheet ไม่ตรงกับ schema",
+    missing: "ไม่พบคอลัมน์:",
+    against: "เทียบกับ schema v{version} — {label}",
+  },
+  kpi: {
+    delta: "จากช่วงก่อน",
+    trips: "เที่ยวทั้งหมด",
+    topFloor: "ชั้นบ่อยสุด ({loc})",
+    records: "บันทึกทั้งหมด",
+  },
+  chart: {
+    locShare: "📍 สัดส่วนสถานที่จอด",
+    locShareSub: "จำนวนครั้งแยกตามสถานที่",
+    floors: "🅿️ ชั้นจอดรถที่{loc}",
+    floorsSub: "ชั้นที่จอดบ่อยสุด: {floor}",
+    count: "จำนวนครั้ง",
+    trend: "⏰ เวลาที่บันทึก — Trend",
+    trendSub: "เวลาที่ถึงสถานที่และบันทึกที่จอดรถ (median ต่อวัน · วงแดง = ผิดปกติ)",
+    outlier: " ⚠ ผิดปกติ",
+    daily: "📈 จำนวนบันทึกรายวัน",
+    dailySub: "Timeline การบันทึกข้อมูล",
+    dailySeries: "บันทึก",
+    recent: "🕑 รายการล่าสุด",
+    savePng: "บันทึก {name} เป็น PNG",
+    saveSvg: "บันทึก {name} เป็น SVG",
+    notFound: "ไม่พบกราฟ",
+  },
+  quality: {
+    title: "🧹 คุณภาพข้อมูล",
+    summary: "ตัดทิ้ง {rejected} แถว · คำเตือน {warnings} รายการ",
+    warnings: "คำเตือน (แถวยังถูกใช้อยู่)",
+    rules: "Noise rules",
+    removeRule: "ลบ rule {label}",
+    placeholder: "เพิ่มคำที่ต้องการตัดทิ้ง…",
+    reset: "คืนค่าเริ่มต้น",
+  },
+  current: {
+    heading: "📌 รถจอดอยู่ที่",
+    since: "จอดมาแล้ว",
+    loggedAt: " · บันทึกเมื่อ {at}",
+    justNow: "เพิ่งบันทึก",
+    openMap: "🗺️ เปิดในแผนที่",
+    mapTitle: "ตำแหน่งที่จอดรถ",
+  },
+  history: {
+    title: "🗂️ ประวัติทั้งหมด",
+    summary: "{n} รายการ · คลิกแถวเพื่อดูรายละเอียด",
+    search: "🔍 ค้นหาหมายเหตุ, สถานที่, สถานะ…",
+    searchLabel: "ค้นหา",
+    statusFilter: "กรองสถานะ",
+    allStatus: "ทุกสถานะ",
+    floorFilter: "กรองชั้น",
+    allFloors: "ทุกชั้น",
+    empty: "ไม่พบรายการ",
+    pagination: "เปลี่ยนหน้า",
+    prev: "← ก่อนหน้า",
+    next: "ถัดไป →",
+    page: "หน้า {page} / {pages}",
+    details: "📄 รายละเอียดบันทึก",
+    detailsLabel: "รายละเอียดบันทึก",
+    statusRaw: "สถานะ (raw)",
+  },
+  floor: {
+    title: "🅿️ ชั้นจอดรถ แยกตามสถานที่",
+    subtitle: "ชั้นที่น่าจะจอดวันนี้ (จากวันในสัปดาห์ ช่วงเวลา และความใหม่ของข้อมูล) · ตารางตามช่วงที่กรอง",
+    likely: "น่าจะอยู่",
+    confidence: "ความมั่นใจ · {when} · จาก {n} ครั้ง",
+    alternatives: " · รองลงมา {list}",
+    noData: "ยังไม่มีข้อมูลชั้น",
+    byWeekday: "ชั้น × วันในสัปดาห์",
+    byBand: "ชั้น × ช่วงเวลา",
+    total: "รวม",
+    cell: "{row} · ชั้น {floor}: {n} ครั้ง ({pct})",
+    empty: "ไม่มีข้อมูลชั้นของ{loc}ในช่วงนี้",
+  },
+  arrival: {
+    title: "📊 เวลาที่บันทึก แยกตามสถานที่",
+    subtitle: "ค่ากลาง (median) และช่วง 80% ของวัน (P10–P90) — คิดข้ามเที่ยงคืนได้",
+    card: "median ({n} ครั้ง) · ช่วง {spread}",
+    histogram: "การกระจายของเวลา (ทุก 30 นาที)",
+    byWeekday: "แยกตามวันในสัปดาห์ (median)",
+  },
+  commute: {
+    title: "🛣️ การเดินทาง (Commute)",
+    subtitle: "{legs} leg · {trips} trip — จากเวลา reminder (ออก) ถึงเวลาบันทึกที่ปลายทาง",
+    stats: "median · {min}–{max} นาที · {n} ครั้ง",
+    departs: "ออกปกติ",
+    empty: "ยังจับคู่การเดินทางไม่ได้ในช่วงนี้",
+    unmatched: "จับคู่ไม่ได้ / ไม่แน่ใจ ({n})",
+  },
+  calendar: {
+    title: "🗓️ ปฏิทินการบันทึก",
+    subtitle: "สีตามสถานที่ · เข้มตามจำนวนครั้ง · ขอบแดง = วันทำงานที่ไม่มีบันทึก",
+    current: "🔥 Streak ปัจจุบัน",
+    longest: "🏆 Streak ยาวสุด",
+    missed: "❌ วันทำงานที่ขาด",
+    workdays: "วันทำงาน",
+    cell: " · {n} ครั้ง ({locs})",
+    holiday: " · วันหยุด",
+    noRecord: " · ไม่มีบันทึก",
+    missedList: "วันทำงานที่ไม่มีบันทึก",
+    markHoliday: "ตั้งเป็นวันหยุด",
+    holidays: "วันหยุด",
+    removeHoliday: "ลบวันหยุด {d}",
+    addHoliday: "เพิ่มวันหยุด",
+  },
+  reliability: {
+    title: "🤖 Reminder reliability",
+    subtitle: "อัตราส่ง reminder สำเร็จรายวัน (ไม่นับแถวกรอกย้อนหลัง)",
+    sent: "ส่งสำเร็จ",
+    sentHint: "{sent} / {total} ครั้ง",
+    failed: "ส่งไม่สำเร็จ",
+    backfill: "กรอกย้อนหลัง",
+    backfillHint: "{n} จาก {total} รายการ",
+    lowDays: "วันที่ต่ำกว่าเกณฑ์",
+    thresholdHint: "เกณฑ์ {pct}",
+    threshold: "เกณฑ์แจ้งเตือน",
+    tipBackfill: "ย้อนหลัง {n}",
+    failSeries: "Fail",
+    successSeries: "Success %",
+    reasons: "สาเหตุที่ส่งไม่สำเร็จ",
+    noReason: "(ไม่ระบุสาเหตุ)",
+    lowFail: "({n} fail)",
+  },
+  changes: {
+    title: "🆕 การเปลี่ยนแปลงในชีต",
+    subtitle: "เทียบกับข้อมูลรอบก่อน · แถวใหม่ / ที่ถูกแก้ถูกไฮไลต์ในตาราง",
+    clear: "✓ ดูแล้ว (ล้างไฮไลต์)",
+    added: "＋ {n} ใหม่",
+    changed: "✎ {n} แก้ไข",
+    removed: "− {n} ลบ",
+    empty: "ยังไม่มีการเปลี่ยนแปลง",
+    new: "ใหม่",
+    edited: "แก้ไข",
+    editedFields: "แก้: {fields}",
+  },
+  alerts: {
+    title: "🔔 การแจ้งเตือน",
+    subtitle: "แจ้งเมื่อ reminder ไม่สำเร็จ หรือวันทำงานที่เลยเวลาปกติแล้วยังไม่บันทึกที่จอด",
+    bell: "การแจ้งเตือน",
+    rules: "กฎการแจ้งเตือน",
+    rule: {
+      failedRecord: "Record ใหม่ที่ reminder ล้ม",
+      missingLog: "วันทำงานที่ยังไม่ได้บันทึกที่จอด",
+    },
+    deadline: "แจ้งถ้ายังไม่บันทึกภายใน",
+    grace: "หรือเวลาปกติ + (นาที)",
+    today: "วันนี้: {time}",
+    noUsual: "ข้อมูลยังไม่พอหาเวลาปกติ — ตั้งเวลาเองได้",
+    notify: "แจ้งเตือนผ่านเบราว์เซอร์ (Web Notification)",
+    denied: "เบราว์เซอร์บล็อกการแจ้งเตือนไว้ — เปิดได้ที่การตั้งค่าเว็บไซต์",
+    unsupported: "เบราว์เซอร์นี้ไม่รองรับการแจ้งเตือน",
+    markRead: "✓ อ่านแล้วทั้งหมด",
+    clear: "ล้าง",
+    empty: "ยังไม่มีการแจ้งเตือน",
+    failedTitle: "⚠️ Reminder ไม่สำเร็จ",
+    failedBody: "{day} {time} · {loc} · {status}",
+    missingTitle: "🅿️ วันนี้ยังไม่ได้บันทึกที่จอด",
+    missingBody: "เลย {deadline} แล้ว ({day}) — ปกติบันทึกก่อนเวลานี้",
+  },
+  export: {
+    menu: "⬇️ Export",
+    csv: "📄 CSV (ข้อมูลที่กรองอยู่)",
+    json: "🧾 JSON (ข้อมูลที่กรองอยู่)",
+    monthly: "🖨️ รายงานประจำเดือน (A4)",
+    month: "เดือนของรายงาน",
+    print: "พิมพ์",
+  },
+  print: {
+    title: "🚗 รายงานการจอดรถประจำเดือน {month}",
+    meta: "{n} รายการ · พิมพ์เมื่อ {at}",
+    records: "รายการทั้งหมด ({month})",
+  },
+  kiosk: {
+    sections: "ส่วนที่แสดง",
+    section: { now: "📌 ตอนนี้", floors: "🅿️ ชั้นจอด", arrival: "📊 เวลาบันทึก", calendar: "🗓️ ปฏิทิน", reliability: "🤖 Reminder" },
+  },
+  widget: {
+    empty: "ยังไม่มีบันทึกการจอด",
+    open: "เปิด dashboard ↗",
+  },
+  logForm: {
+    button: "✍️ บันทึกที่จอด",
+    title: "✍️ บันทึกที่จอดรถ",
+    subtitle: "ส่งเข้า sheet ผ่าน webhook · ออฟไลน์จะเก็บไว้ส่งทีหลัง · แสดงเป็น “รอยืนยัน” จนกว่าจะเห็นใน sheet",
+    noWebhook: "ยังไม่ได้ตั้ง webhook — ตั้ง VITE_LOG_WEBHOOK ตอน build (?webhook=… ใช้ได้เฉพาะ URL ใน VITE_LOG_WEBHOOK_ALLOW)",
+    notePlaceholder: "เช่น ใกล้ลิฟต์ เสา C3",
+    map: "ลิงก์แผนที่ (ไม่บังคับ)",
+    locate: "📍 ตำแหน่งปัจจุบัน",
+    locating: "⏳ กำลังหาตำแหน่ง…",
+    geoError: "หาตำแหน่งไม่ได้: {msg}",
+    geoUnsupported: "เบราว์เซอร์นี้ไม่รองรับการหาตำแหน่ง",
+    submit: "บันทึก",
+    queue: "รอยืนยัน ({n})",
+    queued: "รอส่ง",
+    failed: "ยังส่งไม่ได้ — จะลองใหม่เมื่อออนไลน์",
+    sent: "ส่งแล้ว · รอ sheet ยืนยัน",
+    retry: "ส่งอีกครั้ง",
+    remove: "ลบรายการที่รอ",
+  },
+  a11y: {
+    showTable: "📋 ตาราง",
+    showChart: "📈 กราฟ",
+    tableToggle: "แสดง {name} เป็นตาราง",
+    chartKeys: "{name} — กด ← → เพื่อเลื่อนดูทีละจุด",
+    pieKeys: "{name} — กด ← → เพื่อเลื่อนดูทีละส่วน",
+    empty: "ไม่มีข้อมูลในช่วงนี้",
+    kpis: "ตัวเลขสรุป",
+    kpi: "{label}: {value}",
+    locShare: "{n} สถานที่ · จอดบ่อยสุด {top} {count} ครั้ง ({pct})",
+    floors: "{n} ชั้น · จอดบ่อยสุดชั้น {top} {count} ครั้ง",
+    trend: "เวลาบันทึก (median) {n} วัน · {parts}",
+    trendPart: "{loc} {from}–{to} ล่าสุด {last}",
+    daily: "{n} วัน รวม {total} บันทึก · มากสุดวันที่ {top} ({count})",
+    commute: "{n} เส้นทาง · {parts}",
+    commutePart: "{route} median {min} นาที",
+    reliability: "{n} วัน · ส่งสำเร็จรวม {rate} · ต่ำกว่าเกณฑ์ {low} วัน",
+    share: "สัดส่วน",
+  },
+};
@@ -0,0 +1,59 @@
+import { C } from "./theme.js";
+
+// ━━━ Location registry ━━━
+// ที่เดียวที่กำหนดสถานที่: สี, icon, ชื่อเรียกอื่น (aliases) และมีชั้นจอดหรือไม่
+// name = ค่าที่เขียนใน sheet · ลำดับใน array = ลำดับที่แสดงใน KPI / กราฟ
+// tone = ชื่อสีใน palette · color อ่านจาก C ตอนใช้ → ตามธีมปัจจุบัน
+// names = ชื่อที่แสดงในภาษาอื่น (ดู locLabel ใน i18n.js) — ค่าใน sheet / export ยังเป็น name เสมอ
+const withColor = l => Object.defineProperty(l, "color", { get: () => C[l.tone], enumerable: true });
+
+export const LOCATIONS = [
+  { id: "condo", name: "คอนโด", names: { en: "Condo" }, aliases: ["condo", "home", "บ้าน"], tone: "orange", icon: "🏠", floors: true },
+  { id: "work", name: "ที่ทำงาน", names: { en: "Work" }, aliases: ["work", "office", "ออฟฟิศ"], tone: "blue", icon: "🏢", floors: false },
+  { id: "hotel", name: "โรงแรม", names: { en: "Hotel" }, aliases: ["hotel"], tone: "purple", icon: "🏨", floors: false },
+  { id: "other", name: "อื่นๆ", names: { en: "Other" }, aliases: ["other", "อื่น ๆ"], tone: "pink", icon: "📍", floors: false },
+].map(withColor);
+
+// สถานที่ที่ไม่อยู่ใน registry ได้สีจาก palette นี้ (เลือกตาม hash ของชื่อ → สีเดิมทุกครั้ง)
+const EXTRA_TONES = ["cyan", "green", "yellow", "red", "purpleD", "blueD"];
+
+const norm = s => String(s || "").trim().toLowerCase();
+const byAlias = new Map(LOCATIONS.flatMap(l => [l.name, ...l.aliases].map(a => [norm(a), l])));
+const derived = new Map();
+
+const hash = s => [...s].reduce((h, ch) => (h * 31 + ch.codePointAt(0)) >>> 0, 7);
+
+// ชื่อใน sheet → entry ใน registry (หรือ entry ที่สร้างให้สำหรับสถานที่ใหม่)
+export function getLocation(value) {
+  const hit = byAlias.get(norm(value));
+  if (hit) return hit;
+  const name = String(value || "").trim();
+  if (!derived.has(name)) {
+    derived.set(name, withColor({
+      id: `loc-${hash(name).toString(36)}`, name, aliases: [],
+      tone: EXTRA_TONES[hash(name) % EXTRA_TONES.length], icon: "📍", floors: false,
+    }));
+  }
+  return derived.get(name);
+}
+
+// alias → ชื่อหลัก (เช่น "Condo" → "คอนโด") — ชื่อที่ไม่รู้จักคืนค่าเดิม
+export const canonicalLocation = value => getLocation(value).name;
+
+export const locClr = l => getLocation(l).color;
+export const locIco = l => getLocation(l).icon;
+
+// สถานที่ที่มีใน records เรียงตาม registry ก่อน แล้วตามด้วยสถานที่ใหม่ (ตามตัวอักษร)
+export function locationsIn(records) {
+  const seen = new Map();
+  records.forEach(r => { if (r.location) seen.set(getLocation(r.location).id, getLocation(r.location)); });
+  const known = LOCATIONS.filter(l => seen.has(l.id));
+  const extra = [...seen.values()].filter(l => !LOCATIONS.includes(l)).sort((a, b) => a.name.localeCompare(b.name));
+  return [...known, ...extra];
+}
+
+// สถานที่ที่มีเรื่องชั้นจอด (registry กำหนด floors หรือมี record ที่กรอกชั้น) — ใช้ทำ KPI ชั้น / กราฟชั้น
+export function floorLocationsIn(records) {
+  const withFloor = new Set(records.filter(r => r.floor).map(r => r.location));
+  return locationsIn(records).filter(l => l.floors || withFloor.has(l.name));
+}
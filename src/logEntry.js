@@ -0,0 +1,116 @@
+import { normalizeFloor } from "./floors.js";
+import { canonicalLocation } from "./locations.js";
+import { PENDING_STATUS, MANUAL_STATUS } from "./status.js";
+import { dayKey } from "./dates.js";
+
+// ━━━ Log my parking (write-back) ━━━
+// ฟอร์มในหน้า → POST ไปที่ webhook ที่เขียนแถวลง sheet (Apps Script doPost / scripts/webhook-dev.js ตอน dev)
+// webhook มาจาก build env เท่านั้น: VITE_LOG_WEBHOOK (ค่าหลัก) + VITE_LOG_WEBHOOK_ALLOW (คั่นด้วย ,)
+// ?webhook=… เลือกได้เฉพาะ URL ที่อยู่ในรายการนี้ — ลิงก์ที่ชี้ไป host อื่นจะถูกเมิน (ไม่งั้นใครก็ส่งลิงก์มาดูดตำแหน่ง / note ได้)
+// แต่ละ entry จำ webhook ตอนกดบันทึกไว้ (entry.webhook) → ส่งไปที่นั่นที่เดียว ไม่ว่าหน้าถัดไปจะเปิดด้วย webhook อะไร
+// entry อยู่ในคิว (localStorage) จนกว่า fetch รอบถัดไปจะเจอแถวนั้นใน sheet:
+//   sent: false = ยังส่งไม่ถึง (ออฟไลน์ / webhook ล้ม) → ส่งใหม่เมื่อออนไลน์หรือ fetch สำเร็จ
+//   sent: true  = webhook รับแล้ว รอ sheet ยืนยัน
+// ระหว่างนั้นแสดงเป็น record สถานะ PENDING (withPending) — ไม่เข้า snapshot / change tracking
+//
+// ฝั่ง Apps Script (deploy เป็น web app, access: anyone) อย่างน้อย:
+//   function doPost(e) {
+//     const body = JSON.parse(e.postData.contents), sheet = SpreadsheetApp.getActiveSheet();
+//     const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+//     sheet.appendRow(headers.map(h => body[String(h).trim()] ?? ""));   // body มี NoteType มาด้วย → ไม่เป็นช่องว่าง
+//     return ContentService.createTextOutput("ok");
+//   }
+
+const env = (typeof import.meta !== "undefined" && import.meta.env) || {};
+
+const QUEUE_KEY = "carpark.logQueue";
+// แถวใน sheet ที่ timestamp ห่างจาก entry ไม่เกินนี้ (และสถานที่ตรงกัน) = ยืนยันแล้ว
+// เผื่อ sheet เก็บ Date แบบตัดวินาที / webhook ใส่เวลาของตัวเอง
+const MATCH_WINDOW_MS = 2 * 60 * 1000;
+
+export const allowedWebhooks = (config = env) =>
+  [config.VITE_LOG_WEBHOOK, ...String(config.VITE_LOG_WEBHOOK_ALLOW || "").split(",")].map(s => (s || "").trim()).filter(Boolean);
+
+export const isAllowedWebhook = (url, config = env) => !!url && allowedWebhooks(config).includes(url);
+
+export function resolveWebhook(search = typeof window !== "undefined" ? window.location.search : "", config = env) {
+  const requested = new URLSearchParams(search).get("webhook");
+  return isAllowedWebhook(requested, config) ? requested : config.VITE_LOG_WEBHOOK || "";
+}
+
+// ค่าจากฟอร์ม → entry · timestamp = เวลาที่กดบันทึก (เหมือน Timestamp ของ Google Form) · webhook = ปลายทางของ entry นี้
+export function createEntry({ location, floor = "", note = "", time = "", mapUrl = "" }, webhook, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    id: timestamp, timestamp, webhook,
+    location: canonicalLocation(location), floor: normalizeFloor(floor), note: note.trim(), time, mapUrl: mapUrl.trim(),
+    sent: false, error: null,
+  };
+}
+
+// body ที่ส่งไป webhook — key = หัวคอลัมน์ของ sheet (schema v2 ใน columns.js) → ฝั่ง Apps Script appendRow ตาม header ได้เลย
+// NoteType = MANUAL_STATUS (บันทึกเองตอนนั้น ไม่มี reminder) — ไม่ส่ง = ช่องว่าง ซึ่งอ่านไม่ได้ว่า reminder ส่งหรือยัง
+// exitDateReminder ไม่ส่ง: parse ใช้วันของ Date แทน (เหมือนแถวกรอกย้อนหลังอื่น)
+export const entryPayload = e => ({
+  Date: e.timestamp, parkingLocation: e.location, parkingFloor: e.floor, note: e.note, parkingMap: e.mapUrl, timeForgot: e.time,
+  NoteType: MANUAL_STATUS,
+});
+
+// text/plain → ไม่มี CORS preflight (Apps Script web app ตอบ OPTIONS ไม่ได้)
+export async function postEntry(url, entry, { signal } = {}) {
+  const res = await fetch(url, {
+    method: "POST", signal,
+    headers: { "Content-Type": "text/plain;charset=utf-8" },
+    body: JSON.stringify(entryPayload(entry)),
+  });
+  if (!res.ok) throw new Error(`Webhook HTTP ${res.status}`);
+}
+
+// ส่ง entry ที่ยังไม่ส่งตามลำดับ ไปยัง webhook ของแต่ละ entry · ล้มตัวแรก = หยุด (ส่วนใหญ่คือออฟไลน์) → { sent: id[], error }
+export async function flushQueue(queue, post = postEntry) {
+  const sent = [];
+  for (const e of queue.filter(x => !x.sent)) {
+    try {
+      await post(e.webhook, e);
+      sent.push(e.id);
+    } catch (err) {
+      return { sent, error: { id: e.id, message: err.message } };
+    }
+  }
+  return { sent, error: null };
+}
+
+export const markFlushed = (queue, { sent, error }) => queue.map(e =>
+  sent.includes(e.id) ? { ...e, sent: true, error: null }
+    : error?.id === e.id ? { ...e, error: error.message }
+    : e);
+
+const confirms = (e, r) => r.location === e.location
+  && Math.abs(Date.parse(r.timestamp) - Date.parse(e.timestamp)) <= MATCH_WINDOW_MS;
+
+// ตัด entry ที่มีใน sheet แล้วออก (ถึงจะยังไม่ได้ mark sent — response หายระหว่างทางแต่แถวเขียนลงแล้ว)
+export function reconcileQueue(queue, records) {
+  const next = queue.filter(e => !records.some(r => confirms(e, r)));
+  return next.length === queue.length ? queue : next;
+}
+
+// entry → record หน้าตาเดียวกับ parseRows (status = PENDING, key ขึ้นต้น pending:)
+export const pendingRecords = queue => queue.map(e => ({
+  timestamp: e.timestamp, time: e.time, mapUrl: e.mapUrl, floor: e.floor, note: e.note, location: e.location,
+  exitDate: dayKey(e.timestamp), status: PENDING_STATUS, day: dayKey(e.timestamp), key: `pending:${e.id}`,
+}));
+
+export const withPending = (records, queue) => (queue.length ? [...records, ...pendingRecords(queue)] : records);
+
+export function loadLogQueue() {
+  try {
+    const q = JSON.parse(localStorage.getItem(QUEUE_KEY));
+    // entry ที่ไม่มี webhook ติดมา (คิวรุ่นก่อน) ไม่รู้ว่าต้องส่งไปไหน → ทิ้ง
+    if (Array.isArray(q)) return q.filter(e => e && e.id && e.location && e.webhook);
+  } catch { /* ignore */ }
+  return [];
+}
+
+export function saveLogQueue(queue) {
+  try { localStorage.setItem(QUEUE_KEY, JSON.stringify(queue)); } catch { /* storage ปิด */ }
+}
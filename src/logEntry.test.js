@@ -0,0 +1,42 @@
+import { describe, it, expect } from "vitest";
+import { resolveWebhook, createEntry, flushQueue, loadLogQueue } from "./logEntry.js";
+
+const config = { VITE_LOG_WEBHOOK: "https://script.google.com/macros/s/main/exec", VITE_LOG_WEBHOOK_ALLOW: "http://localhost:8787/, https://backup.example/hook" };
+
+describe("resolveWebhook", () => {
+  it("defaults to the build-time webhook", () => {
+    expect(resolveWebhook("", config)).toBe(config.VITE_LOG_WEBHOOK);
+  });
+
+  it("accepts ?webhook= only when it is allow-listed", () => {
+    expect(resolveWebhook("?webhook=http://localhost:8787/", config)).toBe("http://localhost:8787/");
+    expect(resolveWebhook("?webhook=https://evil.example/collect", config)).toBe(config.VITE_LOG_WEBHOOK);
+  });
+
+  it("nothing configured → no webhook, whatever the URL says", () => {
+    expect(resolveWebhook("?webhook=https://evil.example/collect", {})).toBe("");
+  });
+});
+
+describe("flushQueue", () => {
+  it("sends each entry only to the webhook it was created with", async () => {
+    const a = createEntry({ location: "คอนโด" }, "https://a.example/", new Date("2026-10-19T01:00:00Z"));
+    const b = createEntry({ location: "คอนโด" }, "https://b.example/", new Date("2026-10-19T02:00:00Z"));
+    const calls = [];
+    const result = await flushQueue([a, b], async (url, e) => { calls.push([url, e.id]); });
+    expect(calls).toEqual([["https://a.example/", a.id], ["https://b.example/", b.id]]);
+    expect(result).toEqual({ sent: [a.id, b.id], error: null });
+  });
+});
+
+describe("loadLogQueue", () => {
+  it("drops stored entries that have no target webhook", () => {
+    const store = { "carpark.logQueue": JSON.stringify([{ id: "1", location: "คอนโด" }, { id: "2", location: "คอนโด", webhook: "https://a.example/" }]) };
+    globalThis.localStorage = { getItem: k => store[k] ?? null, setItem: () => {} };
+    try {
+      expect(loadLogQueue().map(e => e.id)).toEqual(["2"]);
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+});
@@ -7,3 +7,10 @@ ReactDOM.createRoot(document.getElementById("root")).render(
     <Dashboard />
   </React.StrictMode>
 );
+
+// service worker เฉพาะ build จริง (dev server ไม่ต้อง cache)
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => { /* ไม่มี SW ก็ใช้งานออนไลน์ได้ตามปกติ */ });
+  });
+}
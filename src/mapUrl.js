@@ -0,0 +1,42 @@
+// ━━━ Map links ━━━
+// ดึงพิกัดจากลิงก์แผนที่ (Google Maps / Apple Maps / OSM) — ไม่เจอคืน null
+// ลิงก์สั้นแบบ maps.app.goo.gl ไม่มีพิกัดใน URL → null
+// parkingMap มาจาก sheet (และ source เปลี่ยนได้ด้วย ?source=&url=) → ใช้เป็นลิงก์ได้เฉพาะ http(s) — javascript: / data: ฯลฯ = ""
+const PATTERNS = [
+  /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/, // ...!3d13.75!4d100.50 (pin ใน place URL)
+  /@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/, // /@13.75,100.50,17z
+  /[?&](?:q|query|ll|destination|center|mlat)=(-?\d+(?:\.\d+)?)(?:,|%2C|&mlon=)\s*(-?\d+(?:\.\d+)?)/i,
+  /#map=\d+\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/, // OSM #map=17/13.75/100.50
+];
+
+export function safeUrl(url = "") {
+  try {
+    const u = new URL(String(url).trim());
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : "";
+  } catch {
+    return "";
+  }
+}
+
+export function parseCoords(url = "") {
+  if (!safeUrl(url)) return null;
+  for (const re of PATTERNS) {
+    const m = url.match(re);
+    if (!m) continue;
+    const lat = Number(m[1]), lng = Number(m[2]);
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return { lat, lng };
+  }
+  return null;
+}
+
+// OpenStreetMap embed (ไม่ต้องใช้ API key)
+export function osmEmbedUrl({ lat, lng }, span = 0.003) {
+  const bbox = [lng - span, lat - span, lng + span, lat + span].map(n => n.toFixed(6)).join(",");
+  return `https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${lat},${lng}`;
+}
+
+export const mapsLink = (url, coords) =>
+  safeUrl(url) || (coords ? `https://www.google.com/maps/search/?api=1&query=${coords.lat},${coords.lng}` : "");
+
+// พิกัดจาก geolocation → ลิงก์รูปแบบเดียวกับที่ bot เขียนใน parkingMap (parseCoords อ่านกลับได้)
+export const coordsUrl = ({ lat, lng }) => `https://maps.google.com/?q=${lat.toFixed(6)},${lng.toFixed(6)}`;
@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { safeUrl, parseCoords, mapsLink } from "./mapUrl.js";
+
+describe("safeUrl", () => {
+  it("keeps http(s) links", () => {
+    expect(safeUrl("https://maps.google.com/?q=13.7,100.5")).toBe("https://maps.google.com/?q=13.7,100.5");
+    expect(safeUrl("http://example.com/")).toBe("http://example.com/");
+  });
+
+  it("drops other schemes and junk", () => {
+    expect(safeUrl("javascript:alert(1)")).toBe("");
+    expect(safeUrl(" JavaScript:alert(1)")).toBe("");
+    expect(safeUrl("data:text/html,<script>alert(1)</script>")).toBe("");
+    expect(safeUrl("ใกล้ลิฟต์")).toBe("");
+    expect(safeUrl("")).toBe("");
+  });
+});
+
+describe("parseCoords / mapsLink", () => {
+  it("reads coordinates from http(s) links only", () => {
+    expect(parseCoords("https://maps.google.com/?q=13.7563,100.5018")).toEqual({ lat: 13.7563, lng: 100.5018 });
+    expect(parseCoords("javascript:alert('@13.75,100.50')")).toBeNull();
+  });
+
+  it("never returns an unsafe href", () => {
+    expect(mapsLink("javascript:alert(1)", null)).toBe("");
+    expect(mapsLink("javascript:alert(1)", { lat: 1, lng: 2 })).toBe("https://www.google.com/maps/search/?api=1&query=1,2");
+  });
+});
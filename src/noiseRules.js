@@ -0,0 +1,36 @@
+// ━━━ Noise rules ━━━
+// แถวที่ note match rule ที่เปิดอยู่ จะถูกตัดทิ้ง (rejected) พร้อม reason ของ rule
+// ปิด/เพิ่ม rule ได้จากหน้า Data quality — เก็บไว้ใน localStorage ไม่ต้องแก้โค้ด
+
+export const DEFAULT_NOISE_RULES = [
+  { id: "gboard", reason: "JUNK", label: "Gboard clipboard junk", pattern: "welcome to gboard|touch and hold|unpinned clips", enabled: true },
+  // \b กัน false positive เช่น "contest", "latest"
+  { id: "test-en", reason: "TEST", label: "คำว่า test", pattern: "\\btest(ing)?\\b", enabled: true },
+  { id: "test-th", reason: "TEST", label: "ทดสอบ / ทดลอง", pattern: "ทดสอบ|ทดลอง", enabled: true },
+];
+
+const STORAGE_KEY = "carpark.noiseRules";
+
+export function loadNoiseRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch { /* ignore — ใช้ค่า default */ }
+  return DEFAULT_NOISE_RULES;
+}
+
+export function saveNoiseRules(rules) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(rules)); } catch { /* storage เต็ม/ปิด */ }
+}
+
+// คืน rule แรกที่ match (หรือ null) — pattern ที่ compile ไม่ได้จะถูกข้าม
+export function matchNoise(note, rules = DEFAULT_NOISE_RULES) {
+  if (!note) return null;
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    try {
+      if (new RegExp(rule.pattern, "i").test(note)) return rule;
+    } catch { /* invalid regex */ }
+  }
+  return null;
+}
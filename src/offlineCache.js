@@ -0,0 +1,42 @@
+// ━━━ Offline snapshot (IndexedDB) ━━━
+// เก็บผล parse ล่าสุดที่ดึงสำเร็จของแต่ละ source → เปิดหน้าตอนออฟไลน์ (ลานจอดใต้ดิน) ก็ยังเห็นข้อมูล
+// ค่าที่เก็บ: { accepted, rejected, warnings, savedAt } · เก็บ record ตรง ๆ ไม่ต้อง parse ซ้ำ
+// IndexedDB ใช้ไม่ได้ (private mode / Node) → ทุกฟังก์ชันคืน null / เงียบไป
+
+const DB_NAME = "carpark";
+const STORE = "snapshots";
+
+let dbPromise = null;
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  dbPromise ||= new Promise(resolve => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+function tx(mode, fn) {
+  return openDb().then(db => db && new Promise(resolve => {
+    const t = db.transaction(STORE, mode);
+    const req = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(req.result ?? null);
+    t.onerror = t.onabort = () => resolve(null);
+  }));
+}
+
+// source → key (ไฟล์ที่ลากมาวางไม่ต้องเก็บ)
+export const snapshotKey = source => (source.type === "file" ? null : `${source.type}:${source.url || source.seed || ""}:${source.schemaVersion || ""}`);
+
+export async function loadSnapshot(source) {
+  const key = snapshotKey(source);
+  return key ? tx("readonly", s => s.get(key)) : null;
+}
+
+export async function saveSnapshot(source, { accepted, rejected, warnings }) {
+  const key = snapshotKey(source);
+  if (!key) return;
+  await tx("readwrite", s => s.put({ accepted, rejected, warnings, savedAt: new Date().toISOString() }, key));
+}
@@ -0,0 +1,69 @@
+import { detectSchema } from "./columns.js";
+import { DEFAULT_NOISE_RULES, matchNoise } from "./noiseRules.js";
+import { canonicalLocation } from "./locations.js";
+import { normalizeFloor } from "./floors.js";
+import { dayKey, isValidDate, recordDay } from "./dates.js";
+
+// ━━━ Reason codes ━━━
+// rejected[].reason: NO_LOCATION | NO_TIMESTAMP | JUNK | TEST | CUSTOM (จาก noiseRules)
+// warnings[].code: BAD_TIME | BAD_DATE | BAD_EXIT_DATE · ข้อความของแต่ละ code อยู่ใน locales (reject.* / warning.*)
+
+const TIME_RE = /^([01]?\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// ━━━ Parse rows ━━━
+// รับ row จาก sheet (object ตาม header) → { accepted, rejected, warnings }
+// headers: หัวคอลัมน์จริง (Papa meta.fields) — ไม่ส่งมาจะใช้ key ของ row
+// schemaVersion: บังคับใช้ schema เวอร์ชันนั้น (ดู columns.js) — header ไม่ตรงจะ throw SchemaError
+// noiseRules: rule ตัดแถวขยะ/ทดสอบ (ดู noiseRules.js)
+// line = เลขแถวใน sheet (แถว 1 คือ header) · record.day = วันของ record (ดู recordDay ใน dates.js)
+// record.key = id คงที่ของแถว = timestamp ของ form (ซ้ำกัน → ต่อท้าย #2, #3) ใช้เทียบระหว่าง snapshot (ดู changes.js)
+export function parseRows(csvData, { headers, schemaVersion, noiseRules = DEFAULT_NOISE_RULES } = {}) {
+  const result = { accepted: [], rejected: [], warnings: [] };
+  if (!csvData.length) return result;
+  const fields = headers || Array.from(new Set(csvData.flatMap(r => Object.keys(r))));
+  const { columns } = detectSchema(fields, { version: schemaVersion });
+  const get = (row, field) => (columns[field] ? row[columns[field]] || "" : "").trim();
+  const keyCount = {};
+
+  csvData.forEach((row, i) => {
+    const line = i + 2;
+    const warnings = [];
+    const warn = (code, value) => warnings.push({ line, code, value });
+    const timestamp = get(row, "timestamp");
+    const tsValid = isValidDate(timestamp);
+    if (timestamp && !tsValid) warn("BAD_DATE", timestamp);
+    const exitRaw = get(row, "exitDate");
+    if (exitRaw && !DATE_RE.test(exitRaw)) warn("BAD_EXIT_DATE", exitRaw);
+    // กรอกย้อนหลัง: ไม่มี exitDate → ใช้วันที่จาก Date column แทน
+    const exitDate = exitRaw || dayKey(timestamp);
+    const location = get(row, "location");
+    const r = {
+      timestamp,
+      time: get(row, "time"),
+      mapUrl: get(row, "mapUrl"),
+      floor: normalizeFloor(get(row, "floor")),
+      note: get(row, "note"),
+      location: location && canonicalLocation(location),
+      exitDate,
+      status: get(row, "status"),
+    };
+    r.day = recordDay(r);
+
+    const noise = matchNoise(r.note, noiseRules);
+    const reason = !r.location ? "NO_LOCATION"
+      : !r.timestamp ? "NO_TIMESTAMP"
+      : noise ? noise.reason
+      : null;
+    if (reason) {
+      result.rejected.push({ line, reason, rule: noise?.id, row: r });
+      return;
+    }
+    if (r.time && !TIME_RE.test(r.time)) warn("BAD_TIME", r.time);
+    const n = keyCount[r.timestamp] = (keyCount[r.timestamp] || 0) + 1;
+    r.key = n > 1 ? `${r.timestamp}#${n}` : r.timestamp;
+    result.accepted.push(r);
+    result.warnings.push(...warnings);
+  });
+  return result;
+}
@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import { parseRows } from "./parse.js";
+import { SchemaError } from "./columns.js";
+import { DEMO_HEADERS } from "./demoData.js";
+
+const row = fields => Object.fromEntries(DEMO_HEADERS.map(h => [h, fields[h.trim()] ?? ""]));
+const base = {
+  Date: "2026-10-19T08:40:00+07:00", parkingLocation: "คอนโด", parkingFloor: "b2", note: "ใกล้ลิฟต์",
+  timeForgot: "08:40", exitDateReminder: "2026-10-19", NoteType: "SENT 2026-10-19 17:30",
+};
+const parse = rows => parseRows(rows.map(row), { headers: DEMO_HEADERS });
+
+describe("parseRows", () => {
+  it("accepts a clean row and normalises location and floor", () => {
+    const { accepted, rejected, warnings } = parse([{ ...base, parkingLocation: " Condo " }]);
+    expect(rejected).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(accepted).toHaveLength(1);
+    expect(accepted[0]).toMatchObject({ location: "คอนโด", floor: "B2", day: "2026-10-19", key: base.Date, status: base.NoteType });
+  });
+
+  it("returns empty results for no rows", () => {
+    expect(parseRows([])).toEqual({ accepted: [], rejected: [], warnings: [] });
+  });
+
+  it("rejects rows without location or timestamp, with sheet line numbers", () => {
+    const { accepted, rejected } = parse([base, { ...base, parkingLocation: "" }, { ...base, Date: "" }]);
+    expect(accepted).toHaveLength(1);
+    expect(rejected.map(r => [r.line, r.reason])).toEqual([[3, "NO_LOCATION"], [4, "NO_TIMESTAMP"]]);
+  });
+
+  it("rejects noise by rule and honours a custom rule list", () => {
+    const junk = { ...base, note: "Welcome to Gboard clipboard" };
+    const test = { ...base, note: "ทดสอบระบบ" };
+    const { rejected } = parse([junk, test]);
+    expect(rejected.map(r => [r.reason, r.rule])).toEqual([["JUNK", "gboard"], ["TEST", "test-th"]]);
+    expect(parseRows([row(test)], { headers: DEMO_HEADERS, noiseRules: [] }).accepted).toHaveLength(1);
+  });
+
+  it("warns about bad time, date and exit date but still accepts the row", () => {
+    const { accepted, warnings } = parse([{ ...base, timeForgot: "8.40", exitDateReminder: "19/10/2026" }]);
+    expect(accepted).toHaveLength(1);
+    expect(warnings.map(w => [w.line, w.code, w.value])).toEqual([[2, "BAD_EXIT_DATE", "19/10/2026"], [2, "BAD_TIME", "8.40"]]);
+    expect(accepted[0].day).toBe("2026-10-19");
+  });
+
+  it("warns about an unreadable Date and falls back to the exit date for the day", () => {
+    const { accepted, warnings } = parse([{ ...base, Date: "เมื่อวาน" }]);
+    expect(warnings.map(w => w.code)).toEqual(["BAD_DATE"]);
+    expect(accepted[0].day).toBe("2026-10-19");
+  });
+
+  it("does not report warnings of rejected rows", () => {
+    const { warnings, rejected } = parse([{ ...base, parkingLocation: "", timeForgot: "99:99" }]);
+    expect(rejected).toHaveLength(1);
+    expect(warnings).toEqual([]);
+  });
+
+  it("gives duplicate timestamps stable suffixed keys", () => {
+    const { accepted } = parse([base, base, base]);
+    expect(accepted.map(r => r.key)).toEqual([base.Date, `${base.Date}#2`, `${base.Date}#3`]);
+  });
+
+  it("throws SchemaError when required columns are missing", () => {
+    expect(() => parseRows([{ Date: base.Date, note: "x" }])).toThrow(SchemaError);
+  });
+});
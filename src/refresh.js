@@ -0,0 +1,98 @@
+// ━━━ Refresh scheduler ━━━
+// ดึงข้อมูลซ้ำทุก interval แบบไม่พึ่ง React:
+//   - fetch ล้ม → retry แบบ exponential backoff (retryBase × 2^n + jitter, ไม่เกิน interval)
+//   - แท็บถูกซ่อน → หยุดนับ · กลับมาแล้วเลยเวลาที่ตั้งไว้ → ดึงทันที
+//   - ดึงใหม่ขณะที่ request เก่ายังค้าง → abort ของเก่า (AbortController)
+//   - ผลลัพธ์ hash เท่าเดิม → ไม่เรียก onData (ไม่ re-render)
+// ผู้ใช้อ่านสถานะผ่าน onState({ fetching, error, failures, lastRefresh, nextAt, paused })
+// หรือ subscribe(fn) + getState() (snapshot เดิมจนกว่าจะเปลี่ยน → ใช้กับ useSyncExternalStore ได้)
+// lastRefresh / nextAt เปลี่ยนทุกรอบแม้ข้อมูลเท่าเดิม → ส่วนที่แสดงค่าพวกนี้ควร subscribe เอง ไม่ผ่าน state ของทั้งหน้า
+
+// FNV-1a 32-bit — แค่เช็คว่าเนื้อหาเปลี่ยนไหม ไม่ได้ใช้เพื่อความปลอดภัย
+export function hashContent(value) {
+  const s = typeof value === "string" ? value : JSON.stringify(value);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+export const backoffDelay = (failures, { retryBase, interval }) =>
+  Math.min(interval, retryBase * 2 ** (failures - 1)) * (0.8 + Math.random() * 0.4);
+
+export function createRefreshScheduler({
+  load,                       // (signal) => Promise<result>
+  onData,                     // (result) => void — เฉพาะเมื่อเนื้อหาเปลี่ยน
+  onState = () => {},
+  interval = 5 * 60 * 1000,
+  retryBase = 5000,
+  doc = typeof document !== "undefined" ? document : null,
+}) {
+  let timer = null, controller = null, lastHash = null, stopped = false;
+  let state = { fetching: false, error: null, failures: 0, lastRefresh: null, nextAt: null, paused: !!doc?.hidden };
+  const listeners = new Set();
+  const emit = patch => {
+    state = { ...state, ...patch };
+    onState(state);
+    listeners.forEach(fn => fn());
+  };
+
+  const schedule = delay => {
+    clearTimeout(timer);
+    const nextAt = Date.now() + delay;
+    emit({ nextAt });
+    if (!state.paused) timer = setTimeout(run, delay);
+  };
+
+  async function run() {
+    if (stopped) return;
+    clearTimeout(timer);
+    controller?.abort();
+    const ctrl = controller = new AbortController();
+    emit({ fetching: true });
+    try {
+      const result = await load(ctrl.signal);
+      if (ctrl.signal.aborted) return;
+      const hash = hashContent(result);
+      if (hash !== lastHash) {
+        lastHash = hash;
+        onData(result);
+      }
+      emit({ fetching: false, error: null, failures: 0, lastRefresh: new Date() });
+      schedule(interval);
+    } catch (err) {
+      if (ctrl.signal.aborted || err.name === "AbortError") return;
+      const failures = state.failures + 1;
+      emit({ fetching: false, error: err, failures });
+      schedule(backoffDelay(failures, { retryBase, interval }));
+    } finally {
+      if (controller === ctrl) controller = null;
+    }
+  }
+
+  const onVisibility = () => {
+    if (doc.hidden) {
+      clearTimeout(timer);
+      emit({ paused: true });
+    } else {
+      emit({ paused: false });
+      if (!controller) schedule(Math.max(0, (state.nextAt ?? 0) - Date.now()));
+    }
+  };
+  doc?.addEventListener("visibilitychange", onVisibility);
+
+  return {
+    // ดึงทันที (ปุ่ม Refresh / เปลี่ยน source) · ล้าง backoff
+    refresh: () => { emit({ failures: 0 }); return run(); },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      controller?.abort();
+      doc?.removeEventListener("visibilitychange", onVisibility);
+    },
+    getState: () => state,
+    subscribe: fn => { listeners.add(fn); return () => listeners.delete(fn); },
+  };
+}
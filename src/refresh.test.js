@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from "vitest";
+import { createRefreshScheduler, hashContent } from "./refresh.js";
+
+describe("createRefreshScheduler", () => {
+  it("skips onData when the content hash is unchanged but still notifies subscribers", async () => {
+    const onData = vi.fn();
+    const s = createRefreshScheduler({ load: async () => ({ rows: [1, 2] }), onData, doc: null, interval: 60_000 });
+    const listener = vi.fn();
+    const unsubscribe = s.subscribe(listener);
+
+    await s.refresh();
+    const first = s.getState().lastRefresh;
+    await s.refresh();
+    expect(onData).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalled();
+    expect(s.getState().lastRefresh).not.toBe(first);
+
+    unsubscribe();
+    listener.mockClear();
+    await s.refresh();
+    expect(listener).not.toHaveBeenCalled();
+    s.stop();
+  });
+
+  it("getState returns the same snapshot until something changes", async () => {
+    const s = createRefreshScheduler({ load: async () => "x", onData: () => {}, doc: null, interval: 60_000 });
+    const before = s.getState();
+    expect(s.getState()).toBe(before);
+    await s.refresh();
+    const after = s.getState();
+    expect(after).not.toBe(before);
+    expect(s.getState()).toBe(after);
+    s.stop();
+  });
+});
+
+describe("hashContent", () => {
+  it("is stable for equal content", () => {
+    expect(hashContent({ a: [1, 2] })).toBe(hashContent({ a: [1, 2] }));
+    expect(hashContent("a")).not.toBe(hashContent("b"));
+  });
+});
@@ -0,0 +1,71 @@
+import { minutesOf, minutesOfDay } from "./dates.js";
+import { reminderTime } from "./status.js";
+import { timeStats, quantile } from "./stats.js";
+
+// ━━━ Commute sessions ━━━
+// จับคู่ record ที่ต่อกัน (เรียงตาม timestamp) เป็น "leg" การเดินทาง A → B
+//   - ออกจาก A = เวลาที่ reminder bot ส่ง (NoteType "SENT <วัน> <HH:MM>") ซึ่งส่งในวันที่รถออก (exitDateReminder)
+//   - ถึง B = เวลาที่บันทึกที่ B (timeForgot หรือเวลาใน timestamp)
+//   - trip = leg ที่ต่อกันภายในวันเดียวกัน เช่น คอนโด → ที่ทำงาน → คอนโด
+// คู่ที่จับไม่ได้ / ไม่แน่ใจ เก็บไว้ใน unmatched พร้อม reason แทนที่จะทิ้งเงียบๆ
+
+export const MAX_LEG_MINUTES = 180;
+
+// unmatched[].reason: SAME_LOCATION | GAP | NO_DEPARTURE | NO_ARRIVAL | OUT_OF_RANGE (ข้อความอยู่ใน locales unmatched.*)
+
+const arrivalMin = r => minutesOf(r.time) ?? minutesOfDay(r.timestamp);
+
+export function sessionize(records) {
+  const sorted = records
+    .filter(r => r.day && !isNaN(new Date(r.timestamp)))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const legs = [];
+  const unmatched = [];
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const from = sorted[i], to = sorted[i + 1];
+    const base = { from, to, route: `${from.location} → ${to.location}`, day: to.day };
+    const exitDay = from.exitDate || from.day;
+    const reject = reason => unmatched.push({ ...base, reason });
+
+    if (from.location === to.location) { reject("SAME_LOCATION"); continue; }
+    if (to.day !== exitDay && to.day !== from.day) { reject("GAP"); continue; }
+    const dep = reminderTime(from.status);
+    if (!dep || dep.day !== to.day) { reject("NO_DEPARTURE"); continue; }
+    const arr = arrivalMin(to);
+    if (arr === null) { reject("NO_ARRIVAL"); continue; }
+    const duration = arr - dep.min;
+    if (duration <= 0 || duration > MAX_LEG_MINUTES) { reject("OUT_OF_RANGE"); continue; }
+    legs.push({ ...base, departure: dep.min, arrival: arr, duration });
+  }
+
+  // trip = leg ในวันเดียวกันที่ต่อกัน (ปลายทางของ leg ก่อน = ต้นทางของ leg ถัดไป)
+  const trips = [];
+  legs.forEach(leg => {
+    const last = trips[trips.length - 1];
+    if (last && last.day === leg.day && last.legs[last.legs.length - 1].to === leg.from) last.legs.push(leg);
+    else trips.push({ day: leg.day, legs: [leg] });
+  });
+
+  return { legs, trips, unmatched };
+}
+
+// สรุปต่อเส้นทาง: median ระยะเวลา + ช่วงเวลาออกปกติ (P10–P90 ของเวลาออก)
+export function routeSummary(legs) {
+  const byRoute = {};
+  legs.forEach(l => (byRoute[l.route] ||= []).push(l));
+  return Object.entries(byRoute).map(([route, list]) => {
+    const durations = list.map(l => l.duration).sort((a, b) => a - b);
+    const dep = timeStats(list.map(l => l.departure));
+    return {
+      route,
+      from: list[0].from.location,
+      to: list[0].to.location,
+      count: list.length,
+      medianDuration: quantile(durations, 0.5),
+      minDuration: durations[0],
+      maxDuration: durations[durations.length - 1],
+      departureWindow: { from: dep.p10, to: dep.p90, median: dep.median },
+    };
+  }).sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from "vitest";
+import { sessionize, routeSummary, MAX_LEG_MINUTES } from "./sessions.js";
+
+// record ที่ bot ส่ง reminder ตอนรถออก (sent = "HH:MM" ของวัน exitDate) · time = เวลาถึง
+const rec = (day, time, location, sent = null, exitDate = day) => ({
+  day, time, location, exitDate, timestamp: `${day}T${time}:00+07:00`,
+  status: sent ? `SENT ${exitDate} ${sent}` : "",
+});
+
+describe("sessionize", () => {
+  it("pairs consecutive records into legs and chains same-day legs into a trip", () => {
+    const { legs, trips, unmatched } = sessionize([
+      rec("2026-10-19", "07:00", "คอนโด", "07:30"),
+      rec("2026-10-19", "08:10", "ออฟฟิศ", "17:30"),
+      rec("2026-10-19", "18:20", "คอนโด"),
+    ]);
+    expect(legs.map(l => [l.route, l.departure, l.arrival, l.duration])).toEqual([
+      ["คอนโด → ออฟฟิศ", 7 * 60 + 30, 8 * 60 + 10, 40],
+      ["ออฟฟิศ → คอนโด", 17 * 60 + 30, 18 * 60 + 20, 50],
+    ]);
+    expect(trips).toHaveLength(1);
+    expect(trips[0].legs).toHaveLength(2);
+    expect(unmatched).toEqual([]);
+  });
+
+  it("sorts by timestamp before pairing", () => {
+    const { legs } = sessionize([
+      rec("2026-10-19", "08:10", "ออฟฟิศ"),
+      rec("2026-10-19", "07:00", "คอนโด", "07:30"),
+    ]);
+    expect(legs.map(l => l.route)).toEqual(["คอนโด → ออฟฟิศ"]);
+  });
+
+  it("uses the exit day for overnight stays", () => {
+    const { legs } = sessionize([
+      rec("2026-10-18", "20:00", "โรงแรม", "07:00", "2026-10-19"),
+      rec("2026-10-19", "07:45", "ออฟฟิศ"),
+    ]);
+    expect(legs).toHaveLength(1);
+    expect(legs[0].duration).toBe(45);
+  });
+
+  it("keeps pairs it cannot match with a reason", () => {
+    const reasons = pairs => sessionize(pairs).unmatched.map(u => u.reason);
+    expect(reasons([rec("2026-10-19", "07:00", "คอนโด", "07:30"), rec("2026-10-19", "08:00", "คอนโด")])).toEqual(["SAME_LOCATION"]);
+    expect(reasons([rec("2026-10-17", "07:00", "คอนโด", "07:30"), rec("2026-10-19", "08:00", "ออฟฟิศ")])).toEqual(["GAP"]);
+    expect(reasons([rec("2026-10-19", "07:00", "คอนโด"), rec("2026-10-19", "08:00", "ออฟฟิศ")])).toEqual(["NO_DEPARTURE"]);
+    expect(reasons([rec("2026-10-19", "07:00", "คอนโด", "09:00"), rec("2026-10-19", "08:00", "ออฟฟิศ")])).toEqual(["OUT_OF_RANGE"]);
+    expect(reasons([rec("2026-10-19", "05:00", "คอนโด", "05:00"), rec("2026-10-19", `${String(5 + MAX_LEG_MINUTES / 60 + 1).padStart(2, "0")}:00`, "ออฟฟิศ")])).toEqual(["OUT_OF_RANGE"]);
+  });
+
+  it("skips records without a day or a readable timestamp", () => {
+    const { legs, unmatched } = sessionize([{ ...rec("2026-10-19", "07:00", "คอนโด", "07:30"), day: "" }, rec("2026-10-19", "08:00", "ออฟฟิศ")]);
+    expect(legs).toEqual([]);
+    expect(unmatched).toEqual([]);
+  });
+});
+
+describe("routeSummary", () => {
+  it("summarises duration and departure window per route, busiest first", () => {
+    const { legs } = sessionize([
+      rec("2026-10-19", "07:00", "คอนโด", "07:30"), rec("2026-10-19", "08:00", "ออฟฟิศ", "17:00"), rec("2026-10-19", "18:00", "คอนโด"),
+      rec("2026-10-20", "07:00", "คอนโด", "07:40"), rec("2026-10-20", "08:30", "ออฟฟิศ"),
+    ]);
+    const [top, other] = routeSummary(legs);
+    expect(top).toMatchObject({ route: "คอนโด → ออฟฟิศ", from: "คอนโด", to: "ออฟฟิศ", count: 2, minDuration: 30, maxDuration: 50, medianDuration: 40 });
+    expect(top.departureWindow.median).toBe(7 * 60 + 35);
+    expect(other).toMatchObject({ route: "ออฟฟิศ → คอนโด", count: 1, medianDuration: 60 });
+  });
+});
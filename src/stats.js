@@ -0,0 +1,56 @@
+// ━━━ Statistics ━━━
+// สถิติของ "เวลาในวัน" (นาที 0–1439) ที่ข้ามเที่ยงคืนได้ เช่น 23:50 กับ 00:10 ห่างกัน 20 นาที ไม่ใช่ 23 ชม.
+// วิธี: หาค่ากลางแบบ circular mean → unwrap ทุกค่าให้อยู่ในช่วง ±12 ชม. ของค่ากลาง → คิดแบบเส้นตรงตามปกติ
+
+export const DAY_MIN = 1440;
+
+export const wrapMinutes = v => ((Math.round(v) % DAY_MIN) + DAY_MIN) % DAY_MIN;
+
+// quantile แบบ linear interpolation บน array ที่เรียงแล้ว
+export function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function circularMean(minutes) {
+  if (!minutes.length) return null;
+  let x = 0, y = 0;
+  minutes.forEach(m => {
+    const a = (m / DAY_MIN) * 2 * Math.PI;
+    x += Math.cos(a);
+    y += Math.sin(a);
+  });
+  const a = Math.atan2(y, x);
+  return wrapMinutes((a / (2 * Math.PI)) * DAY_MIN);
+}
+
+// ย้ายค่าไป ±720 นาทีรอบ center (ผลอาจติดลบหรือเกิน 1440 — แสดงผลด้วย wrapMinutes)
+export const unwrap = (m, center) => m + Math.round((center - m) / DAY_MIN) * DAY_MIN;
+
+// สรุปสถิติของชุดเวลา — ค่าที่คืนเป็นนาทีใน space ที่ unwrap แล้ว (center = circular mean)
+export function timeStats(minutes) {
+  if (!minutes.length) return null;
+  const center = circularMean(minutes);
+  const v = minutes.map(m => unwrap(m, center)).sort((a, b) => a - b);
+  const q1 = quantile(v, 0.25), q3 = quantile(v, 0.75);
+  const p10 = quantile(v, 0.1), p90 = quantile(v, 0.9);
+  return {
+    count: v.length,
+    center,
+    mean: v.reduce((a, b) => a + b, 0) / v.length,
+    median: quantile(v, 0.5),
+    p10, p90, q1, q3,
+    spread: p90 - p10,
+    // Tukey fences: นอกช่วงนี้ = outlier
+    low: q1 - 1.5 * (q3 - q1),
+    high: q3 + 1.5 * (q3 - q1),
+  };
+}
+
+export const isOutlier = (m, stats) => {
+  if (!stats || stats.count < 4) return false;
+  const v = unwrap(m, stats.center);
+  return v < stats.low || v > stats.high;
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { wrapMinutes, quantile, circularMean, unwrap, timeStats, isOutlier } from "./stats.js";
+
+describe("quantile", () => {
+  it("interpolates linearly between sorted values", () => {
+    expect(quantile([10, 20, 30, 40], 0.5)).toBe(25);
+    expect(quantile([10, 20, 30, 40], 0)).toBe(10);
+    expect(quantile([10, 20, 30, 40], 1)).toBe(40);
+    expect(quantile([10, 20, 30, 40, 50], 0.1)).toBe(14);
+    expect(quantile([], 0.5)).toBeNull();
+  });
+});
+
+describe("circularMean", () => {
+  it("averages times either side of midnight to midnight, not noon", () => {
+    expect(circularMean([23 * 60 + 50, 10])).toBe(0);
+    expect(circularMean([23 * 60 + 30, 30 + 60])).toBe(30);
+  });
+
+  it("matches the plain mean for daytime values", () => {
+    expect(circularMean([8 * 60, 9 * 60])).toBe(8 * 60 + 30);
+    expect(circularMean([])).toBeNull();
+  });
+});
+
+describe("wrap / unwrap", () => {
+  it("wraps into 0–1439", () => {
+    expect(wrapMinutes(-10)).toBe(1430);
+    expect(wrapMinutes(1450)).toBe(10);
+  });
+
+  it("moves a value to within 12 hours of the centre", () => {
+    expect(unwrap(10, 1430)).toBe(1450);
+    expect(unwrap(1430, 10)).toBe(-10);
+    expect(unwrap(500, 480)).toBe(500);
+  });
+});
+
+describe("timeStats", () => {
+  it("computes median and percentiles in the unwrapped space", () => {
+    const s = timeStats([23 * 60 + 40, 23 * 60 + 50, 0, 10, 20]);
+    expect(s.count).toBe(5);
+    expect(s.center).toBe(0);
+    expect(s.median).toBe(0);
+    expect(s.p10).toBe(-16);
+    expect(wrapMinutes(s.p10)).toBe(23 * 60 + 44);
+    expect(s.p90).toBe(16);
+    expect(s.spread).toBe(32);
+    expect(timeStats([])).toBeNull();
+  });
+
+  it("flags values beyond the Tukey fences once there are enough samples", () => {
+    const s = timeStats([480, 485, 490, 495, 500, 505]);
+    expect(isOutlier(490, s)).toBe(false);
+    expect(isOutlier(12 * 60, s)).toBe(true);
+    expect(isOutlier(12 * 60, timeStats([480, 490, 500]))).toBe(false);
+    expect(isOutlier(12 * 60, null)).toBe(false);
+  });
+});
@@ -0,0 +1,36 @@
+// ━━━ Reminder status ━━━
+// NoteType ที่ reminder bot เขียน → ประเภท: sent | backfill | fail
+// none = NoteType ว่าง (ยังไม่มีใครเขียนสถานะ) — ไม่ใช่ fail: ไม่นับใน reliability
+// manual = บันทึกสดจากฟอร์มในหน้า (MANUAL_STATUS) — ไม่มี reminder และไม่ใช่กรอกย้อนหลัง
+// pending = บันทึกจากฟอร์มในหน้าที่ยังไม่เห็นใน sheet (ดู logEntry.js) — ไม่มีใน sheet จริง
+// ป้ายอยู่ใน locales (status.*)
+export const STATUS_KINDS = ["sent", "backfill", "manual", "fail", "none", "pending"];
+
+export const PENDING_STATUS = "PENDING";
+// NoteType ที่ฟอร์มในหน้าเขียนลง sheet
+export const MANUAL_STATUS = "MANUAL";
+
+export const statusKind = (status = "") =>
+  status === PENDING_STATUS ? "pending"
+    : !status.trim() ? "none"
+    : status.startsWith(MANUAL_STATUS) ? "manual"
+    : status.startsWith("SENT") ? "sent" : status.includes("กรอกย้อนหลัง") ? "backfill" : "fail";
+
+// สาเหตุที่ส่งไม่สำเร็จจากข้อความ NoteType เช่น "ERROR quota exceeded", "FAILED: 429 Too Many Requests"
+// ตัด prefix / วันเวลา / ตัวเลขยาวๆ ออก → ใช้ group ได้ · ไม่เหลืออะไร = "" (ป้ายตอนแสดง: reliability.noReason)
+export function failureReason(status = "") {
+  const s = status
+    .replace(/^\s*(error|err|failed|fail|x|✗)\b[\s:\-–]*/i, "")
+    .replace(/\d{4}-\d{2}-\d{2}([ T]\d{1,2}:\d{2}(:\d{2})?)?/g, "")
+    .replace(/\b\d{5,}\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+  return s;
+}
+
+// เวลาที่ bot ส่ง reminder จาก "SENT 2025-03-04 07:30" → { day, min } (ไม่มี → null)
+export function reminderTime(status = "") {
+  const m = /^SENT\s+(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})/.exec(status);
+  return m ? { day: m[1], min: Number(m[2]) * 60 + Number(m[3]) } : null;
+}
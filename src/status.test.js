@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { statusKind, failureReason, MANUAL_STATUS, PENDING_STATUS } from "./status.js";
+import { entryPayload, createEntry } from "./logEntry.js";
+import { reliability } from "./analytics.js";
+import { failedRecordAlerts } from "./alerts.js";
+
+describe("statusKind", () => {
+  it("classifies NoteType values", () => {
+    expect(statusKind("SENT 2026-10-19 17:30")).toBe("sent");
+    expect(statusKind("กรอกย้อนหลัง")).toBe("backfill");
+    expect(statusKind("ERROR quota exceeded")).toBe("fail");
+    expect(statusKind(PENDING_STATUS)).toBe("pending");
+  });
+
+  it("empty status is its own kind, not fail", () => {
+    expect(statusKind("")).toBe("none");
+    expect(statusKind("  ")).toBe("none");
+    expect(statusKind()).toBe("none");
+  });
+
+  it("form entries are written as manual, not backfill", () => {
+    const payload = entryPayload(createEntry({ location: "คอนโด" }, "https://a.example/"));
+    expect(payload.NoteType).toBe(MANUAL_STATUS);
+    expect(statusKind(payload.NoteType)).toBe("manual");
+    expect(statusKind("MANUAL (dev webhook)")).toBe("manual");
+  });
+});
+
+describe("failureReason", () => {
+  it("strips the prefix, timestamps and long ids", () => {
+    expect(failureReason("ERROR quota exceeded")).toBe("quota exceeded");
+    expect(failureReason("FAILED: 429 Too Many Requests 2026-10-19 07:30")).toBe("429 too many requests");
+    expect(failureReason("ERROR timeout 1234567")).toBe("timeout");
+  });
+
+  it("returns an empty reason (labelled at display time) when nothing is left", () => {
+    expect(failureReason("ERROR")).toBe("");
+    expect(failureReason()).toBe("");
+  });
+});
+
+describe("form and empty-status rows", () => {
+  const rows = [
+    { key: "1", day: "2026-10-19", status: "SENT 2026-10-19 17:30" },
+    { key: "2", day: "2026-10-19", status: MANUAL_STATUS },
+    { key: "2b", day: "2026-10-19", status: "กรอกย้อนหลัง" },
+    { key: "3", day: "2026-10-19", status: "" },
+    { key: "4", day: "2026-10-19", status: "ERROR timeout" },
+  ];
+
+  it("do not lower the reliability rate", () => {
+    const rel = reliability(rows);
+    expect(rel.rate).toBe(0.5);
+    expect(rel.none).toBe(1);
+    expect(rel.manual).toBe(1);
+    expect(rel.backfill).toBe(1);
+  });
+
+  it("backfillShare counts only real backfills and ignores pending rows", () => {
+    const rel = reliability([...rows, { key: "5", day: "2026-10-19", status: PENDING_STATUS }]);
+    expect(rel.total).toBe(5);
+    expect(rel.backfillShare).toBe(0.2);
+  });
+
+  it("only failed rows raise an alert", () => {
+    expect(failedRecordAlerts(rows).map(a => a.key)).toEqual(["4"]);
+  });
+});
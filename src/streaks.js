@@ -0,0 +1,49 @@
+import { addDays, isWeekend, todayKey } from "./dates.js";
+
+// ━━━ Logging calendar & streaks ━━━
+// วันทำงาน = จันทร์–ศุกร์ ที่ไม่อยู่ใน holidays
+// streak = วันทำงานที่มีบันทึกติดกัน (วันหยุด / เสาร์–อาทิตย์ไม่ตัด streak)
+// วันนี้ยังไม่มีบันทึก → ยังไม่นับว่าขาด (current streak นับถึงเมื่อวาน)
+
+export const isWorkday = (day, holidays) => !isWeekend(day) && !holidays.has(day);
+
+// records → { [day]: { count, byLocation: { [location]: n } } }
+export function countByDay(records) {
+  const days = {};
+  records.forEach(r => {
+    if (!r.day) return;
+    const d = days[r.day] ||= { count: 0, byLocation: {} };
+    d.count++;
+    d.byLocation[r.location] = (d.byLocation[r.location] || 0) + 1;
+  });
+  return days;
+}
+
+export function loggingStreaks(records, { holidays = [], today = todayKey() } = {}) {
+  const hol = new Set(holidays);
+  const days = countByDay(records);
+  const keys = Object.keys(days).sort();
+  if (!keys.length) return { days, current: 0, longest: 0, missed: [] };
+
+  let longest = 0, run = 0;
+  const missed = [];
+  for (let d = keys[0]; d <= today; d = addDays(d, 1)) {
+    if (!isWorkday(d, hol)) continue;
+    if (days[d]) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (d !== today) {
+      missed.push(d);
+      run = 0;
+    }
+  }
+
+  let current = 0;
+  for (let d = days[today] ? today : addDays(today, -1); d >= keys[0]; d = addDays(d, -1)) {
+    if (!isWorkday(d, hol)) continue;
+    if (!days[d]) break;
+    current++;
+  }
+
+  return { days, current, longest, missed: missed.reverse() };
+}
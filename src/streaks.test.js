@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import { isWorkday, countByDay, loggingStreaks } from "./streaks.js";
+
+// 2026-10-12 = จันทร์ … 10-16 = ศุกร์ · 10-19 = จันทร์ถัดไป
+const rec = (day, location = "คอนโด") => ({ day, location });
+const week = ["2026-10-12", "2026-10-13", "2026-10-15", "2026-10-16"].map(d => rec(d));
+
+describe("isWorkday", () => {
+  it("excludes weekends and holidays", () => {
+    expect(isWorkday("2026-10-16", new Set())).toBe(true);
+    expect(isWorkday("2026-10-17", new Set())).toBe(false);
+    expect(isWorkday("2026-10-14", new Set(["2026-10-14"]))).toBe(false);
+  });
+});
+
+describe("countByDay", () => {
+  it("counts records per day and per location, skipping rows without a day", () => {
+    const days = countByDay([rec("2026-10-12"), rec("2026-10-12", "ออฟฟิศ"), rec("2026-10-12"), rec("")]);
+    expect(days).toEqual({ "2026-10-12": { count: 3, byLocation: { "คอนโด": 2, "ออฟฟิศ": 1 } } });
+  });
+});
+
+describe("loggingStreaks", () => {
+  it("a missed workday breaks the streak", () => {
+    const s = loggingStreaks(week, { today: "2026-10-19" });
+    expect(s.missed).toEqual(["2026-10-14"]);
+    expect(s.longest).toBe(2);
+    expect(s.current).toBe(2);
+  });
+
+  it("holidays and weekends do not break it", () => {
+    const s = loggingStreaks(week, { holidays: ["2026-10-14"], today: "2026-10-19" });
+    expect(s.missed).toEqual([]);
+    expect(s.longest).toBe(4);
+    expect(s.current).toBe(4);
+  });
+
+  it("today without a record is not missed yet, and counts once logged", () => {
+    const opts = { holidays: ["2026-10-14"], today: "2026-10-19" };
+    expect(loggingStreaks(week, opts).missed).not.toContain("2026-10-19");
+    expect(loggingStreaks([...week, rec("2026-10-19")], opts).current).toBe(5);
+  });
+
+  it("lists missed days newest first and resets current after a gap", () => {
+    const s = loggingStreaks([rec("2026-10-12"), rec("2026-10-16")], { today: "2026-10-19" });
+    expect(s.missed).toEqual(["2026-10-15", "2026-10-14", "2026-10-13"]);
+    expect(s.current).toBe(1);
+    expect(s.longest).toBe(1);
+  });
+
+  it("empty input", () => {
+    expect(loggingStreaks([], { today: "2026-10-19" })).toEqual({ days: {}, current: 0, longest: 0, missed: [] });
+  });
+});
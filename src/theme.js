@@ -0,0 +1,144 @@
+// ━━━ Theme ━━━
+// C = palette ที่ใช้อยู่ตอนนี้ — ทุก component อ่าน C.xxx ตอน render
+// เปลี่ยนธีม = applyTheme() เขียนค่าของ palette ใหม่ลงใน C แล้ว render ใหม่ทั้งหน้า (Dashboard ถือ state ของธีม)
+// ดังนั้นห้ามเก็บ C.xxx ไว้ในค่าคงที่ระดับ module — ให้อ่านตอนใช้ (เช่น locClr, STYLE เป็นฟังก์ชัน)
+//
+// สีเส้น/แท่งกราฟ + สีสถานที่ (orange, blue, purple, green, yellow, red, cyan, pink, *D) ต้องได้ contrast ≥ 3:1 กับ card
+// และตัวอักษร tx / txm ≥ 4.5:1 (WCAG AA) ในทุกธีม — ตรวจด้วย auditPalette() (dev จะเตือนใน console)
+// onAccent = ตัวอักษรบนพื้นสีทึบ (ปุ่ม / ป้าย green, red, blue, blueD) → ต้อง ≥ 4.5:1 กับทุกสีพื้นเหล่านั้นด้วย
+
+const env = (typeof import.meta !== "undefined" && import.meta.env) || {};
+
+export const PALETTES = {
+  light: {
+    bg: "#f8fafc", bg2: "#f1f5f9",
+    card: "#ffffff", cardHi: "#f8fafc",
+    border: "#e2e8f0", borderHi: "#cbd5e1",
+    tx: "#0f172a", txm: "#475569", txd: "#94a3b8",
+    orange: "#ea580c", orangeD: "#c2410c",
+    blue: "#2563eb", blueD: "#1e40af",
+    purple: "#7c3aed", purpleD: "#6d28d9",
+    green: "#15803d", greenD: "#166534",
+    yellow: "#a16207", red: "#dc2626",
+    cyan: "#0891b2", pink: "#db2777",
+    onAccent: "#ffffff", muted: "#64748b",
+    pageTop: "#e0f2fe",
+    header: "linear-gradient(135deg, #1e40af 0%, #2563eb 50%, #3b82f6 100%)",
+    headerTx: "#ffffff", panel: "#1e293b", panelTx: "#ffffff", panelTxm: "#cbd5e1", panelBorder: "#475569",
+    notice: "#fde68a", noticeTx: "#1e293b",
+    shadow: "rgba(15,23,42,.12)", overlay: "rgba(15,23,42,.35)",
+  },
+  dark: {
+    bg: "#0b1120", bg2: "#1e293b",
+    card: "#111827", cardHi: "#1e293b",
+    border: "#334155", borderHi: "#475569",
+    tx: "#f1f5f9", txm: "#cbd5e1", txd: "#94a3b8",
+    orange: "#fb923c", orangeD: "#f97316",
+    blue: "#60a5fa", blueD: "#3b82f6",
+    purple: "#a78bfa", purpleD: "#8b5cf6",
+    green: "#4ade80", greenD: "#22c55e",
+    yellow: "#facc15", red: "#f87171",
+    cyan: "#22d3ee", pink: "#f472b6",
+    onAccent: "#0b1120", muted: "#64748b",
+    pageTop: "#0f1d3a",
+    header: "linear-gradient(135deg, #172554 0%, #1e3a8a 50%, #1d4ed8 100%)",
+    headerTx: "#ffffff", panel: "#0b1120", panelTx: "#f1f5f9", panelTxm: "#cbd5e1", panelBorder: "#475569",
+    notice: "#facc15", noticeTx: "#0b1120",
+    shadow: "rgba(0,0,0,.5)", overlay: "rgba(0,0,0,.6)",
+  },
+  contrast: {
+    bg: "#000000", bg2: "#141414",
+    card: "#000000", cardHi: "#1f1f1f",
+    border: "#8a8a8a", borderHi: "#ffffff",
+    tx: "#ffffff", txm: "#f0f0f0", txd: "#c8c8c8",
+    orange: "#ffa657", orangeD: "#ff8c1a",
+    blue: "#79c0ff", blueD: "#58a6ff",
+    purple: "#d2a8ff", purpleD: "#bc8cff",
+    green: "#7ee787", greenD: "#56d364",
+    yellow: "#ffdf5d", red: "#ff7b72",
+    cyan: "#56e0eb", pink: "#ff9bce",
+    onAccent: "#000000", muted: "#a0a0a0",
+    pageTop: "#000000",
+    header: "#000000",
+    headerTx: "#ffffff", panel: "#000000", panelTx: "#ffffff", panelTxm: "#f0f0f0", panelBorder: "#ffffff",
+    notice: "#ffdf5d", noticeTx: "#000000",
+    shadow: "rgba(255,255,255,.25)", overlay: "rgba(0,0,0,.75)",
+  },
+};
+
+// ป้ายอยู่ใน locales (theme.*)
+export const THEMES = ["system", "light", "dark", "contrast"];
+
+export const C = { ...PALETTES.light };
+
+// ── WCAG contrast ──
+const luminance = hex => {
+  const v = hex.replace("#", "").match(/../g).map(h => parseInt(h, 16) / 255)
+    .map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * v[0] + 0.7152 * v[1] + 0.0722 * v[2];
+};
+
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+const GRAPHIC_KEYS = ["orange", "orangeD", "blue", "blueD", "purple", "purpleD", "green", "greenD", "yellow", "red", "cyan", "pink"];
+const TEXT_KEYS = ["tx", "txm"];
+const ACCENT_FILL_KEYS = ["green", "red", "blue", "blueD"];
+
+// คืนรายการสีที่ contrast ไม่ถึงเกณฑ์ (ว่าง = ผ่าน)
+export function auditPalette(p) {
+  return [
+    ...GRAPHIC_KEYS.map(k => [k, contrastRatio(p[k], p.card), 3]),
+    ...TEXT_KEYS.map(k => [k, contrastRatio(p[k], p.card), 4.5]),
+    ...ACCENT_FILL_KEYS.map(k => [`onAccent/${k}`, contrastRatio(p.onAccent, p[k]), 4.5]),
+    ["panelTx", contrastRatio(p.panelTx, p.panel), 4.5],
+    ["noticeTx", contrastRatio(p.noticeTx, p.notice), 4.5],
+  ].filter(([, ratio, min]) => ratio < min).map(([key, ratio, min]) => ({ key, ratio: Math.round(ratio * 100) / 100, min }));
+}
+
+// ── preference ──
+// "system" = ตาม prefers-color-scheme / prefers-contrast ของเครื่อง
+const STORAGE_KEY = "carpark.theme";
+const media = q => (typeof window !== "undefined" && window.matchMedia ? window.matchMedia(q) : null);
+
+export function loadThemePref() {
+  try {
+    const v = localStorage.getItem(STORAGE_KEY);
+    if (THEMES.includes(v)) return v;
+  } catch { /* ignore */ }
+  return env.VITE_THEME || "system";
+}
+
+export function saveThemePref(pref) {
+  try { localStorage.setItem(STORAGE_KEY, pref); } catch { /* storage ปิด */ }
+}
+
+export function resolveTheme(pref) {
+  if (PALETTES[pref]) return pref;
+  if (media("(prefers-contrast: more)")?.matches) return "contrast";
+  return media("(prefers-color-scheme: dark)")?.matches ? "dark" : "light";
+}
+
+// ฟังการเปลี่ยนธีมของระบบ (ใช้ตอน pref = "system")
+export function watchSystemTheme(onChange) {
+  const queries = ["(prefers-color-scheme: dark)", "(prefers-contrast: more)"].map(media).filter(Boolean);
+  queries.forEach(q => q.addEventListener("change", onChange));
+  return () => queries.forEach(q => q.removeEventListener("change", onChange));
+}
+
+export function applyTheme(name) {
+  const palette = PALETTES[name] || PALETTES.light;
+  Object.assign(C, palette);
+  if (typeof document !== "undefined") {
+    document.documentElement.dataset.theme = name;
+    document.documentElement.style.colorScheme = name === "light" ? "light" : "dark";
+    document.querySelector('meta[name="theme-color"]')?.setAttribute("content", name === "light" ? palette.blueD : palette.bg);
+  }
+  if (env.DEV) {
+    const failed = auditPalette(palette);
+    if (failed.length) console.warn(`[theme] ${name}: contrast ต่ำกว่า WCAG AA`, failed);
+  }
+  return name;
+}
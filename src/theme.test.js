@@ -0,0 +1,13 @@
+import { describe, it, expect } from "vitest";
+import { PALETTES, auditPalette } from "./theme.js";
+
+describe("auditPalette", () => {
+  it.each(Object.keys(PALETTES))("%s passes WCAG AA", name => {
+    expect(auditPalette(PALETTES[name])).toEqual([]);
+  });
+
+  it("flags onAccent text that is too light for a filled accent", () => {
+    const failed = auditPalette({ ...PALETTES.light, green: "#16a34a" });
+    expect(failed).toEqual([{ key: "onAccent/green", ratio: 3.3, min: 4.5 }]);
+  });
+});
@@ -0,0 +1,18 @@
+import React from "react";
+import ReactDOM from "react-dom/client";
+import Widget from "./components/Widget";
+import { widgetName, displayOverrides } from "./display";
+import { applyTheme, resolveTheme, loadThemePref } from "./theme";
+import { setLang, loadLang } from "./i18n";
+
+// ━━━ Widget entry (widget.html) ━━━
+// ธีม/ภาษาตั้งครั้งเดียวตอนโหลด: ?theme= / ?lang= หรือค่าที่ผู้ใช้เลือกไว้ใน dashboard (origin เดียวกัน)
+const { theme, lang } = displayOverrides();
+applyTheme(resolveTheme(theme || loadThemePref()));
+setLang(lang || loadLang());
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <React.StrictMode>
+    <Widget name={widgetName()} />
+  </React.StrictMode>
+);
@@ -1,7 +1,44 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { fileURLToPath } from "node:url";
+import { createHash } from "node:crypto";
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { join, resolve } from "node:path";
+
+// ━━━ Service worker precache ━━━
+// public/sw.js ถูก copy ไปตรง ๆ → หลัง build แทน placeholder ด้วยรายชื่อ asset (มี hash) ของ build นี้ + build id
+function precacheServiceWorker() {
+  let outDir = "dist";
+  let assets = [];
+  return {
+    name: "carpark-precache-sw",
+    apply: "build",
+    configResolved: config => { outDir = resolve(config.root, config.build.outDir); },
+    generateBundle: (_, bundle) => {
+      assets = Object.keys(bundle).filter(f => !f.endsWith(".html") && !f.endsWith(".map")).sort();
+    },
+    closeBundle: () => {
+      const file = join(outDir, "sw.js");
+      if (!existsSync(file)) return;
+      const id = createHash("sha256").update(assets.join("\n")).digest("hex").slice(0, 12);
+      const sw = readFileSync(file, "utf8")
+        .replace('"__BUILD_ID__"', JSON.stringify(id))
+        .replace("[/* __PRECACHE__ */]", JSON.stringify(assets));
+      writeFileSync(file, sw);
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
   base: "/carpark-live-dashboard/",
+  build: {
+    rollupOptions: {
+      // index.html = dashboard (รวม ?mode=kiosk) · widget.html = widget ฝังได้ (public/embed.js)
+      input: {
+        main: fileURLToPath(new URL("./index.html", import.meta.url)),
+        widget: fileURLToPath(new URL("./widget.html", import.meta.url)),
+      },
+    },
+  },
 });